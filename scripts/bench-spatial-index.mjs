@@ -0,0 +1,210 @@
+/**
+ * Spatial index benchmark behind the README "Spatial index performance" tables
+ * Usage: npm run bench [-- uniform|clustered]
+ *   uniform   - 300,000 footprints over 3° × 3°, grid index
+ *   clustered - 200,000 footprints, 90% in a 0.03° city centre, grid vs. R-tree
+ * Data is seeded, so runs differ only by timing noise
+ */
+import v8 from 'node:v8';
+import { SpatialIndex } from '../src/core/SpatialIndex.js';
+import { RTreeIndex } from '../src/core/RTreeIndex.js';
+import { StorageConfig } from '../src/core/SettingsManager.js';
+
+const log = console.log;
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Square footprint of 8-24 m with its south-west corner at a position
+ */
+function createFootprint(lon, lat, random) {
+    const size = (8 + random() * 16) / 111320;
+    return {
+        type: 'Feature',
+        properties: {},
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+        }
+    };
+}
+
+/**
+ * Order features by chunk cell and cut them into chunks the way DataLoader does
+ * @returns {{features: Array<Object>, chunkBoundaries: Array<Object>}}
+ */
+function chunkFeatures(features) {
+    const size = StorageConfig.CHUNK_DEGREE_SIZE;
+    const keyed = features.map(feature => {
+        const [lon, lat] = feature.geometry.coordinates[0][0];
+        return { key: `${Math.floor(lon / size)}_${Math.floor(lat / size)}`, feature };
+    });
+    keyed.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    const chunkBoundaries = [];
+    let start = 0;
+    for (let i = 1; i <= keyed.length; i++) {
+        if (i === keyed.length || keyed[i].key !== keyed[start].key || i - start === StorageConfig.CHUNK_SIZE) {
+            chunkBoundaries.push({ start, end: i, shapefileName: `bench_${keyed[start].key}`, sourceName: 'bench', sourcePath: 'bench' });
+            start = i;
+        }
+    }
+    return { features: keyed.map(entry => entry.feature), chunkBoundaries };
+}
+
+/**
+ * Milliseconds taken by a function
+ */
+async function time(fn) {
+    const start = performance.now();
+    await fn();
+    return performance.now() - start;
+}
+
+/**
+ * Average milliseconds per query over a list of positions
+ */
+async function timeQueries(positions, query) {
+    const total = await time(async () => {
+        for (const position of positions) {
+            await query(position);
+        }
+    });
+    return total / positions.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Bytes held in typed arrays anywhere inside a value
+ */
+function typedArrayBytes(value) {
+    if (ArrayBuffer.isView(value)) {
+        return value.byteLength;
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).reduce((sum, child) => sum + typedArrayBytes(child), 0);
+    }
+    return 0;
+}
+
+function formatMs(ms) {
+    return `${ms < 1 ? ms.toFixed(3) : ms.toFixed(1)} ms`;
+}
+
+function formatMB(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Build, serialize and query one index type
+ * @returns {Promise<Object>} Label -> formatted figure
+ */
+async function measureIndex(IndexClass, data, positions, bboxSize) {
+    const index = new IndexClass();
+    const build = await time(() => index.indexFeatures({ type: 'FeatureCollection', features: data.features }));
+
+    // Queries run on the in-memory index before the restore runs add garbage to the heap
+    const results = {
+        'Build index (indexFeatures)': formatMs(build),
+        'queryRadius (500 m)': formatMs(await timeQueries(positions, ([lon, lat]) => index.queryRadius(lon, lat, 500))),
+        'queryNearest (k = 10)': formatMs(await timeQueries(positions, ([lon, lat]) => index.queryNearest(lon, lat, 10))),
+        [`queryBBox (${bboxSize}° × ${bboxSize}°)`]: formatMs(await timeQueries(positions, ([lon, lat]) =>
+            index.queryBBox([lon - bboxSize / 2, lat - bboxSize / 2, lon + bboxSize / 2, lat + bboxSize / 2])))
+    };
+
+    // Restore: the structured clone IndexedDB makes of the stored record, then deserialize
+    const record = index.serialize(data.chunkBoundaries.map(boundary => ({ ...boundary })));
+    const restoreRuns = [];
+    for (let run = 0; run < 5; run++) {
+        restoreRuns.push(await time(() => new IndexClass().deserialize(structuredClone(record))));
+    }
+
+    return {
+        ...results,
+        'Restore index structure': formatMs(median(restoreRuns)),
+        'Stored index record': formatMB(v8.serialize(record).length),
+        'Stored index arrays': formatMB(typedArrayBytes(record))
+    };
+}
+
+/**
+ * 300,000 footprints spread evenly over 3° × 3°, 2,000 random query positions
+ */
+async function benchUniform() {
+    const random = createRandom(42);
+    const features = [];
+    for (let i = 0; i < 300000; i++) {
+        features.push(createFootprint(14 + random() * 3, 49 + random() * 3, random));
+    }
+    const positions = Array.from({ length: 2000 }, () => [14 + random() * 3, 49 + random() * 3]);
+
+    const data = chunkFeatures(features);
+    log(`Uniform: ${features.length} footprints, ${data.chunkBoundaries.length} chunks`);
+    return { Grid: await measureIndex(SpatialIndex, data, positions, 0.05) };
+}
+
+/**
+ * 200,000 footprints, 90% in a 0.03° × 0.03° centre and the rest over 6° × 2.5° of countryside;
+ * 300 query positions, half in the centre and half outside it
+ */
+async function benchClustered() {
+    const random = createRandom(7);
+    const centre = () => [14.4 + random() * 0.03, 50.07 + random() * 0.03];
+    const countryside = () => [12 + random() * 6, 48.7 + random() * 2.5];
+
+    const features = [];
+    for (let i = 0; i < 200000; i++) {
+        const [lon, lat] = i % 10 === 0 ? countryside() : centre();
+        features.push(createFootprint(lon, lat, random));
+    }
+    const positions = Array.from({ length: 300 }, (_, i) => (i % 2 === 0 ? centre() : countryside()));
+
+    const data = chunkFeatures(features);
+    log(`Clustered: ${features.length} footprints, ${data.chunkBoundaries.length} chunks`);
+    return {
+        'Grid (0.01° cells)': await measureIndex(SpatialIndex, data, positions, 0.02),
+        'R-tree (STR, 16 per node)': await measureIndex(RTreeIndex, data, positions, 0.02)
+    };
+}
+
+/**
+ * Print results as a markdown table, one column per index
+ */
+function printTable(columns) {
+    const names = Object.keys(columns);
+    const rows = Object.keys(columns[names[0]]);
+    log(`| Operation | ${names.join(' | ')} |`);
+    log(`| --- |${names.map(() => ' --- |').join('')}`);
+    for (const row of rows) {
+        log(`| ${row} | ${names.map(name => columns[name][row]).join(' | ')} |`);
+    }
+    log('');
+}
+
+const scenarios = { uniform: benchUniform, clustered: benchClustered };
+const requested = process.argv.slice(2);
+const unknown = requested.filter(name => !scenarios[name]);
+if (unknown.length > 0) {
+    console.error(`Unknown scenario: ${unknown.join(', ')} (choose from ${Object.keys(scenarios).join(', ')})`);
+    process.exit(1);
+}
+
+// The indexes log every query
+console.log = () => {};
+
+for (const name of requested.length > 0 ? requested : Object.keys(scenarios)) {
+    printTable(await scenarios[name]());
+}
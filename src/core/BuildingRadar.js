@@ -3,31 +3,43 @@ import { DisplayManager } from './DisplayManager.js';
 import { UIManager } from './UIManager.js';
 import { SettingsManager } from './SettingsManager.js';
 import { SpatialIndex } from './SpatialIndex.js';
+import { FilterExpression } from './FilterExpression.js';
+import { GeometryUtils } from './GeometryUtils.js';
+import { StyleUtils } from './StyleUtils.js';
 
 /**
  * Main BuildingRadar class - Core application controller
  * Manages GPS tracking, UI updates and visualization
+ * Shows one or more datasets as radar layers, each backed by its own SpatialIndex
  */
 export class BuildingRadar {
-    constructor(spatialIndex) {
-        if (!spatialIndex || typeof spatialIndex.queryRadius !== 'function') {
-            throw new Error('BuildingRadar requires a valid SpatialIndex instance');
+    /**
+     * @param {SpatialIndex|Array<{id: string, name: string, spatialIndex: SpatialIndex}>} layers -
+     *   A single index, or layers drawn bottom to top
+     */
+    constructor(layers) {
+        this.layers = this.normalizeLayers(layers);
+        this.spatialIndex = this.layers[0].spatialIndex;
+        for (const layer of this.layers) {
+            console.log(`Using spatial index for layer ${layer.name} with ${layer.spatialIndex.getFeatureCount()} features`);
         }
 
-        this.spatialIndex = spatialIndex;
-        console.log(`Using spatial index with ${spatialIndex.getFeatureCount()} features`);
-
         this.settings = new SettingsManager();
         this.ui = new UIManager();
         this.gps = new GPSManager(this.settings.getGPSSettings());
         this.display = new DisplayManager('radarCanvas', {
-            radarRange: this.settings.get('radarRange')
+            radarRange: this.settings.get('radarRange'),
+            styleRules: this.getSavedStyleRules()
         });
 
         this.updateInterval = null;
         this.isRunning = false;
         this.isPaused = false;
         this.visibleBuildings = [];
+        this.layerCounts = new Map(); // layer ID -> visible feature count
+        this.indexGeneration = 0; // Bumped on every index swap so stale queries are dropped
+        this.filter = this.getSavedFilter(); // Runtime attribute filter (FilterExpression), null shows everything
+        this.totalInRange = 0; // Buildings in range before the runtime filter
 
         this.setupEventListeners();
         this.initialize();
@@ -36,6 +48,7 @@ export class BuildingRadar {
         window.pauseRadar = () => this.pause();
         window.resumeRadar = () => this.resume();
         window.toggleRadarPause = () => this.togglePause();
+        window.setStyleRules = (rules) => this.setStyleRules(rules);
     }
 
     /**
@@ -73,6 +86,147 @@ export class BuildingRadar {
                 this.restart();
             }
         });
+
+        this.ui.addEventListener('filterChange', (e) => {
+            try {
+                this.setFilterExpression(e.detail?.expression || '');
+            } catch (error) {
+                this.ui.showFilterError(error.message);
+            }
+        });
+
+        this.ui.addEventListener('styleChange', (e) => {
+            try {
+                const form = e.detail?.form;
+                this.setStyleRules(form ? StyleUtils.fromForm(form) : null);
+            } catch (error) {
+                this.ui.showStyleError(error.message);
+            }
+        });
+
+        this.ui.addEventListener('forwardConeToggle', () => {
+            this.setForwardCone(!this.settings.get('forwardCone'));
+        });
+
+        this.ui.addEventListener('changeData', () => {
+            window.dispatchEvent(new CustomEvent('changeDataRequested'));
+        });
+
+        this.ui.addEventListener('layerToggle', (e) => {
+            const layer = this.layers.find(candidate => candidate.id === e.detail?.id);
+            if (layer) {
+                this.setLayerVisibility(layer.id, !layer.visible);
+            }
+        });
+
+        this.ui.addEventListener('buildingDetailsClose', () => {
+            this.display.setSelectedBuilding(null);
+        });
+
+        // Tap (or click) a building on the radar to inspect it
+        this.handleCanvasTap = (e) => {
+            const rect = this.display.canvas.getBoundingClientRect();
+            this.inspectBuildingAt(e.clientX - rect.left, e.clientY - rect.top).catch(err => {
+                console.error('Failed to inspect building:', err);
+            });
+        };
+        this.display.canvas.addEventListener('click', this.handleCanvasTap);
+    }
+
+    /**
+     * Validate layers and wrap a bare SpatialIndex as a single layer
+     * @param {SpatialIndex|Array<Object>} layers - Index or layers {id, name, spatialIndex}
+     * @returns {Array<Object>} Layers with visibility
+     */
+    normalizeLayers(layers) {
+        const layerList = Array.isArray(layers)
+            ? layers
+            : [{ id: 'buildings', name: 'Buildings', spatialIndex: layers }];
+
+        if (layerList.length === 0 || layerList.some(layer => !layer.spatialIndex || typeof layer.spatialIndex.queryRadius !== 'function')) {
+            throw new Error('BuildingRadar requires a valid SpatialIndex instance');
+        }
+
+        return layerList.map(layer => ({ ...layer, visible: layer.visible !== false }));
+    }
+
+    /**
+     * Replace the spatial index (or layers) at runtime
+     * Chunk caches of indexes that are no longer shown are released; GPS keeps running
+     * @param {SpatialIndex|Array<Object>} layers - New index or layers {id, name, spatialIndex}
+     */
+    setSpatialIndex(layers) {
+        const nextLayers = this.normalizeLayers(layers);
+
+        // Layers that stay keep their visibility
+        const previousVisibility = new Map(this.layers.map(layer => [layer.id, layer.visible]));
+        for (const layer of nextLayers) {
+            if (previousVisibility.has(layer.id)) {
+                layer.visible = previousVisibility.get(layer.id);
+            }
+        }
+
+        this.replaceLayers(nextLayers);
+
+        const featureCount = nextLayers.reduce((sum, layer) => sum + layer.spatialIndex.getFeatureCount(), 0);
+        console.log(`🔄 Spatial index replaced: ${featureCount} buildings in ${nextLayers.length} layers`);
+
+        // Refresh right away instead of waiting for the next GPS fix
+        const lastPosition = this.gps.getLastPosition();
+        if (lastPosition && !this.isPaused) {
+            this.updateVisibleBuildings(lastPosition).catch(err => {
+                console.error('Failed to update visible buildings:', err);
+            });
+        }
+    }
+
+    /**
+     * Remove every layer, e.g. after the active dataset was deleted
+     * GPS keeps running; buildings show up again once new data is loaded
+     */
+    clearLayers() {
+        this.replaceLayers([]);
+        this.display.setForwardCone(null);
+        this.ui.updateNearestAhead(null);
+        console.log('🔄 Spatial index cleared');
+    }
+
+    /**
+     * Swap in new layers, releasing the chunk caches of indexes that are no longer shown
+     * @param {Array<Object>} nextLayers - Normalized layers (may be empty)
+     */
+    replaceLayers(nextLayers) {
+        const nextIndexes = new Set(nextLayers.map(layer => layer.spatialIndex));
+        for (const layer of this.layers) {
+            if (!nextIndexes.has(layer.spatialIndex) && typeof layer.spatialIndex.releaseChunks === 'function') {
+                layer.spatialIndex.releaseChunks();
+            }
+        }
+
+        // Queries still running for the old layers are discarded
+        this.indexGeneration++;
+        this.layers = nextLayers;
+        this.spatialIndex = nextLayers.length > 0 ? nextLayers[0].spatialIndex : null;
+        this.visibleBuildings = [];
+        this.totalInRange = 0;
+        this.layerCounts.clear();
+        this.display.setSelectedBuilding(null);
+        this.ui.hideBuildingDetails();
+
+        this.applyLayers();
+    }
+
+    /**
+     * Hand the current layers to the display and status bar
+     */
+    applyLayers() {
+        const styledLayers = this.display.setLayers(this.layers);
+        this.layers.forEach((layer, i) => {
+            layer.style = styledLayers[i].style;
+        });
+        this.ui.renderLayers(this.layers);
+        this.ui.updateBuildingCount(this.visibleBuildings.length, this.filter ? this.totalInRange : null);
+        this.display.setupCanvas();
     }
 
     /**
@@ -80,11 +234,11 @@ export class BuildingRadar {
      */
     async initialize() {
         try {
-            if (this.spatialIndex) {
-                const featureCount = this.spatialIndex.getFeatureCount();
-                console.log(`BuildingRadar initialized with ${featureCount} buildings`);
+            if (this.layers.length > 0) {
+                const featureCount = this.layers.reduce((sum, layer) => sum + layer.spatialIndex.getFeatureCount(), 0);
+                console.log(`BuildingRadar initialized with ${featureCount} buildings in ${this.layers.length} layers`);
                 // Initially no buildings visible until GPS position is received
-                this.display.updateBuildings([]);
+                this.applyLayers();
             }
 
             console.log('BuildingRadar initialized (GPS not started yet)');
@@ -146,25 +300,242 @@ export class BuildingRadar {
     }
 
     /**
-     * Update visible buildings within radar range using spatial index
-     * Async to support lazy loading of chunks
+     * Update visible buildings within radar range using the spatial index of each visible layer
+     * Layers are queried in parallel; async to support lazy loading of chunks
      */
     async updateVisibleBuildings(position) {
-        if (!this.spatialIndex) return;
+        const visibleLayers = this.layers.filter(layer => layer.visible);
+        const generation = this.indexGeneration;
 
         const radarRange = this.settings.get('radarRange');
 
-        // Use spatial index for fast query (async for lazy loading)
-        this.visibleBuildings = await this.spatialIndex.queryRadius(
+        // Use spatial indexes for fast queries (async for lazy loading)
+        const results = await Promise.all(visibleLayers.map(layer => layer.spatialIndex.queryRadius(
             position.longitude,
             position.latitude,
             radarRange
-        );
+        )));
+
+        // Forward cone: buildings within range ahead of the current heading, taken from the radius results
+        const coneHalfAngle = this.settings.get('forwardConeHalfAngle');
+        const sectorResults = this.settings.get('forwardCone')
+            ? results.map(features => SpatialIndex.filterSector(
+                features,
+                position.longitude,
+                position.latitude,
+                radarRange,
+                this.display.heading,
+                coneHalfAngle
+            ))
+            : null;
+
+        // Properties are stored apart from the geometry; read them only when the filter or styling needs them
+        const styleNeedsProperties = StyleUtils.needsProperties(this.display.styleRules);
+        await Promise.all(visibleLayers.map((layer, i) => {
+            const needsProperties = this.filter || (styleNeedsProperties && layer === this.layers[0]);
+            if (!needsProperties || typeof layer.spatialIndex.loadProperties !== 'function') return null;
+            return layer.spatialIndex.loadProperties(results[i]);
+        }));
+
+        // The index was swapped while querying
+        if (generation !== this.indexGeneration) return;
+
+        // Update display with visible (and filter-matching) buildings only
+        this.layerCounts.clear();
+        this.visibleBuildings = [];
+        this.totalInRange = 0;
+        visibleLayers.forEach((layer, i) => {
+            const shown = this.filter
+                ? results[i].filter(feature => this.filter.matches(feature.properties))
+                : results[i];
+            this.display.updateBuildings(shown, layer.id);
+            this.layerCounts.set(layer.id, shown.length);
+            this.visibleBuildings.push(...shown);
+            this.totalInRange += results[i].length;
+        });
+
+        this.ui.updateBuildingCount(this.visibleBuildings.length, this.filter ? this.totalInRange : null);
+        this.ui.updateLayerCounts(this.layers.map(layer => ({
+            id: layer.id,
+            visible: layer.visible,
+            count: this.layerCounts.get(layer.id) || 0
+        })));
+
+        if (sectorResults && this.settings.get('forwardCone')) {
+            const ahead = sectorResults
+                .flat()
+                .filter(feature => !this.filter || this.filter.matches(feature.properties))
+                .sort((a, b) => a.distance - b.distance);
+            this.display.setForwardCone({ halfAngle: coneHalfAngle, range: radarRange, buildings: ahead });
+            this.ui.updateNearestAhead(ahead[0] || null);
+        }
+    }
+
+    /**
+     * Turn the forward cone mode on or off
+     * In this mode buildings within range ahead of the heading are highlighted and the nearest
+     * one is reported in the status bar
+     * @param {boolean} enabled - Whether the mode is on
+     */
+    setForwardCone(enabled) {
+        this.settings.set('forwardCone', enabled);
+        this.ui.setForwardConeState(enabled);
+        console.log(enabled ? '🔦 Forward cone on' : '🔦 Forward cone off');
+
+        if (!enabled) {
+            this.display.setForwardCone(null);
+            return;
+        }
+
+        const lastPosition = this.gps.getLastPosition();
+        if (lastPosition && !this.isPaused) {
+            this.updateVisibleBuildings(lastPosition).catch(err => {
+                console.error('Failed to update visible buildings:', err);
+            });
+        }
+    }
+
+    /**
+     * Show the details sheet of the visible building at a canvas point; tapping empty space closes it
+     * Properties of lazily loaded chunks are read from storage first
+     * @param {number} x - Canvas X in CSS pixels
+     * @param {number} y - Canvas Y in CSS pixels
+     * @returns {Promise<Object|null>} The selected feature
+     */
+    async inspectBuildingAt(x, y) {
+        const building = this.display.findBuildingAt(x, y, this.visibleBuildings);
+        this.display.setSelectedBuilding(building);
+
+        if (!building) {
+            this.ui.hideBuildingDetails();
+            return null;
+        }
+
+        const allProperties = typeof building.loadProperties === 'function'
+            ? await building.loadProperties()
+            : building.properties;
+        // Another building was tapped while loading
+        if (this.display.selectedBuilding !== building) return building;
+
+        const { latitude, longitude } = this.display.userPosition;
+        const [lon, lat] = GeometryUtils.getRepresentativePoint(building.geometry);
+        const { _sourceShapefile: source, ...properties } = allProperties || {};
+        const layer = this.layers.length > 1
+            ? this.layers.find(candidate => this.display.layers.get(candidate.id)?.buildings.includes(building))
+            : null;
+
+        this.ui.showBuildingDetails({
+            properties,
+            source: source || null,
+            layerName: layer?.name || null,
+            distance: GeometryUtils.distanceToGeometry(longitude, latitude, building.geometry),
+            bearing: this.display.calculateBearing(latitude, longitude, lat, lon)
+        });
+
+        return building;
+    }
+
+    /**
+     * Set the runtime attribute filter evaluated against feature.properties of buildings in range
+     * @param {string} expression - FilterExpression text ('' shows all buildings)
+     * @throws {Error} If the expression cannot be parsed (the current filter is kept)
+     */
+    setFilterExpression(expression) {
+        const filter = new FilterExpression(expression);
+        this.filter = filter.isEmpty() ? null : filter;
+        this.settings.set('filterExpression', filter.source);
+        this.ui.setFilterState(filter.source);
+        console.log(this.filter ? `🔎 Runtime filter: ${filter.source}` : '🔎 Runtime filter cleared');
+
+        const lastPosition = this.gps.getLastPosition();
+        if (lastPosition && !this.isPaused) {
+            this.updateVisibleBuildings(lastPosition).catch(err => {
+                console.error('Failed to update visible buildings:', err);
+            });
+        }
+    }
 
-        // Update display with visible buildings only
-        this.display.updateBuildings(this.visibleBuildings);
+    /**
+     * Runtime filter saved by an earlier session, dropped if it no longer parses
+     * @returns {FilterExpression|null} Filter, null shows everything
+     */
+    getSavedFilter() {
+        try {
+            const filter = new FilterExpression(this.settings.get('filterExpression'));
+            this.ui.setFilterState(filter.source);
+            if (filter.isEmpty()) {
+                return null;
+            }
+            console.log(`🔎 Runtime filter: ${filter.source}`);
+            return filter;
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved filter:', error.message);
+            this.settings.set('filterExpression', '');
+            return null;
+        }
+    }
 
-        this.ui.updateBuildingCount(this.visibleBuildings.length);
+    /**
+     * Style rules saved by an earlier session, dropped if they no longer validate
+     * @returns {Object|null} Style rules
+     */
+    getSavedStyleRules() {
+        const rules = this.settings.get('styleRules');
+        try {
+            this.ui.setStyleState(StyleUtils.toForm(rules), StyleUtils.isActive(StyleUtils.normalizeRules(rules)));
+            return rules;
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved style rules:', error.message);
+            this.settings.set('styleRules', null);
+            return null;
+        }
+    }
+
+    /**
+     * Color and size buildings of the first layer by attribute or distance
+     * @param {Object|null} rules - Style rules (see StyleUtils), null for the plain layer color
+     * @throws {Error} If the rules are invalid (the current rules are kept)
+     */
+    setStyleRules(rules) {
+        this.display.setStyleRules(rules);
+        this.settings.set('styleRules', rules);
+        this.ui.setStyleState(StyleUtils.toForm(rules), StyleUtils.isActive(this.display.styleRules));
+        console.log(rules ? '🎨 Style rules applied' : '🎨 Style rules cleared');
+        this.display.render();
+
+        // Attribute rules need the properties of the buildings in range
+        const lastPosition = this.gps.getLastPosition();
+        if (StyleUtils.needsProperties(this.display.styleRules) && lastPosition && !this.isPaused) {
+            this.updateVisibleBuildings(lastPosition).catch(err => {
+                console.error('Failed to update visible buildings:', err);
+            });
+        }
+    }
+
+    /**
+     * Show or hide a layer; hidden layers are not queried
+     * @param {string} layerId - Layer ID
+     * @param {boolean} visible - Visibility
+     */
+    setLayerVisibility(layerId, visible) {
+        const layer = this.layers.find(candidate => candidate.id === layerId);
+        if (!layer) return;
+
+        layer.visible = visible;
+        this.display.setLayerVisibility(layerId, visible);
+        if (!visible) {
+            this.display.updateBuildings([], layerId);
+        }
+        console.log(`🗺️ Layer ${layer.name} ${visible ? 'shown' : 'hidden'}`);
+
+        const lastPosition = this.gps.getLastPosition();
+        if (lastPosition && !this.isPaused) {
+            this.updateVisibleBuildings(lastPosition).catch(err => {
+                console.error('Failed to update visible buildings:', err);
+            });
+        } else {
+            this.ui.updateLayerCounts([{ id: layerId, visible, count: this.layerCounts.get(layerId) || 0 }]);
+        }
     }
 
     /**
@@ -310,6 +681,7 @@ export class BuildingRadar {
      */
     destroy() {
         this.stop();
+        this.display.canvas.removeEventListener('click', this.handleCanvasTap);
         this.gps.destroy();
         this.display.destroy();
         this.ui.destroy();
@@ -0,0 +1,317 @@
+/**
+ * CellGrid - Grid cells keyed by integer cell IDs, stored as sorted offset arrays
+ * Cell IDs are Morton (Z-order) codes of the cell coordinates, so neighbouring cells get close IDs.
+ * Cell i owns values[offsets[i]..offsets[i + 1]] and is found by binary search over cellIds.
+ * Values added with add() are buffered and merged on the next read.
+ */
+export class CellGrid {
+    static FORMAT = 'morton-v1';
+
+    static AXIS_BITS = 26; // Per axis; two axes fit in a safe integer (52 bits)
+
+    static AXIS_OFFSET = 2 ** 25; // Cell coordinates are shifted to be non-negative
+
+    static LOW_WORD = 2 ** 32;
+
+    /**
+     * Morton code of cell coordinates
+     * @param {number} x - Cell X (floor(lon / cellSize))
+     * @param {number} y - Cell Y (floor(lat / cellSize))
+     * @returns {number} Cell ID
+     * @throws {Error} If the coordinates do not fit in AXIS_BITS
+     */
+    static encode(x, y) {
+        const ux = x + CellGrid.AXIS_OFFSET;
+        const uy = y + CellGrid.AXIS_OFFSET;
+        const limit = 2 ** CellGrid.AXIS_BITS;
+        if (!(ux >= 0 && ux < limit && uy >= 0 && uy < limit)) {
+            throw new Error(`Cell ${x},${y} is outside the supported cell ID range`);
+        }
+
+        // Interleave the low and high 16 bits separately to stay within 32-bit bitwise operations
+        const low = (CellGrid.spreadBits(ux & 0xFFFF) | (CellGrid.spreadBits(uy & 0xFFFF) << 1)) >>> 0;
+        const high = (CellGrid.spreadBits(ux >>> 16) | (CellGrid.spreadBits(uy >>> 16) << 1)) >>> 0;
+        return high * CellGrid.LOW_WORD + low;
+    }
+
+    /**
+     * Cell coordinates of a Morton code
+     * @param {number} cellId - Cell ID
+     * @returns {Array<number>} [x, y]
+     */
+    static decode(cellId) {
+        const low = cellId % CellGrid.LOW_WORD;
+        const high = Math.floor(cellId / CellGrid.LOW_WORD);
+        const ux = CellGrid.compactBits(low) | (CellGrid.compactBits(high) << 16);
+        const uy = CellGrid.compactBits(low >>> 1) | (CellGrid.compactBits(high >>> 1) << 16);
+        return [ux - CellGrid.AXIS_OFFSET, uy - CellGrid.AXIS_OFFSET];
+    }
+
+    /**
+     * Insert a zero bit after each of the low 16 bits
+     */
+    static spreadBits(value) {
+        let v = value & 0xFFFF;
+        v = (v | (v << 8)) & 0x00FF00FF;
+        v = (v | (v << 4)) & 0x0F0F0F0F;
+        v = (v | (v << 2)) & 0x33333333;
+        v = (v | (v << 1)) & 0x55555555;
+        return v;
+    }
+
+    /**
+     * Inverse of spreadBits: keep every other bit
+     */
+    static compactBits(value) {
+        let v = value & 0x55555555;
+        v = (v | (v >>> 1)) & 0x33333333;
+        v = (v | (v >>> 2)) & 0x0F0F0F0F;
+        v = (v | (v >>> 4)) & 0x00FF00FF;
+        v = (v | (v >>> 8)) & 0x0000FFFF;
+        return v;
+    }
+
+    constructor() {
+        this.cellIds = new Float64Array(0); // Sorted cell IDs
+        this.offsets = new Uint32Array(1); // cellIds[i] -> values[offsets[i]..offsets[i + 1]]
+        this.values = new Uint32Array(0);
+        this.pending = new Map(); // cellId -> values added since the last merge
+        this.extent = null; // Cached cell coordinate range
+    }
+
+    /**
+     * Build a grid from [cellId, values] pairs
+     * @param {Iterable<Array>} entries - Pairs of cell ID and array-like values
+     * @returns {CellGrid}
+     */
+    static fromEntries(entries) {
+        const grid = new CellGrid();
+        grid.rebuild(new Map(entries), false);
+        return grid;
+    }
+
+    /**
+     * Restore a grid from its stored form
+     * @param {Object} record - Result of toRecord()
+     * @returns {CellGrid}
+     */
+    static fromRecord(record) {
+        if (record?.format !== CellGrid.FORMAT) {
+            throw new Error(`Unsupported cell grid format: ${record?.format}`);
+        }
+        const grid = new CellGrid();
+        grid.cellIds = record.cellIds;
+        grid.offsets = record.offsets;
+        grid.values = record.values;
+        return grid;
+    }
+
+    /**
+     * Stored form for IndexedDB
+     * @returns {{format: string, cellIds: Float64Array, offsets: Uint32Array, values: Uint32Array}}
+     */
+    toRecord() {
+        this.flush();
+        return { format: CellGrid.FORMAT, cellIds: this.cellIds, offsets: this.offsets, values: this.values };
+    }
+
+    /**
+     * Number of non-empty cells
+     */
+    get size() {
+        this.flush();
+        return this.cellIds.length;
+    }
+
+    /**
+     * Append a value to a cell (buffered until the next read)
+     * @param {number} cellId - Cell ID
+     * @param {number} value - Value, e.g. a feature index
+     */
+    add(cellId, value) {
+        let values = this.pending.get(cellId);
+        if (!values) {
+            values = [];
+            this.pending.set(cellId, values);
+        }
+        values.push(value);
+    }
+
+    /**
+     * Replace or remove several cells at once
+     * @param {Map<number, ArrayLike<number>|null>} changes - New values per cell, null or empty to remove the cell
+     */
+    update(changes) {
+        this.flush();
+        if (changes.size > 0) {
+            this.rebuild(changes, false);
+        }
+    }
+
+    /**
+     * Merge buffered add() calls into the offset arrays
+     */
+    flush() {
+        if (this.pending.size === 0) return;
+        const pending = this.pending;
+        this.pending = new Map();
+        this.rebuild(pending, true);
+    }
+
+    /**
+     * Rewrite the offset arrays with changed cells
+     * @param {Map<number, ArrayLike<number>|null>} changes - Values per changed cell
+     * @param {boolean} append - Append the values to existing cells instead of replacing them
+     */
+    rebuild(changes, append) {
+        const cellIds = Float64Array.from(new Set([...this.cellIds, ...changes.keys()])).sort();
+        const cells = [];
+        let total = 0;
+
+        for (const cellId of cellIds) {
+            const change = changes.get(cellId);
+            const existing = change === undefined || append ? this.lookup(cellId) : null;
+            const length = (existing ? existing.length : 0) + (change ? change.length : 0);
+            if (length > 0) {
+                cells.push({ cellId, existing, change });
+                total += length;
+            }
+        }
+
+        const nextIds = new Float64Array(cells.length);
+        const nextOffsets = new Uint32Array(cells.length + 1);
+        const nextValues = new Uint32Array(total);
+        let position = 0;
+        cells.forEach(({ cellId, existing, change }, i) => {
+            nextIds[i] = cellId;
+            if (existing) {
+                nextValues.set(existing, position);
+                position += existing.length;
+            }
+            if (change) {
+                nextValues.set(change, position);
+                position += change.length;
+            }
+            nextOffsets[i + 1] = position;
+        });
+
+        this.cellIds = nextIds;
+        this.offsets = nextOffsets;
+        this.values = nextValues;
+        this.extent = null;
+    }
+
+    /**
+     * Replace every value in place, e.g. to renumber feature indices
+     * @param {Function} mapValue - (value) => new value
+     */
+    mapValues(mapValue) {
+        this.flush();
+        for (let i = 0; i < this.values.length; i++) {
+            this.values[i] = mapValue(this.values[i]);
+        }
+    }
+
+    /**
+     * Position of a cell in cellIds (binary search, ignores buffered values)
+     * @returns {number} Position, -1 if the cell is empty
+     */
+    find(cellId) {
+        let low = 0;
+        let high = this.cellIds.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >>> 1;
+            const value = this.cellIds[mid];
+            if (value === cellId) return mid;
+            if (value < cellId) {
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Values of a cell without merging buffered values
+     */
+    lookup(cellId) {
+        const position = this.find(cellId);
+        return position < 0 ? undefined : this.values.subarray(this.offsets[position], this.offsets[position + 1]);
+    }
+
+    /**
+     * Values of a cell
+     * @param {number} cellId - Cell ID
+     * @returns {Uint32Array|undefined} Values, undefined for an empty cell
+     */
+    get(cellId) {
+        this.flush();
+        return this.lookup(cellId);
+    }
+
+    has(cellId) {
+        this.flush();
+        return this.find(cellId) >= 0;
+    }
+
+    /**
+     * Cell IDs in ascending order
+     * @returns {Iterator<number>}
+     */
+    keys() {
+        this.flush();
+        return this.cellIds.values();
+    }
+
+    /**
+     * [cellId, values] pairs in ascending cell ID order
+     */
+    *entries() {
+        this.flush();
+        for (let i = 0; i < this.cellIds.length; i++) {
+            yield [this.cellIds[i], this.values.subarray(this.offsets[i], this.offsets[i + 1])];
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Cell coordinate range covered by the grid (cached until the grid changes)
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Null for an empty grid
+     */
+    getExtent() {
+        this.flush();
+        if (this.cellIds.length === 0) {
+            return null;
+        }
+        if (!this.extent) {
+            let minX = Infinity;
+            let minY = Infinity;
+            let maxX = -Infinity;
+            let maxY = -Infinity;
+            for (const cellId of this.cellIds) {
+                const [x, y] = CellGrid.decode(cellId);
+                if (x < minX) minX = x;
+                if (y < minY) minY = y;
+                if (x > maxX) maxX = x;
+                if (y > maxY) maxY = y;
+            }
+            this.extent = { minX, minY, maxX, maxY };
+        }
+        return this.extent;
+    }
+
+    /**
+     * Remove every cell
+     */
+    clear() {
+        this.cellIds = new Float64Array(0);
+        this.offsets = new Uint32Array(1);
+        this.values = new Uint32Array(0);
+        this.pending.clear();
+        this.extent = null;
+    }
+}
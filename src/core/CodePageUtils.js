@@ -0,0 +1,82 @@
+// Characters for bytes 0x80-0xFF
+const SINGLE_BYTE_TABLES = {
+    'cp852': 'ÇüéâäůćçłëŐőîŹÄĆÉĹĺôöĽľŚśÖÜŤťŁ×čáíóúĄąŽžĘę¬źČş«»░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐└┴┬├─┼Ăă╚╔╩╦╠═╬¤đĐĎËďŇÍÎě┘┌█▄ŢŮ▀ÓßÔŃńňŠšŔÚŕŰýÝţ´\u00AD˝˛ˇ˘§÷¸°¨˙űŘř■\u00A0',
+    'cp437': 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0'
+};
+
+// Private-use range TextDecoder('x-user-defined') maps bytes 0x80-0xFF to
+const USER_DEFINED_OFFSET = 0xF780;
+
+/**
+ * CodePageUtils - Text decoding for DBF code pages, including DOS code pages TextDecoder lacks
+ * WHATWG TextDecoder has no CP852/CP437, so their upper halves (bytes 0x80-0xFF) are mapped
+ * through bundled tables; bytes below 0x80 are ASCII in every supported code page
+ */
+export class CodePageUtils {
+    /**
+     * Whether text in an encoding can be decoded here
+     * @param {string} encoding - Decoder label (e.g. 'windows-1250', 'cp852')
+     * @returns {boolean}
+     */
+    static isSupported(encoding) {
+        if (SINGLE_BYTE_TABLES[encoding]) {
+            return true;
+        }
+        try {
+            new TextDecoder(encoding);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create a decoder from bytes to text
+     * @param {string} encoding - Decoder label
+     * @returns {Function} (Uint8Array) => string
+     * @throws {Error} If the encoding is not supported
+     */
+    static createDecoder(encoding) {
+        const table = SINGLE_BYTE_TABLES[encoding];
+        if (table) {
+            return (bytes) => {
+                let text = '';
+                for (let i = 0; i < bytes.length; i++) {
+                    text += bytes[i] < 0x80 ? String.fromCharCode(bytes[i]) : table[bytes[i] - 0x80];
+                }
+                return text;
+            };
+        }
+
+        if (!CodePageUtils.isSupported(encoding)) {
+            throw new Error(`Unsupported text encoding: ${encoding}`);
+        }
+        const textDecoder = new TextDecoder(encoding);
+        return (bytes) => textDecoder.decode(bytes);
+    }
+
+    /**
+     * Label to hand to decoders that only take TextDecoder labels (shpjs)
+     * Table code pages are read as x-user-defined, which keeps every byte recoverable for
+     * fixDecodedText()
+     * @param {string} encoding - Decoder label
+     * @returns {string} TextDecoder label
+     */
+    static getTextDecoderLabel(encoding) {
+        return SINGLE_BYTE_TABLES[encoding] ? 'x-user-defined' : encoding;
+    }
+
+    /**
+     * Map text decoded with getTextDecoderLabel() to the characters of a table code page
+     * @param {string} text - Decoded text
+     * @param {string} encoding - Decoder label
+     * @returns {string} Text in the code page (unchanged for TextDecoder encodings)
+     */
+    static fixDecodedText(text, encoding) {
+        const table = SINGLE_BYTE_TABLES[encoding];
+        if (!table || typeof text !== 'string') {
+            return text;
+        }
+        return text.replace(/[\uF780-\uF7FF]/g, (char) => table[char.charCodeAt(0) - USER_DEFINED_OFFSET]);
+    }
+}
@@ -3,6 +3,11 @@ import { FileProcessor } from './FileProcessor.js';
 import { FileModalUI } from './FileModalUI.js';
 import { DeviceUtils } from './DeviceUtils.js';
 import { SpatialIndex } from './SpatialIndex.js';
+import { RTreeIndex } from './RTreeIndex.js';
+import { GeometryUtils } from './GeometryUtils.js';
+import { FilterUtils } from './FilterUtils.js';
+import { DensityUtils } from './DensityUtils.js';
+import { ProjectionUtils } from './ProjectionUtils.js';
 import { StorageConfig } from './SettingsManager.js';
 
 /**
@@ -14,6 +19,8 @@ export class DataLoader {
     constructor() {
         this.spatialIndex = null;
         this.currentFileMetadata = null;
+        this.overlayLayers = []; // Other stored datasets shown on top of the active one
+        this.activeLayerName = null;
 
         // Initialize sub-components
         this.storage = new StorageManager();
@@ -23,6 +30,9 @@ export class DataLoader {
         // Initialize storage and UI
         this.initialize();
 
+        // The running radar can reopen the modal to load other data
+        window.addEventListener('changeDataRequested', () => this.openModal());
+
         // Expose methods to window for console access
         window.dataLoader = this;
     }
@@ -36,18 +46,27 @@ export class DataLoader {
             this.storage.initWorker();
             await this.storage.initDB();
 
+            // Adopt the active dataset from the catalog (registers data saved before datasets existed)
+            const catalog = await this.storage.getCatalog();
+            this.storage.datasetId = catalog.activeId;
+
             // Setup UI event listeners
             this.ui.setupEventListeners({
                 onRestore: () => this.restoreData(),
                 onUploadNew: () => this.ui.showUploadView(),
                 onBack: () => this.ui.showChoiceView(),
-                onFileSelect: (e) => this.handleFileSelect(e)
+                onClose: () => this.ui.hideModal(),
+                onFileSelect: (e) => this.handleFileSelect(e),
+                onRemoveSource: (name) => this.removeStoredSource(name),
+                onSelectDataset: (id) => this.switchDataset(id),
+                onDeleteDataset: (id) => this.deleteDataset(id),
+                onToggleLayer: (id, enabled) => this.toggleLayer(id, enabled)
             });
 
             // Update modal UI with stored metadata
             console.log('Calling updateModalUI...');
-            const metadata = await this.storage.getMetadata();
-            await this.ui.updateUI(metadata);
+            const metadata = catalog.activeId ? await this.storage.getMetadata() : null;
+            await this.ui.updateUI(metadata, catalog);
         } catch (error) {
             console.error('Error during initialization:', error);
             // Show error and allow upload anyway
@@ -81,59 +100,374 @@ export class DataLoader {
     }
 
     /**
-     * Restore buildings data from IndexedDB (spatial index format with lazy loading)
+     * Read an index's features from a stored dataset: geometry chunks on demand,
+     * their properties only when a feature is inspected or filtered
+     * @param {SpatialIndex} spatialIndex - Index whose structure is loaded
+     * @param {string} datasetId - Dataset holding the chunks
+     * @param {number} chunkCount - Number of stored chunks
+     * @returns {number} Applied chunk cache limit
      */
-    async restoreData() {
-        try {
-            console.log('Restoring spatial index from IndexedDB...');
-            this.ui.showStatus('Loading saved data...', 'loading');
-
-            const result = await this.storage.loadSpatialIndex();
-
-            if (result) {
-                // Create spatial index and deserialize (grid structure only)
-                this.spatialIndex = new SpatialIndex();
-                this.spatialIndex.deserialize(result.indexData);
-
-                // Enable lazy loading with chunk loader
-                const cacheOptions = this.getCacheTuningOptions(result.chunkCount);
-                const appliedCache = this.spatialIndex.enableLazyLoading(async (chunkIds) => {
-                    return await this.storage.loadChunks(chunkIds);
-                }, cacheOptions);
-
-                console.log(`🧠 Applied chunk cache limit: ${appliedCache}`);
-
-                // Show stored data info
-                const metadata = result.metadata;
-                if (metadata) {
-                    if (metadata.folderName) {
-                        // Folder metadata
-                        console.log(`📦 Stored folder: ${metadata.folderName} (${metadata.fileCount} files, ${(metadata.totalSize / 1024 / 1024).toFixed(1)}MB)`);
-                    } else if (metadata.filename) {
-                        // Legacy file metadata
-                        console.log(`📦 Stored file: ${metadata.filename} (${(metadata.filesize / 1024 / 1024).toFixed(1)}MB)`);
+    attachStoredChunks(spatialIndex, datasetId, chunkCount) {
+        spatialIndex.setPropertyLoader(async (chunkIds) => {
+            return await this.storage.loadChunkProperties(chunkIds, datasetId);
+        });
+        return spatialIndex.enableLazyLoading(async (chunkIds) => {
+            return await this.storage.loadChunks(chunkIds, datasetId);
+        }, this.getCacheTuningOptions(chunkCount));
+    }
+
+    /**
+     * Create an empty index of the chosen type
+     * @param {string} [indexType] - 'grid' (default) or 'rtree'
+     * @param {Object} [sizing] - {cellSize, chunkDegreeSize} from chooseIndexSizing or a stored index;
+     *   missing values fall back to StorageConfig (cellSize applies to grid indexes only)
+     * @returns {SpatialIndex}
+     */
+    createSpatialIndex(indexType, sizing = {}) {
+        const spatialIndex = indexType === RTreeIndex.INDEX_TYPE ? new RTreeIndex() : new SpatialIndex(sizing.cellSize);
+        if (sizing.chunkDegreeSize) {
+            spatialIndex.chunkDegreeSize = sizing.chunkDegreeSize;
+        }
+        return spatialIndex;
+    }
+
+    /**
+     * Sample each source to see how densely its features are packed
+     * Shapefiles are sampled by an even stride through their .shx record offsets, so each sampled
+     * feature stands for (record count / sampled records) features wherever the file is sorted.
+     * Other formats can only be read from the start: that part is assumed to be in no particular
+     * spatial order, and as a file sorted by region breaks this assumption, a sampled feature
+     * stands for at most StorageConfig.MAX_SAMPLE_WEIGHT features
+     * @param {Array<Object>} sources - Sources about to be imported
+     * @param {Function|null} matchesFilter - Import filter predicate on feature properties
+     * @returns {Promise<Object>} Density sample (see DensityUtils.createSample)
+     */
+    async sampleDensity(sources, matchesFilter = null) {
+        const sample = DensityUtils.createSample();
+        const perSource = Math.max(1, Math.ceil(StorageConfig.DENSITY_SAMPLE_SIZE / sources.length));
+        const accept = (feature) => feature && GeometryUtils.isSupported(feature.geometry) &&
+            (!matchesFilter || matchesFilter(feature.properties || {}));
+
+        for (const source of sources) {
+            if (source.type === 'shapefile') {
+                try {
+                    const strided = await this.fileProcessor.sampleShapefileFeatures(source, perSource, Boolean(matchesFilter));
+                    if (strided) {
+                        const weight = strided.features.length > 0 ? strided.recordCount / strided.features.length : 1;
+                        for (const feature of strided.features.filter(accept)) {
+                            DensityUtils.addFeature(sample, feature, weight);
+                        }
+                        continue;
                     }
-                    console.log(`📅 Uploaded: ${new Date(metadata.uploadDate).toLocaleString()}`);
-                    console.log(`🗺️ Spatial index: ${this.spatialIndex.grid.size} grid cells`);
-                    console.log(`💾 Lazy loading: ${result.chunkCount} chunks available`);
+                } catch (error) {
+                    // The import itself reports unreadable sources
+                    console.warn(`  ⚠️ No density sample from ${source.name}: ${error.message}`);
+                    continue;
                 }
+            }
 
-                // Hide modal since we have data
-                this.ui.hideModal();
-                // Dispatch event with spatial index
-                setTimeout(() => {
-                    window.dispatchEvent(new CustomEvent('buildingsLoaded', {
-                        detail: this.spatialIndex
-                    }));
-                }, 100);
-                return true;
+            const features = [];
+            let read = 0;
+            let readBytes = 0;
+            let complete = true;
+
+            try {
+                for await (const batch of this.fileProcessor.readFeatureBatches(source)) {
+                    for (const feature of batch) {
+                        if (read >= perSource) break;
+                        read++;
+                        readBytes += this.fileProcessor.estimateRecordBytes(source, feature);
+                        if (accept(feature)) {
+                            features.push(feature);
+                        }
+                    }
+                    if (read >= perSource) {
+                        complete = false;
+                        break;
+                    }
+                }
+            } catch (error) {
+                // The import itself reports unreadable sources
+                console.warn(`  ⚠️ No density sample from ${source.name}: ${error.message}`);
+                continue;
+            }
+
+            const total = complete ? read : this.fileProcessor.estimateFeatureCount(source, read, readBytes);
+            const weight = read > 0 ? Math.min(total / read, StorageConfig.MAX_SAMPLE_WEIGHT) : 1;
+            if (weight < total / read) {
+                console.log(`  📐 ${source.name}: sample weight capped at ${weight} (~${total} features, ${read} read)`);
+            }
+            for (const feature of features) {
+                DensityUtils.addFeature(sample, feature, weight);
             }
+        }
+
+        return sample;
+    }
+
+    /**
+     * Pick grid cell and chunk sizes that keep features per cell and per chunk bounded
+     * @param {Object} sample - Density sample (see sampleDensity)
+     * @returns {{cellSize: number, chunkDegreeSize: number}} Sizes in degrees
+     */
+    chooseIndexSizing(sample) {
+        if (sample.weights.length === 0) {
+            return { cellSize: StorageConfig.DEFAULT_CELL_SIZE, chunkDegreeSize: StorageConfig.CHUNK_DEGREE_SIZE };
+        }
+
+        const cell = DensityUtils.chooseSize(
+            sample,
+            DensityUtils.getCandidateSizes(StorageConfig.MIN_CELL_SIZE, StorageConfig.MAX_CELL_SIZE),
+            StorageConfig.TARGET_FEATURES_PER_CELL
+        );
+        // Chunks are never smaller than cells
+        const chunk = DensityUtils.chooseSize(
+            sample,
+            DensityUtils.getCandidateSizes(Math.max(StorageConfig.MIN_CHUNK_DEGREE_SIZE, cell.size), StorageConfig.MAX_CHUNK_DEGREE_SIZE),
+            StorageConfig.CHUNK_SIZE
+        );
+
+        const estimated = Math.round(sample.weights.reduce((sum, weight) => sum + weight, 0));
+        console.log(`📐 Cell size ${cell.size}° (~${Math.round(cell.load)} features per cell), chunk size ${chunk.size}° (~${Math.round(chunk.load)} per chunk), from ${sample.weights.length} sampled of ~${estimated} features`);
+        return { cellSize: cell.size, chunkDegreeSize: chunk.size };
+    }
+
+    /**
+     * Recreate a stored index as the type it was saved with
+     * @param {Object} indexData - Serialized index data
+     * @returns {SpatialIndex}
+     */
+    restoreSpatialIndex(indexData) {
+        const spatialIndex = this.createSpatialIndex(indexData.indexType);
+        spatialIndex.deserialize(indexData);
+        return spatialIndex;
+    }
+
+    /**
+     * Store an index read in the older string cell key format again, so later restores skip the conversion
+     * @param {SpatialIndex} spatialIndex - Deserialized index
+     * @param {Object} stored - Result of StorageManager.loadSpatialIndex
+     * @param {string} datasetId - Dataset the index belongs to
+     */
+    async saveMigratedIndex(spatialIndex, stored, datasetId) {
+        if (!spatialIndex.migratedCellKeys) return;
+
+        const saved = await this.storage.updateSpatialIndex(
+            spatialIndex.serializeStructure(), stored.metadata, stored.chunkCount, [], datasetId
+        );
+        if (saved) {
+            spatialIndex.migratedCellKeys = false;
+            console.log(`💾 Saved dataset ${datasetId || 'default'} with numeric cell IDs`);
+        }
+    }
+
+    /**
+     * Restore buildings data from IndexedDB (spatial index format with lazy loading)
+     */
+    async restoreData() {
+        console.log('Restoring spatial index from IndexedDB...');
+        this.ui.showStatus('Loading saved data...', 'loading');
+
+        const result = await this.storage.loadSpatialIndex();
+        if (!result) {
+            return false;
+        }
+
+        // Create spatial index and deserialize (grid structure only)
+        let spatialIndex;
+        try {
+            spatialIndex = this.restoreSpatialIndex(result.indexData);
         } catch (error) {
             console.error('Failed to restore spatial index:', error);
-            // Clear corrupted data
-            await this.storage.clearData();
+            await this.discardActiveDataset();
+            this.ui.showStatus(`✗ Error: saved data could not be read and was removed (${error.message})`, 'error');
+            return false;
+        }
+
+        this.spatialIndex = spatialIndex;
+        await this.saveMigratedIndex(this.spatialIndex, result, this.storage.datasetId);
+
+        // Enable lazy loading with chunk loader
+        const appliedCache = this.attachStoredChunks(this.spatialIndex, this.storage.datasetId, result.chunkCount);
+
+        console.log(`🧠 Applied chunk cache limit: ${appliedCache}`);
+
+        // Show stored data info
+        const metadata = result.metadata;
+        if (metadata) {
+            if (metadata.folderName) {
+                // Folder metadata
+                console.log(`📦 Stored folder: ${metadata.folderName} (${metadata.fileCount} files, ${(metadata.totalSize / 1024 / 1024).toFixed(1)}MB)`);
+            } else if (metadata.filename) {
+                // Legacy file metadata
+                console.log(`📦 Stored file: ${metadata.filename} (${(metadata.filesize / 1024 / 1024).toFixed(1)}MB)`);
+            }
+            console.log(`📅 Uploaded: ${new Date(metadata.uploadDate).toLocaleString()}`);
+            const indexInfo = this.spatialIndex.getMetadata();
+            if (indexInfo.indexType === RTreeIndex.INDEX_TYPE) {
+                console.log(`🗺️ Spatial index: R-tree with ${indexInfo.treeItems} items`);
+            } else {
+                console.log(`🗺️ Spatial index: ${indexInfo.gridCells} grid cells`);
+            }
+            console.log(`💾 Lazy loading: ${result.chunkCount} chunks available`);
         }
-        return false;
+
+        await this.loadOverlayLayers();
+
+        // Hide modal since we have data
+        this.ui.hideModal();
+        // Dispatch event with spatial index
+        setTimeout(() => {
+            window.dispatchEvent(new CustomEvent('buildingsLoaded', {
+                detail: this.spatialIndex
+            }));
+        }, 100);
+        return true;
+    }
+
+    /**
+     * Delete the active dataset after its stored index turned out to be unreadable
+     * The radar is emptied and the catalog's next dataset becomes the active one
+     */
+    async discardActiveDataset() {
+        await this.storage.clearData();
+        if (this.spatialIndex) {
+            this.clearActiveIndex();
+        }
+        await this.refreshModalUI();
+    }
+
+    /**
+     * Refresh the modal from the dataset catalog and the active dataset's metadata
+     */
+    async refreshModalUI() {
+        const catalog = await this.storage.getCatalog();
+        this.storage.datasetId = catalog.activeId;
+        const metadata = catalog.activeId ? await this.storage.getMetadata() : null;
+        await this.ui.updateUI(metadata, catalog);
+    }
+
+    /**
+     * Reopen the data modal from the running radar
+     * Whatever gets loaded next replaces the radar's spatial index in place
+     */
+    async openModal() {
+        this.ui.setLoading(true);
+        this.ui.showModal(this.spatialIndex !== null);
+        await this.refreshModalUI();
+    }
+
+    /**
+     * Make another stored dataset active and load it
+     * @param {string} datasetId - Catalog dataset ID
+     * @returns {Promise<boolean>} True if the dataset was restored
+     */
+    async switchDataset(datasetId) {
+        try {
+            await this.storage.setActiveDataset(datasetId);
+        } catch (error) {
+            console.error('Failed to switch dataset:', error);
+            this.ui.showStatus(`✗ Error: ${error.message}`, 'error');
+            return false;
+        }
+        return this.restoreData();
+    }
+
+    /**
+     * Delete a stored dataset (index, chunks and catalog entry)
+     * @param {string} datasetId - Catalog dataset ID
+     */
+    async deleteDataset(datasetId) {
+        const wasActive = datasetId === this.storage.datasetId;
+        const wasOverlay = this.overlayLayers.some(layer => layer.id === datasetId);
+        const deleted = await this.storage.clearData(datasetId);
+        if (deleted && wasActive) {
+            this.clearActiveIndex();
+        }
+        await this.refreshModalUI();
+
+        // A deleted overlay disappears from the running radar
+        if (deleted && wasOverlay && this.spatialIndex) {
+            await this.loadOverlayLayers();
+            window.dispatchEvent(new CustomEvent('buildingsLoaded', {
+                detail: this.spatialIndex
+            }));
+        }
+        return deleted;
+    }
+
+    /**
+     * Forget the active index and overlays and empty the running radar
+     */
+    clearActiveIndex() {
+        this.spatialIndex = null;
+        this.overlayLayers = [];
+        window.dispatchEvent(new CustomEvent('buildingsCleared'));
+    }
+
+    /**
+     * Show or hide a stored dataset as an overlay layer
+     * @param {string} datasetId - Catalog dataset ID
+     * @param {boolean} enabled - True to overlay the dataset on the radar
+     */
+    async toggleLayer(datasetId, enabled) {
+        try {
+            await this.storage.setDatasetLayer(datasetId, enabled);
+        } catch (error) {
+            console.error('Failed to update layers:', error);
+            this.ui.showStatus(`✗ Error: ${error.message}`, 'error');
+        }
+        await this.refreshModalUI();
+    }
+
+    /**
+     * Load the spatial indexes of the overlay datasets selected in the catalog
+     * Each index lazily loads chunks from its own dataset; a layer that fails to load is skipped
+     * @returns {Promise<Array<Object>>} Overlay layers {id, name, spatialIndex}
+     */
+    async loadOverlayLayers() {
+        const catalog = await this.storage.getCatalog();
+        const activeEntry = catalog.datasets.find(dataset => dataset.id === this.storage.datasetId);
+        this.activeLayerName = activeEntry ? activeEntry.name : null;
+        this.overlayLayers = [];
+
+        for (const datasetId of catalog.layerIds) {
+            const entry = catalog.datasets.find(dataset => dataset.id === datasetId);
+            if (!entry || datasetId === this.storage.datasetId) continue;
+
+            try {
+                const result = await this.storage.loadSpatialIndex(datasetId);
+                if (!result) {
+                    console.warn(`  ⚠️ Skipping layer ${entry.name}: no stored index`);
+                    continue;
+                }
+
+                const spatialIndex = this.restoreSpatialIndex(result.indexData);
+                await this.saveMigratedIndex(spatialIndex, result, datasetId);
+                this.attachStoredChunks(spatialIndex, datasetId, result.chunkCount);
+
+                this.overlayLayers.push({ id: datasetId, name: entry.name, spatialIndex });
+                console.log(`🗺️ Loaded layer ${entry.name}: ${spatialIndex.getFeatureCount()} features`);
+            } catch (error) {
+                console.warn(`  ⚠️ Skipping layer ${entry.name}: ${error.message}`);
+            }
+        }
+
+        return this.overlayLayers;
+    }
+
+    /**
+     * Get the radar layers: the active dataset followed by the overlays
+     * @returns {Array<{id: string, name: string, spatialIndex: SpatialIndex}>}
+     */
+    getLayers() {
+        if (!this.spatialIndex) {
+            return [];
+        }
+        return [
+            { id: this.storage.datasetId || 'default', name: this.activeLayerName || 'Buildings', spatialIndex: this.spatialIndex },
+            ...this.overlayLayers
+        ];
     }
 
     /**
@@ -145,36 +479,83 @@ export class DataLoader {
 
         // Detect if this is a folder upload (multiple files) or single file
         const isFolder = files.length > 1 || (files[0] && files[0].webkitRelativePath);
+        // Streamed formats go through the same chunked pipeline as folders
+        const isStreamedFile = files.length === 1 && this.fileProcessor.detectFileFormat(files[0].name) !== null;
+        // Zip bundles are unpacked in the browser and imported like a folder
+        const hasArchives = Array.from(files).some(file => this.fileProcessor.isZipArchive(file.name));
 
         // Log selection event
         if (window.crashLogger) {
             window.crashLogger.logEvent('FILE_SELECT', {
                 isFolder: isFolder,
+                hasArchives: hasArchives,
                 fileCount: files.length,
                 firstFile: files[0]?.name
             });
         }
 
-        // Clear any existing data before uploading new data
-        const storedMetadata = await this.storage.getMetadata();
-        if (storedMetadata) {
-            console.log(`🗑️ Clearing old data: ${storedMetadata.folderName || storedMetadata.filename}`);
-            await this.storage.clearData();
+        // Create a new dataset, or add to / replace the active one
+        const mode = this.ui.getImportMode();
+        const storedMetadata = this.storage.datasetId ? await this.storage.getMetadata() : null;
+        const append = !!storedMetadata && mode === 'append';
+        const previousDatasetId = this.storage.datasetId;
+
+        // A replacement is saved as a new dataset and the old one deleted only once that save succeeds
+        const replaceDatasetId = storedMetadata && mode === 'replace' ? previousDatasetId : null;
+        if (!append) {
+            const datasetName = this.ui.getDatasetName() || files[0].name;
+            this.storage.datasetId = this.storage.createDatasetId(datasetName);
+            console.log(`📚 Creating dataset ${this.storage.datasetId}`);
         }
 
-        if (isFolder) {
-            await this.handleFolderUpload(files);
+        // Encoding override applies to shapefiles without a .cpg companion
+        this.fileProcessor.setDefaultEncoding(this.ui.getSelectedEncoding());
+
+        const options = { append, replaceDatasetId, datasetName: this.ui.getDatasetName() };
+        let loaded;
+        if (isFolder || isStreamedFile || hasArchives || append) {
+            loaded = await this.handleFolderUpload(files, options);
         } else {
-            await this.handleSingleFileUpload(files[0]);
+            loaded = await this.handleSingleFileUpload(files[0], options);
+        }
+
+        // A failed import leaves the previous dataset active
+        if (!loaded && this.storage.datasetId !== previousDatasetId) {
+            await this.discardFailedDataset(previousDatasetId);
+        }
+    }
+
+    /**
+     * Drop whatever a failed import saved of its new dataset and go back to the previous one
+     * @param {string|null} previousDatasetId - Dataset active before the import
+     */
+    async discardFailedDataset(previousDatasetId) {
+        // A save that got as far as the catalog made the new dataset active
+        await this.storage.clearData();
+        try {
+            if (previousDatasetId) {
+                await this.storage.setActiveDataset(previousDatasetId);
+            }
+        } catch (error) {
+            console.error('Failed to reactivate the previous dataset:', error);
         }
+        const catalog = await this.storage.getCatalog();
+        this.storage.datasetId = catalog.activeId;
     }
 
     /**
-     * Handle folder upload with multiple shapefiles
+     * Handle folder upload with multiple shapefiles and/or GeoJSON, KML and CSV files
+     * Zip archives in the selection are unpacked first and their entries grouped like folder files
+     * @param {FileList|Array<File>} files - Selected files
+     * @param {Object} options - {append: true} merges the sources into the stored dataset,
+     *   replaceDatasetId is deleted once the new dataset is saved,
+     *   datasetName names a new dataset (defaults to the folder name)
+     * @returns {Promise<boolean>} True if the data was indexed and saved
      */
-    async handleFolderUpload(files) {
+    async handleFolderUpload(files, options = {}) {
+        const append = !!options.append;
         const folderPath = files[0].webkitRelativePath;
-        const folderName = folderPath ? folderPath.split('/')[0] : 'shapefiles';
+        const folderName = folderPath ? folderPath.split('/')[0] : (files.length === 1 ? files[0].name : 'shapefiles');
 
         console.log(`📂 Uploading folder: ${folderName} with ${files.length} files`);
         this.ui.showStatus(`Loading folder with ${files.length} files...`, 'loading');
@@ -189,6 +570,7 @@ export class DataLoader {
 
         // Create metadata for the folder
         this.currentFileMetadata = {
+            name: options.datasetName || folderName,
             folderName: folderName,
             fileCount: files.length,
             totalSize: totalSize,
@@ -207,151 +589,116 @@ export class DataLoader {
                 });
             }
 
-            // Group shapefiles once to know processing order
-            const shapefileGroups = this.fileProcessor.groupShapefilesByName(files);
-            console.log(`Found ${shapefileGroups.length} shapefiles in folder`);
+            // Unpack zip bundles so their shapefiles go through the same per-source pipeline
+            const selectedFiles = await this.fileProcessor.expandZipArchives(files);
+
+            // Group shapefiles and other data files once to know processing order
+            const sources = this.fileProcessor.groupDataSources(selectedFiles);
+            console.log(`Found ${sources.length} data sources in folder`);
 
-            if (shapefileGroups.length === 0) {
-                throw new Error('No valid shapefiles found in the selected folder');
+            if (sources.length === 0) {
+                throw new Error('No valid shapefiles, GeoJSON, KML or CSV files found in the selection');
             }
 
-            this.spatialIndex = new SpatialIndex();
-            const chunkBoundaries = [];
+            // Detect coordinate systems and DBF code pages up front so an unsupported .prj or .cpg fails
+            // the import loudly, and let the user confirm coordinate columns of CSV files before any parsing starts
+            for (const source of sources) {
+                if (source.type === 'shapefile') {
+                    await this.fileProcessor.detectProjection(source);
+                    if (source.files.dbf) {
+                        await this.fileProcessor.resolveEncoding(source);
+                    }
+                } else if (source.type === 'csv') {
+                    const preview = await this.fileProcessor.previewCSV(source.file);
+                    this.ui.showStatus(`Confirm coordinate columns for ${source.file.name}`, 'loading');
+                    const mapping = await this.ui.promptColumnMapping(source.file.name, preview, ProjectionUtils.getSupportedCRS());
+                    if (!mapping) {
+                        throw new Error(`CSV import cancelled for ${source.file.name}`);
+                    }
+                    source.csvMapping = { ...mapping, delimiter: preview.delimiter };
+                }
+            }
 
-            // Stream each shapefile into the spatial index without keeping all copies
-            for (let i = 0; i < shapefileGroups.length; i++) {
-                const group = shapefileGroups[i];
-                this.ui.showStatus(`Processing shapefile ${i + 1}/${shapefileGroups.length}: ${group.name}`, 'loading');
-                console.log(`📂 Processing shapefile ${i + 1}/${shapefileGroups.length}: ${group.name}`);
+            // Optional attribute filter, built from the DBF fields of the first shapefile and applied to every source
+            const matchesFilter = await this.promptImportFilter(sources);
 
-                try {
-                    const geojson = await this.fileProcessor.parseShapefileGroup(group);
-
-                    if (geojson && Array.isArray(geojson.features) && geojson.features.length > 0) {
-                        const shapefileStart = this.spatialIndex.allFeatures.length;
-                        const chunkGroups = new Map();
-                        const chunkSizeDeg = StorageConfig.CHUNK_DEGREE_SIZE || 0.1;
-
-                        for (const feature of geojson.features) {
-                            if (!feature || feature.geometry?.type !== 'Point') {
-                                continue;
-                            }
-
-                            const [lon, lat] = feature.geometry.coordinates || [];
-                            if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
-                                continue;
-                            }
-
-                            const taggedFeature = {
-                                ...feature,
-                                properties: {
-                                    ...feature.properties,
-                                    _sourceShapefile: group.name
-                                }
-                            };
-
-                            const chunkX = Math.floor(lon / chunkSizeDeg);
-                            const chunkY = Math.floor(lat / chunkSizeDeg);
-                            const chunkKey = `${chunkX},${chunkY}`;
-
-                            if (!chunkGroups.has(chunkKey)) {
-                                chunkGroups.set(chunkKey, []);
-                            }
-                            chunkGroups.get(chunkKey).push(taggedFeature);
-                        }
+            // New sources are indexed on their own; appending merges them into the stored index afterwards,
+            // so they use the stored index type and sizes instead of choosing new ones
+            const storedIndex = append ? await this.storage.loadSpatialIndex() : null;
+            if (append && !storedIndex) {
+                throw new Error('No stored dataset to add to');
+            }
 
-                        const sortedChunkKeys = Array.from(chunkGroups.keys()).sort((a, b) => {
-                            const [ax, ay] = a.split(',').map(Number);
-                            const [bx, by] = b.split(',').map(Number);
-                            if (ax === bx) {
-                                return ay - by;
-                            }
-                            return ax - bx;
-                        });
-
-                        let shapefileChunks = 0;
-
-                        for (const chunkKey of sortedChunkKeys) {
-                            const featuresInChunk = chunkGroups.get(chunkKey);
-                            if (!featuresInChunk || featuresInChunk.length === 0) {
-                                continue;
-                            }
-
-                            const chunkStart = this.spatialIndex.allFeatures.length;
-
-                            for (const feature of featuresInChunk) {
-                                this.spatialIndex.addFeature(feature);
-                            }
-
-                            const chunkEnd = this.spatialIndex.allFeatures.length;
-
-                            if (chunkEnd > chunkStart) {
-                                const chunkLabel = chunkKey.replace(',', '_');
-                                chunkBoundaries.push({
-                                    start: chunkStart,
-                                    end: chunkEnd,
-                                    shapefileName: `${group.name}_${chunkLabel}`
-                                });
-                                shapefileChunks++;
-                            }
-                        }
+            // The new index replaces this.spatialIndex only once it is saved, so a failed import
+            // leaves the running radar and the dataset actions on the previous index
+            let spatialIndex;
+            if (storedIndex) {
+                spatialIndex = this.createSpatialIndex(storedIndex.indexData.indexType, storedIndex.indexData);
+            } else {
+                this.ui.showStatus('Sampling building density...', 'loading');
+                const sizing = this.chooseIndexSizing(await this.sampleDensity(sources, matchesFilter));
+                spatialIndex = this.createSpatialIndex(this.ui.getIndexType(), sizing);
+            }
+            const chunkBoundaries = [];
 
-                        const shapefileEnd = this.spatialIndex.allFeatures.length;
-                        const shapefileFeatureCount = shapefileEnd - shapefileStart;
+            // Stream each source into the spatial index without keeping all copies
+            for (let i = 0; i < sources.length; i++) {
+                const source = sources[i];
+                this.ui.showStatus(`Processing ${source.type} ${i + 1}/${sources.length}: ${source.name}`, 'loading');
+                console.log(`📂 Processing ${source.type} ${i + 1}/${sources.length}: ${source.name}`);
 
-                        if (shapefileFeatureCount === 0) {
-                            console.warn(`  ⚠️ No point features indexed from ${group.name}`);
-                        } else {
-                            console.log(`  ✓ Indexed ${shapefileFeatureCount} features from ${group.name} across ${shapefileChunks} chunks`);
-                        }
-                    }
+                try {
+                    await this.indexDataSource(spatialIndex, source, chunkBoundaries, matchesFilter);
 
                     if (DeviceUtils.isMobileDevice()) {
                         await new Promise(resolve => setTimeout(resolve, 100));
                     }
                 } catch (error) {
-                    console.warn(`  ⚠️ Skipping ${group.name}: ${error.message}`);
+                    // Unsupported coordinate systems must stop the import rather than silently drop data
+                    if (error.code === ProjectionUtils.UNSUPPORTED_CRS) {
+                        throw error;
+                    }
+                    console.warn(`  ⚠️ Skipping ${source.name}: ${error.message}`);
                 }
             }
 
-            const featureCount = this.spatialIndex.getFeatureCount();
+            const featureCount = spatialIndex.getFeatureCount();
+
+            if (this.currentFileMetadata.importFilter) {
+                const excludedCount = sources.reduce((sum, source) => sum + (source.filteredOut || 0), 0);
+                this.currentFileMetadata.importFilter.excludedCount = excludedCount;
+                console.log(`🔎 Import filter excluded ${excludedCount} features`);
+            }
 
             if (window.crashLogger) {
                 window.crashLogger.logEvent('FOLDER_LOAD_COMPLETE', {
                     featureCount,
-                    shapefileCount: shapefileGroups.length,
+                    sourceCount: sources.length,
                     chunkCount: chunkBoundaries.length
                 });
             }
 
-            console.log(`Indexed ${featureCount} features from ${shapefileGroups.length} shapefiles across ${chunkBoundaries.length} chunks, memory:`, DeviceUtils.checkMemory());
+            console.log(`Indexed ${featureCount} features from ${sources.length} sources across ${chunkBoundaries.length} chunks, memory:`, DeviceUtils.checkMemory());
 
             if (featureCount === 0) {
-                throw new Error('No features could be loaded from any shapefile');
+                const sourceLabel = sources.length === 1 ? (sources[0].file?.name || sources[0].name) : `any of the ${sources.length} sources`;
+                throw new Error(matchesFilter
+                    ? 'No features match the import filter'
+                    : `No features could be loaded from ${sourceLabel}`);
             }
 
             this.ui.showStatus('Preparing to save...', 'loading');
             if (window.crashLogger) {
                 window.crashLogger.logEvent('SAVING_SPATIAL_INDEX', {
                     featureCount,
-                    shapefileCount: shapefileGroups.length,
+                    sourceCount: sources.length,
                     chunkCount: chunkBoundaries.length
                 });
             }
 
             console.log(`🗂️ Chunk boundaries:`, chunkBoundaries.map(cb => `${cb.shapefileName}: [${cb.start}-${cb.end})`).join(', '));
 
-            const indexData = this.spatialIndex.serialize(chunkBoundaries);
-
-            const getChunk = async (chunkId) => {
-                const boundary = chunkBoundaries[chunkId];
-                if (!boundary) {
-                    return [];
-                }
-                return this.spatialIndex.getFeatureRange(boundary.start, boundary.end);
-            };
-
-            await this.storage.saveSpatialIndexStreaming(indexData, chunkBoundaries.length, getChunk, this.currentFileMetadata, (progress) => {
+            const onSaveProgress = (progress) => {
                 if (progress.phase === 'init') {
                     this.ui.showStatus('Initializing storage...', 'loading');
                 } else if (progress.phase === 'saving') {
@@ -360,17 +707,45 @@ export class DataLoader {
                 } else if (progress.phase === 'finalizing') {
                     this.ui.showStatus('Finalizing save...', 'loading');
                 }
-            });
+            };
+
+            if (append) {
+                spatialIndex = await this.appendToStoredData(storedIndex, spatialIndex, chunkBoundaries, onSaveProgress);
+            } else {
+                const indexData = spatialIndex.serialize(chunkBoundaries);
+                this.currentFileMetadata.sources = spatialIndex.getSources();
+
+                const getChunk = async (chunkId) => {
+                    const boundary = chunkBoundaries[chunkId];
+                    if (!boundary) {
+                        return [];
+                    }
+                    return spatialIndex.getChunkData(boundary.start, boundary.end);
+                };
+
+                const saved = await this.storage.saveSpatialIndexStreaming(indexData, chunkBoundaries.length, getChunk, this.currentFileMetadata, onSaveProgress);
+                if (!saved) {
+                    throw new Error('Failed to save the dataset');
+                }
+            }
+
+            // A replaced dataset is deleted only now that its replacement is saved
+            if (options.replaceDatasetId) {
+                console.log(`🗑️ Clearing old data: ${options.replaceDatasetId}`);
+                await this.storage.clearData(options.replaceDatasetId);
+            }
 
             // Enable lazy loading with chunk loader (needed for queries to work)
-            const cacheOptions = this.getCacheTuningOptions(chunkBoundaries.length);
-            const appliedCache = this.spatialIndex.enableLazyLoading(async (chunkIds) => {
-                return await this.storage.loadChunks(chunkIds);
-            }, cacheOptions);
+            const appliedCache = this.attachStoredChunks(spatialIndex, this.storage.datasetId, spatialIndex.chunkBoundaries.length);
+            this.spatialIndex = spatialIndex;
 
             console.log(`🧠 Applied chunk cache limit: ${appliedCache}`);
 
-            this.ui.showStatus(`✓ Loaded ${featureCount} buildings successfully!`, 'success');
+            await this.loadOverlayLayers();
+
+            this.ui.showStatus(append
+                ? `✓ Added ${featureCount} buildings (${this.spatialIndex.getFeatureCount()} total)`
+                : `✓ Loaded ${featureCount} buildings successfully!`, 'success');
 
             setTimeout(() => {
                 this.ui.hideModal();
@@ -378,6 +753,7 @@ export class DataLoader {
                     detail: this.spatialIndex
                 }));
             }, 1000);
+            return true;
         } catch (error) {
             console.error('Error loading folder:', error);
 
@@ -398,21 +774,317 @@ export class DataLoader {
             if (error.message.includes('memory') || error.name === 'RangeError') {
                 errorMsg = 'Data too large for this device. Try a smaller dataset.';
             } else if (error.message.includes('No valid shapefiles')) {
-                errorMsg = 'No valid shapefiles found in folder. Please select a folder with .shp files.';
+                errorMsg = 'No supported data found. Please select a folder or .zip with .shp files, or a .geojson/.geojsonl/.kml/.kmz/.csv file.';
             }
 
             this.ui.showStatus(`✗ Error: ${errorMsg}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Ask for import filter conditions when filtering is enabled in the upload view
+     * The DBF fields of the first shapefile are offered; the filter is recorded in the metadata
+     * @param {Array<Object>} sources - Sources about to be imported
+     * @returns {Promise<Function|null>} Properties predicate, or null to import everything
+     */
+    async promptImportFilter(sources) {
+        if (!this.ui.isImportFilterEnabled()) {
+            return null;
+        }
+
+        const shapefile = sources.find(source => source.type === 'shapefile');
+        if (!shapefile) {
+            console.warn('⚠️ Import filter needs a shapefile to list fields from, importing everything');
+            return null;
+        }
+
+        this.ui.showStatus(`Reading attribute fields of ${shapefile.name}...`, 'loading');
+        const fields = await this.fileProcessor.previewShapefileFields(shapefile);
+        if (fields.length === 0) {
+            console.warn(`⚠️ ${shapefile.name} has no attribute fields, importing everything`);
+            return null;
+        }
+
+        this.ui.showStatus(`Choose which features of ${shapefile.name} to import`, 'loading');
+        const conditions = await this.ui.promptImportFilter(shapefile.name, fields);
+        if (!conditions) {
+            throw new Error('Import cancelled');
+        }
+        if (conditions.length === 0) {
+            return null;
+        }
+
+        const description = FilterUtils.describe(conditions);
+        console.log(`🔎 Import filter: ${description}`);
+        this.currentFileMetadata.importFilter = { conditions, description };
+        return FilterUtils.createMatcher(conditions);
+    }
+
+    /**
+     * Stream one data source into the spatial index, grouping its features into spatial chunks
+     * Features are tagged with their source name and appended chunk by chunk so each chunk
+     * occupies a contiguous index range recorded in chunkBoundaries. A group is flushed as soon as
+     * it reaches StorageConfig.CHUNK_SIZE features, so at most one partial chunk per cell is buffered
+     * @param {SpatialIndex} spatialIndex - Index being built
+     * @param {Object} source - Source from FileProcessor.groupDataSources
+     * @param {Array} chunkBoundaries - Boundaries array to append to
+     * @param {Function|null} matchesFilter - Import filter predicate on feature properties
+     * @returns {Promise<number>} Number of features indexed from this source
+     */
+    async indexDataSource(spatialIndex, source, chunkBoundaries, matchesFilter = null) {
+        const sourceStart = spatialIndex.getFeatureCount();
+        const chunkGroups = new Map();
+        const chunkSizeDeg = spatialIndex.chunkDegreeSize;
+        let sourceChunks = 0;
+        source.filteredOut = 0;
+
+        for await (const batch of this.fileProcessor.readFeatureBatches(source)) {
+            for (const feature of batch) {
+                if (!feature || !GeometryUtils.isSupported(feature.geometry)) {
+                    continue;
+                }
+
+                // Skip features excluded by the import filter before they reach the index
+                if (matchesFilter && !matchesFilter(feature.properties || {})) {
+                    source.filteredOut++;
+                    continue;
+                }
+
+                // Polygons are assigned to the chunk containing their bounding box center
+                const [lon, lat] = GeometryUtils.getRepresentativePoint(feature.geometry) || [];
+                if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+                    continue;
+                }
+
+                const taggedFeature = {
+                    ...feature,
+                    properties: {
+                        ...feature.properties,
+                        _sourceShapefile: source.name
+                    }
+                };
+
+                const chunkX = Math.floor(lon / chunkSizeDeg);
+                const chunkY = Math.floor(lat / chunkSizeDeg);
+                const chunkKey = `${chunkX},${chunkY}`;
+
+                if (!chunkGroups.has(chunkKey)) {
+                    chunkGroups.set(chunkKey, []);
+                }
+                const group = chunkGroups.get(chunkKey);
+                group.push(taggedFeature);
+
+                // Full groups go to the index right away instead of buffering the whole source
+                if (group.length >= StorageConfig.CHUNK_SIZE) {
+                    this.flushChunkGroup(spatialIndex, source, chunkKey, group, chunkBoundaries);
+                    chunkGroups.delete(chunkKey);
+                    sourceChunks++;
+                }
+            }
+        }
+
+        const sortedChunkKeys = Array.from(chunkGroups.keys()).sort((a, b) => {
+            const [ax, ay] = a.split(',').map(Number);
+            const [bx, by] = b.split(',').map(Number);
+            if (ax === bx) {
+                return ay - by;
+            }
+            return ax - bx;
+        });
+
+        for (const chunkKey of sortedChunkKeys) {
+            if (this.flushChunkGroup(spatialIndex, source, chunkKey, chunkGroups.get(chunkKey), chunkBoundaries)) {
+                sourceChunks++;
+            }
+
+            // Release the chunk group as soon as it is indexed
+            chunkGroups.delete(chunkKey);
+        }
+
+        const sourceFeatureCount = spatialIndex.getFeatureCount() - sourceStart;
+
+        if (sourceFeatureCount === 0) {
+            console.warn(`  ⚠️ No supported features indexed from ${source.name}`);
+        } else {
+            console.log(`  ✓ Indexed ${sourceFeatureCount} features from ${source.name} across ${sourceChunks} chunks${source.filteredOut ? ` (${source.filteredOut} filtered out)` : ''}`);
+        }
+
+        return sourceFeatureCount;
+    }
+
+    /**
+     * Append one chunk group to the spatial index and record its boundary
+     * @param {SpatialIndex} spatialIndex - Index being built
+     * @param {Object} source - Source the features came from
+     * @param {string} chunkKey - "x,y" chunk cell of the group
+     * @param {Array<Object>} features - Tagged features of the group
+     * @param {Array} chunkBoundaries - Boundaries array to append to
+     * @returns {boolean} True if a chunk was added
+     */
+    flushChunkGroup(spatialIndex, source, chunkKey, features, chunkBoundaries) {
+        const chunkStart = spatialIndex.getFeatureCount();
+
+        for (const feature of features) {
+            spatialIndex.addFeature(feature);
+        }
+
+        const chunkEnd = spatialIndex.getFeatureCount();
+        if (chunkEnd === chunkStart) {
+            return false;
+        }
+
+        chunkBoundaries.push({
+            start: chunkStart,
+            end: chunkEnd,
+            shapefileName: `${source.name}_${chunkKey.replace(',', '_')}`,
+            sourceName: source.name,
+            sourcePath: source.path
+        });
+        return true;
+    }
+
+    /**
+     * Merge freshly indexed sources into the stored dataset
+     * Only the new chunks are written; a source imported again under the same path
+     * replaces its previous chunks
+     * @param {Object} stored - Result of StorageManager.loadSpatialIndex
+     * @param {SpatialIndex} newIndex - Index holding only the new features
+     * @param {Array} chunkBoundaries - Chunk boundaries of newIndex
+     * @param {Function} onProgress - Save progress callback
+     * @returns {Promise<SpatialIndex>} Merged index (features stay in IndexedDB)
+     */
+    async appendToStoredData(stored, newIndex, chunkBoundaries, onProgress) {
+        const mergedIndex = this.restoreSpatialIndex(stored.indexData);
+
+        // Sources stored before paths were recorded are keyed by base name only and replaced by name
+        const legacyNames = new Set(mergedIndex.chunkBoundaries
+            .filter(boundary => !boundary.removed && !boundary.sourcePath)
+            .map(boundary => mergedIndex.getBoundarySourceName(boundary)));
+
+        const deleteChunkIds = [];
+        const replaced = new Map(chunkBoundaries.map(boundary => [boundary.sourcePath, boundary.sourceName]));
+        for (const [sourcePath, sourceName] of replaced) {
+            for (const key of legacyNames.has(sourceName) ? [sourcePath, sourceName] : [sourcePath]) {
+                const { removedChunkIds, affectedCells } = mergedIndex.removeSource(key);
+                if (removedChunkIds.length > 0) {
+                    console.log(`♻️ Replacing ${key}: ${removedChunkIds.length} old chunks, ${affectedCells} cells`);
+                    deleteChunkIds.push(...removedChunkIds);
+                }
+            }
+        }
+
+        // Chunks replaced now are deleted only with the index update below, so their IDs are not reused yet
+        const { chunkIds, affectedCells } = mergedIndex.appendIndex(newIndex, chunkBoundaries, deleteChunkIds);
+        console.log(`➕ Appending ${chunkBoundaries.length} chunks as [${chunkIds.join(', ')}], ${affectedCells} cells updated`);
+
+        // New chunks go in first so the stored index never references a missing record
+        const saved = await this.storage.appendChunksStreaming(chunkIds, async (i) => {
+            const boundary = chunkBoundaries[i];
+            return newIndex.getChunkData(boundary.start, boundary.end);
+        }, onProgress);
+        if (!saved) {
+            throw new Error('Failed to save new chunks');
+        }
+
+        const previous = stored.metadata || {};
+        const metadata = {
+            ...previous,
+            fileCount: (previous.fileCount || 0) + this.currentFileMetadata.fileCount,
+            totalSize: (previous.totalSize || 0) + this.currentFileMetadata.totalSize,
+            uploadDate: this.currentFileMetadata.uploadDate,
+            importFilter: this.currentFileMetadata.importFilter || previous.importFilter,
+            sources: mergedIndex.getSources()
+        };
+
+        onProgress({ phase: 'finalizing' });
+        const updated = await this.storage.updateSpatialIndex(
+            mergedIndex.serializeStructure(),
+            metadata,
+            mergedIndex.chunkBoundaries.length,
+            deleteChunkIds
+        );
+        if (!updated) {
+            throw new Error('Failed to update stored index');
+        }
+
+        this.currentFileMetadata = metadata;
+        return mergedIndex;
+    }
+
+    /**
+     * Remove one previously imported source from the stored dataset
+     * Only the grid cells that referenced its chunks are rebuilt
+     * @param {string} sourceName - Source key as listed by SpatialIndex.getSources (its path in the upload)
+     * @returns {Promise<boolean>} True if the source was removed
+     */
+    async removeStoredSource(sourceName) {
+        try {
+            this.ui.showStatus(`Removing ${sourceName}...`, 'loading');
+
+            const stored = await this.storage.loadSpatialIndex();
+            if (!stored) {
+                throw new Error('No stored dataset');
+            }
+
+            const index = this.restoreSpatialIndex(stored.indexData);
+
+            const { removedChunkIds, removedFeatures, affectedCells } = index.removeSource(sourceName);
+            if (removedChunkIds.length === 0) {
+                throw new Error(`${sourceName} is not part of the stored dataset`);
+            }
+
+            const sources = index.getSources();
+            if (sources.length === 0) {
+                await this.storage.clearData();
+                if (this.spatialIndex) {
+                    this.clearActiveIndex();
+                }
+            } else {
+                const metadata = { ...stored.metadata, sources };
+                const updated = await this.storage.updateSpatialIndex(index.serializeStructure(), metadata, index.chunkBoundaries.length, removedChunkIds);
+                if (!updated) {
+                    throw new Error('Failed to update stored index');
+                }
+
+                // Hot-swap the running radar to the reduced index
+                if (this.spatialIndex) {
+                    this.attachStoredChunks(index, this.storage.datasetId, index.chunkBoundaries.length);
+                    this.spatialIndex = index;
+                    window.dispatchEvent(new CustomEvent('buildingsLoaded', {
+                        detail: this.spatialIndex
+                    }));
+                }
+            }
+
+            console.log(`🗑️ Removed ${sourceName}: ${removedFeatures} features, ${removedChunkIds.length} chunks, ${affectedCells} cells rebuilt`);
+
+            await this.refreshModalUI();
+            this.ui.showUploadView();
+            this.ui.showStatus(`✓ Removed ${sourceName} (${removedFeatures} buildings)`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to remove source:', error);
+            this.ui.showStatus(`✗ Error: ${error.message}`, 'error');
+            return false;
         }
     }
 
     /**
      * Handle single file upload (legacy support)
+     * @param {File} file - Data file
+     * @param {Object} options - datasetName names the new dataset (defaults to the file name),
+     *   replaceDatasetId is deleted once it is saved
+     * @returns {Promise<boolean>} True if the data was indexed and saved
      */
-    async handleSingleFileUpload(file) {
+    async handleSingleFileUpload(file, options = {}) {
         console.log(`📂 Uploading single file: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)}MB)`);
 
         // Store file metadata for saving later
-        this.currentFileMetadata = this.fileProcessor.createMetadata(file);
+        this.currentFileMetadata = {
+            ...this.fileProcessor.createMetadata(file),
+            name: options.datasetName || file.name
+        };
 
         // Show processing status for large files
         const sizeMB = (file.size / 1024 / 1024).toFixed(1);
@@ -446,12 +1118,20 @@ export class DataLoader {
             this.ui.showStatus('Building spatial index...', 'loading');
             console.log('Building spatial index from features...');
 
-            this.spatialIndex = new SpatialIndex();
             const geojson = this.fileProcessor.convertToGeoJSON(data);
 
+            // Every feature is in memory already, so the density sample is an even stride through them
+            const sample = DensityUtils.createSample();
+            const step = Math.max(1, Math.ceil(geojson.features.length / StorageConfig.DENSITY_SAMPLE_SIZE));
+            for (let i = 0; i < geojson.features.length; i += step) {
+                DensityUtils.addFeature(sample, geojson.features[i], step);
+            }
+            // Kept local until saved, like handleFolderUpload
+            const spatialIndex = this.createSpatialIndex(this.ui.getIndexType(), this.chooseIndexSizing(sample));
+
             // Index features (this is fast and memory-efficient)
-            this.spatialIndex.indexFeatures(geojson);
-            const featureCount = this.spatialIndex.getFeatureCount();
+            spatialIndex.indexFeatures(geojson);
+            const featureCount = spatialIndex.getFeatureCount();
 
             console.log(`Indexed ${featureCount} features, memory:`, DeviceUtils.checkMemory());
 
@@ -469,14 +1149,14 @@ export class DataLoader {
             }];
             console.log(`🗂️ Single file chunk boundary: [0-${featureCount})`);
 
-            const indexData = this.spatialIndex.serialize(chunkBoundaries);
+            const indexData = spatialIndex.serialize(chunkBoundaries);
 
             // Create single chunk with all features
-            const featureChunks = [this.spatialIndex.allFeatures];
+            const featureChunks = [spatialIndex.getChunkData(0, featureCount)];
             console.log(`📦 Created 1 chunk (entire file)`);
 
             // Save with progress callback
-            await this.storage.saveSpatialIndex(indexData, featureChunks, this.currentFileMetadata, (progress) => {
+            const saved = await this.storage.saveSpatialIndex(indexData, featureChunks, this.currentFileMetadata, (progress) => {
                 // Update UI with progress
                 if (progress.phase === 'init') {
                     this.ui.showStatus('Initializing storage...', 'loading');
@@ -486,15 +1166,24 @@ export class DataLoader {
                     this.ui.showStatus('Finalizing save...', 'loading');
                 }
             });
+            if (!saved) {
+                throw new Error('Failed to save the dataset');
+            }
+
+            // A replaced dataset is deleted only now that its replacement is saved
+            if (options.replaceDatasetId) {
+                console.log(`🗑️ Clearing old data: ${options.replaceDatasetId}`);
+                await this.storage.clearData(options.replaceDatasetId);
+            }
 
             // Enable lazy loading with chunk loader (needed for queries to work)
-            const cacheOptions = this.getCacheTuningOptions(chunkBoundaries.length);
-            const appliedCache = this.spatialIndex.enableLazyLoading(async (chunkIds) => {
-                return await this.storage.loadChunks(chunkIds);
-            }, cacheOptions);
+            const appliedCache = this.attachStoredChunks(spatialIndex, this.storage.datasetId, chunkBoundaries.length);
+            this.spatialIndex = spatialIndex;
 
             console.log(`🧠 Applied chunk cache limit: ${appliedCache}`);
 
+            await this.loadOverlayLayers();
+
             this.ui.showStatus(`✓ Loaded ${featureCount} buildings successfully!`, 'success');
 
             setTimeout(() => {
@@ -503,6 +1192,7 @@ export class DataLoader {
                     detail: this.spatialIndex
                 }));
             }, 1000);
+            return true;
         } catch (error) {
             console.error('Error loading shapefile:', error);
 
@@ -527,6 +1217,7 @@ export class DataLoader {
             }
 
             this.ui.showStatus(`✗ Error: ${errorMsg}`, 'error');
+            return false;
         }
     }
 
@@ -553,8 +1244,10 @@ export class DataLoader {
             info.featureCount = this.spatialIndex?.getFeatureCount() || 0;
             if (this.spatialIndex) {
                 const metadata = this.spatialIndex.getMetadata();
+                info.indexType = metadata.indexType;
                 info.gridCells = metadata.gridCells;
                 info.cellSize = metadata.cellSize;
+                info.chunkDegreeSize = metadata.chunkDegreeSize;
             }
         }
         return info;
@@ -0,0 +1,106 @@
+import { GeometryUtils } from './GeometryUtils.js';
+
+/**
+ * DensityUtils - Picks grid cell and chunk sizes from a sample of feature positions
+ * A sample holds representative points (flat lon/lat pairs) and how many features each
+ * point stands for, so partly read sources can be scaled up to their estimated size.
+ */
+export class DensityUtils {
+    /**
+     * Create an empty sample
+     * @returns {{points: Array<number>, weights: Array<number>}}
+     */
+    static createSample() {
+        return { points: [], weights: [] };
+    }
+
+    /**
+     * Add the representative point of a feature to a sample
+     * @param {Object} sample - Result of createSample()
+     * @param {Object} feature - GeoJSON feature
+     * @param {number} weight - Number of features the point stands for
+     * @returns {boolean} True if the feature has a usable position
+     */
+    static addFeature(sample, feature, weight = 1) {
+        const [lon, lat] = GeometryUtils.getRepresentativePoint(feature?.geometry) || [];
+        if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+            return false;
+        }
+        sample.points.push(lon, lat);
+        sample.weights.push(weight);
+        return true;
+    }
+
+    /**
+     * Candidate sizes in 1-2-5 steps per decade, e.g. 0.001, 0.002, 0.005, 0.01, ...
+     * @param {number} min - Smallest size in degrees
+     * @param {number} max - Largest size in degrees
+     * @returns {Array<number>} Sizes in ascending order
+     */
+    static getCandidateSizes(min, max) {
+        const sizes = [];
+        for (let decade = Math.floor(Math.log10(min)); 10 ** decade <= max; decade++) {
+            for (const step of [1, 2, 5]) {
+                const size = Number((step * 10 ** decade).toPrecision(1));
+                if (size >= min && size <= max) {
+                    sizes.push(size);
+                }
+            }
+        }
+        return sizes;
+    }
+
+    /**
+     * Features per cell for a cell size, as seen by a typical feature
+     * Each feature counts with the load of its own cell, so a few crowded cells in a
+     * sparse dataset still raise the result
+     * @param {Object} sample - Sample from createSample()
+     * @param {number} size - Cell size in degrees
+     * @param {number} percentile - Share of features (0-1) whose cell holds at most the result
+     * @returns {number} Estimated features per cell (0 for an empty sample)
+     */
+    static getCellLoad(sample, size, percentile = 0.95) {
+        const { points, weights } = sample;
+        const loads = new Map(); // "x,y" -> weighted feature count
+        let totalWeight = 0;
+        for (let i = 0; i < weights.length; i++) {
+            const key = `${Math.floor(points[i * 2] / size)},${Math.floor(points[i * 2 + 1] / size)}`;
+            loads.set(key, (loads.get(key) || 0) + weights[i]);
+            totalWeight += weights[i];
+        }
+        if (totalWeight === 0) {
+            return 0;
+        }
+
+        // A cell with load L holds L features, all of which see load L
+        const cellLoads = Array.from(loads.values()).sort((a, b) => a - b);
+        const threshold = totalWeight * percentile;
+        let covered = 0;
+        for (const load of cellLoads) {
+            covered += load;
+            if (covered >= threshold) {
+                return load;
+            }
+        }
+        return cellLoads[cellLoads.length - 1];
+    }
+
+    /**
+     * Largest candidate size whose cells stay within a feature target
+     * @param {Object} sample - Sample from createSample()
+     * @param {Array<number>} candidates - Sizes in ascending order
+     * @param {number} target - Maximum features per cell
+     * @param {number} percentile - See getCellLoad
+     * @returns {{size: number, load: number}} Chosen size and its estimated load; the smallest
+     *   candidate if none meets the target
+     */
+    static chooseSize(sample, candidates, target, percentile = 0.95) {
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const load = DensityUtils.getCellLoad(sample, candidates[i], percentile);
+            if (load <= target) {
+                return { size: candidates[i], load };
+            }
+        }
+        return { size: candidates[0], load: DensityUtils.getCellLoad(sample, candidates[0], percentile) };
+    }
+}
@@ -1,5 +1,10 @@
+import { GeometryUtils } from './GeometryUtils.js';
+import { StyleUtils } from './StyleUtils.js';
+
 /**
- * DisplayManager - Handles canvas-based visualization of grid, circles, and position
+ * DisplayManager - Handles canvas-based visualization of grid, circles, building footprints, and position
+ * Buildings are drawn per layer, each with its own style and visibility; the first layer can
+ * additionally be colored and sized by attribute or distance (see StyleUtils)
  */
 export class DisplayManager {
     constructor(canvasId, settings = {}) {
@@ -14,6 +19,22 @@ export class DisplayManager {
             backgroundColor: '#0a0a0a',
             radarColor: '#00ff00',
             buildingColor: '#ff0000',
+            buildingFillColor: 'rgba(255, 0, 0, 0.35)',
+            // Styles for overlay layers, assigned in order after the first (building) layer
+            layerStyles: [
+                { color: '#3399ff', fillColor: 'rgba(51, 153, 255, 0.35)' },
+                { color: '#ffdd00', fillColor: 'rgba(255, 221, 0, 0.35)' },
+                { color: '#ff66ff', fillColor: 'rgba(255, 102, 255, 0.35)' },
+                { color: '#00ffff', fillColor: 'rgba(0, 255, 255, 0.35)' },
+                { color: '#ff9900', fillColor: 'rgba(255, 153, 0, 0.35)' }
+            ],
+            styleRules: null, // Attribute/distance styling of the first layer, see StyleUtils
+            dotSize: 4, // Default dot radius (px)
+            minShapeSize: 4, // Footprints smaller than this (px) are drawn as dots
+            hitTolerance: 16, // Max distance (px) between a tap and a building to select it
+            selectionStyle: { color: '#ffffff', fillColor: 'rgba(255, 255, 255, 0.35)', dotSize: 7 },
+            coneColor: 'rgba(0, 255, 0, 0.08)',
+            coneStyle: { color: '#aaff00', fillColor: 'rgba(170, 255, 0, 0.35)', dotSize: 5 },
             centerColor: '#00ff00',
             gridColor: 'rgba(0, 255, 0, 0.2)',
             sweepColor: 'rgba(0, 255, 0, 0.1)',
@@ -24,7 +45,10 @@ export class DisplayManager {
         this.centerY = 0;
         this.radius = 0;
         this.heading = 0; // User heading in degrees (0 = North)
-        this.buildings = [];
+        this.layers = new Map(); // layer ID -> {name, style, visible, buildings}
+        this.styleRules = StyleUtils.normalizeRules(this.settings.styleRules);
+        this.selectedBuilding = null; // Feature highlighted while its details are shown
+        this.forwardCone = null; // {halfAngle, range, buildings} while the forward cone mode is on
         this.userPosition = null;
         this.sweepAngle = 0;
 
@@ -85,8 +109,12 @@ export class DisplayManager {
         this.drawRadarBackground();
         this.drawGrid();
         this.drawRangeCircles();
+        this.drawForwardCone();
         this.drawBuildings();
+        this.drawConeBuildings();
+        this.drawSelection();
         this.drawCenter();
+        this.drawLegend();
     }
 
     /**
@@ -184,62 +212,365 @@ export class DisplayManager {
     }
 
     /**
-     * Draw buildings as red dots
+     * Draw buildings of all visible layers as outlines (polygons) or dots (points and tiny footprints)
+     * Layers are drawn in the order they were added, so later layers are on top
      */
     drawBuildings() {
-        if (!this.userPosition || this.buildings.length === 0) return;
-
-        this.buildings.forEach(building => {
-            const coords = building.geometry.coordinates;
-            const buildingLat = coords[1];
-            const buildingLon = coords[0];
-
-            // Calculate distance for radar display
-            const distance = this.calculateDistance(
-                this.userPosition.latitude,
-                this.userPosition.longitude,
-                buildingLat,
-                buildingLon
-            );
-
-            const bearing = this.calculateBearing(
-                this.userPosition.latitude,
-                this.userPosition.longitude,
-                buildingLat,
-                buildingLon
-            );
-
-            // Adjust bearing relative to user heading (front is up)
-            const relativeBearing = bearing - this.heading;
-
-            // Convert to radar coordinates
-            const radarCoords = this.polarToCartesian(
-                distance,
-                relativeBearing,
-                this.settings.radarRange,
-                this.radius
-            );
-
-            // Draw building dot
-            this.ctx.beginPath();
-            this.ctx.arc(
-                this.centerX + radarCoords.x,
-                this.centerY - radarCoords.y, // Negative Y because canvas Y increases downward
-                4,
-                0,
-                Math.PI * 2
-            );
-            this.ctx.fillStyle = this.settings.buildingColor;
-            this.ctx.fill();
+        if (!this.userPosition) return;
+
+        const styledLayer = this.layers.values().next().value;
+        const useRules = StyleUtils.isActive(this.styleRules);
+
+        for (const layer of this.layers.values()) {
+            if (!layer.visible || layer.buildings.length === 0) continue;
+
+            layer.buildings.forEach(building => {
+                if (!building.geometry) return;
+
+                const style = useRules && layer === styledLayer
+                    ? this.getBuildingStyle(building, layer.style)
+                    : layer.style;
+
+                this.drawBuilding(building.geometry, style);
+            });
+        }
+    }
+
+    /**
+     * Draw one building geometry with a style
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Object} style - Style {color, fillColor, dotSize}
+     */
+    drawBuilding(geometry, style) {
+        switch (geometry.type) {
+            case 'Point':
+                this.drawBuildingDot(this.projectToScreen(geometry.coordinates), style);
+                break;
+            case 'MultiPoint':
+                geometry.coordinates.forEach(point => this.drawBuildingDot(this.projectToScreen(point), style));
+                break;
+            case 'Polygon':
+                this.drawBuildingShape([geometry.coordinates], style);
+                break;
+            case 'MultiPolygon':
+                this.drawBuildingShape(geometry.coordinates, style);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Draw the forward cone wedge; the radar is heading-up, so the cone always points up
+     */
+    drawForwardCone() {
+        if (!this.forwardCone) return;
+
+        const halfAngle = this.degreesToRadians(Math.min(this.forwardCone.halfAngle, 180));
+        const radius = this.radius * Math.min(1, this.forwardCone.range / this.settings.radarRange);
+        const up = -Math.PI / 2;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.centerX, this.centerY);
+        this.ctx.arc(this.centerX, this.centerY, radius, up - halfAngle, up + halfAngle);
+        this.ctx.closePath();
+        this.ctx.fillStyle = this.settings.coneColor;
+        this.ctx.fill();
+    }
+
+    /**
+     * Highlight buildings inside the forward cone on top of their layers
+     */
+    drawConeBuildings() {
+        if (!this.userPosition || !this.forwardCone) return;
+
+        for (const building of this.forwardCone.buildings) {
+            if (building.geometry) {
+                this.drawBuilding(building.geometry, this.settings.coneStyle);
+            }
+        }
+    }
+
+    /**
+     * Show or hide the forward cone
+     * @param {{halfAngle: number, range: number, buildings: Array<Object>}|null} cone - Cone and the
+     *   buildings inside it, null to hide
+     */
+    setForwardCone(cone) {
+        this.forwardCone = cone;
+    }
 
-            // Add glow effect
-            this.ctx.shadowBlur = 10;
-            this.ctx.shadowColor = this.settings.buildingColor;
+    /**
+     * Draw the selected building on top of all layers
+     */
+    drawSelection() {
+        if (!this.userPosition || !this.selectedBuilding?.geometry) return;
+        this.drawBuilding(this.selectedBuilding.geometry, this.settings.selectionStyle);
+    }
+
+    /**
+     * Highlight a building (null clears the highlight)
+     * @param {Object|null} building - GeoJSON feature
+     */
+    setSelectedBuilding(building) {
+        this.selectedBuilding = building;
+    }
+
+    /**
+     * Find the building closest to a canvas point, e.g. a tap on the radar
+     * Footprints containing the point are at distance 0, so they win over nearby dots
+     * @param {number} x - Canvas X in CSS pixels
+     * @param {number} y - Canvas Y in CSS pixels
+     * @param {Array<Object>} buildings - Candidate features
+     * @returns {Object|null} Closest feature within hitTolerance pixels, null if none
+     */
+    findBuildingAt(x, y, buildings) {
+        const tapped = this.screenToPosition(x, y);
+        if (!tapped || tapped.distance > this.settings.radarRange) return null;
+
+        const [lon, lat] = tapped.position;
+        let closest = null;
+        let closestDistance = this.settings.hitTolerance * this.getMetersPerPixel();
+
+        for (const building of buildings) {
+            const distance = GeometryUtils.distanceToGeometry(lon, lat, building.geometry);
+            if (distance <= closestDistance) {
+                closest = building;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Map canvas coordinates back to a [lon, lat] position (inverse of projectToScreen)
+     * @param {number} x - Canvas X in CSS pixels
+     * @param {number} y - Canvas Y in CSS pixels
+     * @returns {{position: Array<number>, distance: number}|null} Position and its distance from the user
+     *   in meters, null without a position fix
+     */
+    screenToPosition(x, y) {
+        if (!this.userPosition || this.radius === 0) return null;
+
+        const dx = x - this.centerX;
+        const dy = this.centerY - y; // Canvas Y increases downward
+        const distance = Math.sqrt(dx * dx + dy * dy) * this.getMetersPerPixel();
+        const bearing = this.radiansToDegrees(Math.atan2(dx, dy)) + this.heading;
+
+        // Destination point from the user position along the bearing
+        const R = 6371000; // Earth radius in meters
+        const δ = distance / R;
+        const θ = this.degreesToRadians(bearing);
+        const φ1 = this.degreesToRadians(this.userPosition.latitude);
+        const λ1 = this.degreesToRadians(this.userPosition.longitude);
+
+        const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+        const λ2 = λ1 + Math.atan2(
+            Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+            Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+        );
+
+        return {
+            position: [this.radiansToDegrees(λ2), this.radiansToDegrees(φ2)],
+            distance
+        };
+    }
+
+    /**
+     * Radar scale
+     * @returns {number} Meters per canvas pixel
+     */
+    getMetersPerPixel() {
+        return this.settings.radarRange / this.radius;
+    }
+
+    /**
+     * Resolve the style of one building from the style rules
+     * @param {Object} building - GeoJSON feature
+     * @param {Object} layerStyle - Layer style used where no rule applies
+     * @returns {{color: string, fillColor: string, dotSize?: number}}
+     */
+    getBuildingStyle(building, layerStyle) {
+        let distance = null;
+        if (this.styleRules.color.mode === 'distance') {
+            const [lon, lat] = GeometryUtils.getRepresentativePoint(building.geometry) || [];
+            if (Number.isFinite(lon) && Number.isFinite(lat)) {
+                distance = this.calculateDistance(this.userPosition.latitude, this.userPosition.longitude, lat, lon);
+            }
+        }
+
+        const color = StyleUtils.resolveColor(this.styleRules.color, building.properties, distance);
+        const dotSize = StyleUtils.resolveSize(this.styleRules.size, building.properties);
+
+        return {
+            color: color || layerStyle.color,
+            fillColor: color ? StyleUtils.toFillColor(color) : layerStyle.fillColor,
+            dotSize: dotSize || this.settings.dotSize
+        };
+    }
+
+    /**
+     * Replace the attribute/distance style rules of the first layer
+     * @param {Object|null} rules - Style rules (see StyleUtils), null for the plain layer color
+     * @throws {Error} If the rules are invalid (current rules are kept)
+     */
+    setStyleRules(rules) {
+        this.styleRules = StyleUtils.normalizeRules(rules);
+        this.settings.styleRules = rules;
+    }
+
+    /**
+     * Draw a small legend of the style rules in the bottom-left corner
+     */
+    drawLegend() {
+        if (!StyleUtils.isActive(this.styleRules)) return;
+
+        const baseStyle = this.layers.values().next().value?.style || this.getLayerStyle(0);
+        const entries = StyleUtils.getLegendEntries(this.styleRules, baseStyle.color);
+        if (entries.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const lineHeight = 18;
+        const padding = 8;
+        this.ctx.font = '12px Arial';
+        const width = Math.max(...entries.map(entry => this.ctx.measureText(entry.label).width)) + padding * 2 + 22;
+        const height = entries.length * lineHeight + padding * 2;
+        const x = 10;
+        const y = rect.height - height - 10;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = this.settings.gridColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x, y, width, height);
+
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        entries.forEach((entry, i) => {
+            const centerY = y + padding + i * lineHeight + lineHeight / 2;
+            this.ctx.beginPath();
+            this.ctx.arc(x + padding + 7, centerY, Math.min(entry.size || 5, 8), 0, Math.PI * 2);
+            this.ctx.fillStyle = entry.color;
             this.ctx.fill();
-            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(entry.label, x + padding + 20, centerY);
         });
     }
 
+    /**
+     * Project polygon rings onto the radar and draw outline and fill
+     * Falls back to a dot when the projected shape is smaller than minShapeSize pixels
+     * @param {Array} polygons - Array of polygons, each an array of [lon, lat] rings
+     * @param {Object} style - Layer style {color, fillColor}
+     */
+    drawBuildingShape(polygons, style = this.getLayerStyle(0)) {
+        const projectedPolygons = [];
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+
+        for (const rings of polygons) {
+            const projectedRings = [];
+            for (const ring of rings) {
+                const projectedRing = ring.map(position => {
+                    const point = this.projectToScreen(position);
+                    if (point.x < minX) minX = point.x;
+                    if (point.y < minY) minY = point.y;
+                    if (point.x > maxX) maxX = point.x;
+                    if (point.y > maxY) maxY = point.y;
+                    return point;
+                });
+                if (projectedRing.length > 0) {
+                    projectedRings.push(projectedRing);
+                }
+            }
+            projectedPolygons.push(projectedRings);
+        }
+
+        if (minX === Infinity) return;
+
+        // Too small to show an outline - draw a dot at the shape center instead
+        if (Math.max(maxX - minX, maxY - minY) < this.settings.minShapeSize) {
+            this.drawBuildingDot({ x: (minX + maxX) / 2, y: (minY + maxY) / 2 }, style);
+            return;
+        }
+
+        // Single path with all rings so holes are cut out by the even-odd rule
+        this.ctx.beginPath();
+        for (const rings of projectedPolygons) {
+            for (const ring of rings) {
+                this.ctx.moveTo(ring[0].x, ring[0].y);
+                for (let i = 1; i < ring.length; i++) {
+                    this.ctx.lineTo(ring[i].x, ring[i].y);
+                }
+                this.ctx.closePath();
+            }
+        }
+
+        this.ctx.fillStyle = style.fillColor;
+        this.ctx.fill('evenodd');
+        this.ctx.strokeStyle = style.color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw a single building dot with glow at screen coordinates
+     */
+    drawBuildingDot(point, style = this.getLayerStyle(0)) {
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, style.dotSize || this.settings.dotSize, 0, Math.PI * 2);
+        this.ctx.fillStyle = style.color;
+        this.ctx.fill();
+
+        // Add glow effect
+        this.ctx.shadowBlur = 10;
+        this.ctx.shadowColor = style.color;
+        this.ctx.fill();
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Project a [lon, lat] position to canvas coordinates relative to the user (front is up)
+     * @param {Array<number>} position - [lon, lat]
+     * @returns {{x: number, y: number}} Canvas coordinates
+     */
+    projectToScreen(position) {
+        const [lon, lat] = position;
+
+        const distance = this.calculateDistance(
+            this.userPosition.latitude,
+            this.userPosition.longitude,
+            lat,
+            lon
+        );
+
+        const bearing = this.calculateBearing(
+            this.userPosition.latitude,
+            this.userPosition.longitude,
+            lat,
+            lon
+        );
+
+        // Adjust bearing relative to user heading (front is up)
+        const relativeBearing = bearing - this.heading;
+
+        // Convert to radar coordinates
+        const radarCoords = this.polarToCartesian(
+            distance,
+            relativeBearing,
+            this.settings.radarRange,
+            this.radius
+        );
+
+        return {
+            x: this.centerX + radarCoords.x,
+            y: this.centerY - radarCoords.y // Negative Y because canvas Y increases downward
+        };
+    }
+
     /**
      * Draw center point (user position)
      */
@@ -278,10 +609,63 @@ export class DisplayManager {
     }
 
     /**
-     * Update buildings data
+     * Default style of the layer at a given position (first layer uses the building colors)
+     * @param {number} position - Layer position
+     * @returns {{color: string, fillColor: string}}
      */
-    updateBuildings(buildings) {
-        this.buildings = buildings;
+    getLayerStyle(position) {
+        if (position === 0) {
+            return { color: this.settings.buildingColor, fillColor: this.settings.buildingFillColor };
+        }
+        const styles = this.settings.layerStyles;
+        return styles[(position - 1) % styles.length];
+    }
+
+    /**
+     * Replace the set of layers, keeping the visibility of layers that remain
+     * @param {Array<{id: string, name: string, style?: Object, visible?: boolean}>} layers
+     * @returns {Array<Object>} Layers with their resolved styles
+     */
+    setLayers(layers) {
+        const previous = this.layers;
+        this.layers = new Map();
+        layers.forEach((layer, position) => {
+            this.layers.set(layer.id, {
+                name: layer.name,
+                style: layer.style || this.getLayerStyle(position),
+                visible: layer.visible ?? previous.get(layer.id)?.visible ?? true,
+                buildings: []
+            });
+        });
+        return layers.map(layer => ({ ...layer, ...this.layers.get(layer.id) }));
+    }
+
+    /**
+     * Show or hide a layer
+     * @param {string} layerId - Layer ID
+     * @param {boolean} visible - Visibility
+     */
+    setLayerVisibility(layerId, visible) {
+        const layer = this.layers.get(layerId);
+        if (layer) {
+            layer.visible = visible;
+        }
+    }
+
+    /**
+     * Update buildings data of one layer (defaults to the first layer)
+     * @param {Array<Object>} buildings - Features to draw
+     * @param {string} layerId - Layer ID
+     */
+    updateBuildings(buildings, layerId = this.layers.keys().next().value) {
+        if (layerId === undefined) {
+            this.setLayers([{ id: 'buildings', name: 'Buildings' }]);
+            layerId = 'buildings';
+        }
+        const layer = this.layers.get(layerId);
+        if (layer) {
+            layer.buildings = buildings;
+        }
     }
 
     /**
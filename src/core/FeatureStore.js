@@ -0,0 +1,428 @@
+import { GeometryUtils } from './GeometryUtils.js';
+
+/**
+ * FeatureStore - Columnar (typed array) storage of building geometries
+ * Geometries are flattened into parts -> rings -> positions:
+ *   featureOffsets[i]..featureOffsets[i + 1]  parts of feature i
+ *   partOffsets[p]..partOffsets[p + 1]        rings of part p (a polygon, or a single point)
+ *   ringOffsets[r]..ringOffsets[r + 1]        positions of ring r, lon/lat pairs in coords
+ * A Point is one part holding a one-position ring; a MultiPoint has one such part per point.
+ * Properties live in a separate array that stays null until loaded (see SpatialIndex.loadProperties).
+ * The same layout is the IndexedDB chunk format (toRecord / fromRecord).
+ */
+export class FeatureStore {
+    static GEOMETRY_TYPES = ['Point', 'MultiPoint', 'Polygon', 'MultiPolygon'];
+
+    static FORMAT = 'columnar-v1';
+
+    /**
+     * @param {number} capacity - Initial number of features (grows as needed)
+     */
+    constructor(capacity = 256) {
+        this.count = 0;
+        this.partCount = 0;
+        this.ringCount = 0;
+        this.positionCount = 0;
+
+        this.types = new Uint8Array(capacity);
+        this.bounds = new Float64Array(capacity * 4); // [minLon, minLat, maxLon, maxLat] per feature
+        this.featureOffsets = new Uint32Array(capacity + 1);
+        this.partOffsets = new Uint32Array(capacity + 1);
+        this.ringOffsets = new Uint32Array(capacity * 4 + 1);
+        this.coords = new Float64Array(capacity * 16);
+
+        this.properties = []; // feature -> properties object, null when not loaded
+        this.geometryCache = []; // feature -> decoded GeoJSON geometry
+        this.chunkId = null; // Chunk this store was loaded from (lazy mode)
+    }
+
+    /**
+     * Build a store from GeoJSON features, keeping their positions
+     * Unsupported geometries get an empty slot (no parts) so indices still match the input
+     * @param {Array<Object>} features - GeoJSON features
+     * @returns {FeatureStore}
+     */
+    static fromFeatures(features) {
+        const store = new FeatureStore(Math.max(1, features.length));
+        for (const feature of features) {
+            if (store.add(feature) < 0) {
+                store.addEmpty(feature?.properties);
+            }
+        }
+        return store;
+    }
+
+    /**
+     * Restore a store from its IndexedDB record
+     * @param {Object} record - Result of toRecord()
+     * @param {Array<Object>|null} properties - Properties, null to load them later
+     * @returns {FeatureStore}
+     */
+    static fromRecord(record, properties = null) {
+        if (record?.format !== FeatureStore.FORMAT) {
+            throw new Error(`Unsupported feature chunk format: ${record?.format}`);
+        }
+
+        const store = new FeatureStore(0);
+        store.count = record.count;
+        store.types = record.types;
+        store.bounds = record.bounds;
+        store.featureOffsets = record.featureOffsets;
+        store.partOffsets = record.partOffsets;
+        store.ringOffsets = record.ringOffsets;
+        store.coords = record.coords;
+        store.partCount = record.featureOffsets[record.count];
+        store.ringCount = record.partOffsets[store.partCount];
+        store.positionCount = record.ringOffsets[store.ringCount];
+        store.properties = properties;
+        return store;
+    }
+
+    /**
+     * Check if a stored chunk uses this format (older chunks are arrays of GeoJSON features)
+     * @param {*} data - Stored chunk data
+     * @returns {boolean}
+     */
+    static isRecord(data) {
+        return data?.format === FeatureStore.FORMAT;
+    }
+
+    /**
+     * Append a GeoJSON feature
+     * @param {Object} feature - GeoJSON feature
+     * @returns {number} Feature index in the store, -1 if the geometry is not supported
+     */
+    add(feature) {
+        const geometry = feature?.geometry;
+        const type = FeatureStore.GEOMETRY_TYPES.indexOf(geometry?.type);
+        const bounds = type >= 0 && GeometryUtils.isSupported(geometry) ? GeometryUtils.getBounds(geometry) : null;
+        if (!bounds) {
+            return -1;
+        }
+
+        let parts;
+        switch (type) {
+            case 0:
+                parts = [[[geometry.coordinates]]];
+                break;
+            case 1:
+                parts = geometry.coordinates.map(point => [[point]]);
+                break;
+            case 2:
+                parts = [geometry.coordinates];
+                break;
+            default:
+                parts = geometry.coordinates;
+        }
+
+        const index = this.count;
+        this.ensureFeatureCapacity(index + 1);
+        this.types[index] = type;
+        this.bounds.set(bounds, index * 4);
+
+        for (const rings of parts) {
+            this.ensurePartCapacity(this.partCount + 1);
+            for (const ring of rings) {
+                this.ensureRingCapacity(this.ringCount + 1);
+                this.ensurePositionCapacity(this.positionCount + ring.length);
+                for (const position of ring) {
+                    this.coords[this.positionCount * 2] = position[0];
+                    this.coords[this.positionCount * 2 + 1] = position[1];
+                    this.positionCount++;
+                }
+                this.ringCount++;
+                this.ringOffsets[this.ringCount] = this.positionCount;
+            }
+            this.partCount++;
+            this.partOffsets[this.partCount] = this.ringCount;
+        }
+
+        this.count++;
+        this.featureOffsets[this.count] = this.partCount;
+        this.properties[index] = feature.properties || {};
+        return index;
+    }
+
+    /**
+     * Append a feature without geometry (distance Infinity, never indexed)
+     * @param {Object} properties - Feature properties
+     * @returns {number} Feature index in the store
+     */
+    addEmpty(properties = {}) {
+        const index = this.count;
+        this.ensureFeatureCapacity(index + 1);
+        this.types[index] = 2;
+        this.bounds.fill(NaN, index * 4, index * 4 + 4);
+        this.count++;
+        this.featureOffsets[this.count] = this.partCount;
+        this.properties[index] = properties || {};
+        return index;
+    }
+
+    /**
+     * Number of parts (polygons or points) of a feature, 0 for an empty slot
+     * @param {number} index - Feature index
+     * @returns {number}
+     */
+    getPartCount(index) {
+        return this.featureOffsets[index + 1] - this.featureOffsets[index];
+    }
+
+    ensureFeatureCapacity(needed) {
+        if (needed <= this.types.length) return;
+        const capacity = Math.max(needed, this.types.length * 2);
+        this.types = FeatureStore.grow(this.types, capacity);
+        this.bounds = FeatureStore.grow(this.bounds, capacity * 4);
+        this.featureOffsets = FeatureStore.grow(this.featureOffsets, capacity + 1);
+    }
+
+    ensurePartCapacity(needed) {
+        if (needed + 1 <= this.partOffsets.length) return;
+        this.partOffsets = FeatureStore.grow(this.partOffsets, Math.max(needed + 1, this.partOffsets.length * 2));
+    }
+
+    ensureRingCapacity(needed) {
+        if (needed + 1 <= this.ringOffsets.length) return;
+        this.ringOffsets = FeatureStore.grow(this.ringOffsets, Math.max(needed + 1, this.ringOffsets.length * 2));
+    }
+
+    ensurePositionCapacity(needed) {
+        if (needed * 2 <= this.coords.length) return;
+        this.coords = FeatureStore.grow(this.coords, Math.max(needed * 2, this.coords.length * 2));
+    }
+
+    /**
+     * Copy a typed array into a larger one of the same type
+     */
+    static grow(array, length) {
+        const grown = new array.constructor(length);
+        grown.set(array);
+        return grown;
+    }
+
+    /**
+     * GeoJSON geometry of a feature, decoded once and cached until the store is dropped
+     * @param {number} index - Feature index
+     * @returns {Object} GeoJSON geometry
+     */
+    getGeometry(index) {
+        if (!this.geometryCache[index]) {
+            this.geometryCache[index] = this.decodeGeometry(index);
+        }
+        return this.geometryCache[index];
+    }
+
+    /**
+     * Decode the GeoJSON geometry of a feature without caching it (for one-off tests)
+     * @param {number} index - Feature index
+     * @returns {Object} GeoJSON geometry
+     */
+    decodeGeometry(index) {
+        const parts = [];
+        for (let p = this.featureOffsets[index]; p < this.featureOffsets[index + 1]; p++) {
+            const rings = [];
+            for (let r = this.partOffsets[p]; r < this.partOffsets[p + 1]; r++) {
+                const ring = [];
+                for (let k = this.ringOffsets[r]; k < this.ringOffsets[r + 1]; k++) {
+                    ring.push([this.coords[k * 2], this.coords[k * 2 + 1]]);
+                }
+                rings.push(ring);
+            }
+            parts.push(rings);
+        }
+
+        const type = FeatureStore.GEOMETRY_TYPES[this.types[index]];
+        let coordinates;
+        switch (type) {
+            case 'Point':
+                coordinates = parts[0][0][0];
+                break;
+            case 'MultiPoint':
+                coordinates = parts.map(rings => rings[0][0]);
+                break;
+            case 'Polygon':
+                coordinates = parts[0] || [];
+                break;
+            default:
+                coordinates = parts;
+        }
+
+        return { type, coordinates };
+    }
+
+    /**
+     * Bounding box of a feature
+     * @param {number} index - Feature index
+     * @returns {Float64Array} [minLon, minLat, maxLon, maxLat]
+     */
+    getBounds(index) {
+        return this.bounds.subarray(index * 4, index * 4 + 4);
+    }
+
+    /**
+     * Single representative [lon, lat] of a feature (the point itself or the bounding box center)
+     * Same as GeometryUtils.getRepresentativePoint on the decoded geometry
+     * @param {number} index - Feature index
+     * @returns {Array<number>}
+     */
+    getRepresentativePoint(index) {
+        if (this.types[index] === 0) {
+            const k = this.ringOffsets[this.partOffsets[this.featureOffsets[index]]];
+            return [this.coords[k * 2], this.coords[k * 2 + 1]];
+        }
+        const b = index * 4;
+        return [(this.bounds[b] + this.bounds[b + 2]) / 2, (this.bounds[b + 1] + this.bounds[b + 3]) / 2];
+    }
+
+    /**
+     * Properties of a feature
+     * @param {number} index - Feature index
+     * @returns {Object|null} Properties, null while not loaded
+     */
+    getProperties(index) {
+        return this.properties ? this.properties[index] || {} : null;
+    }
+
+    /**
+     * Attach properties loaded separately
+     * @param {Array<Object>} properties - Properties by feature index
+     */
+    setProperties(properties) {
+        this.properties = properties;
+    }
+
+    /**
+     * Distance from a point to the nearest part of a feature, read straight from the columns
+     * Same result as GeometryUtils.distanceToGeometry on the decoded geometry
+     * @param {number} index - Feature index
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @returns {number} Distance in meters (0 when inside a footprint)
+     */
+    distanceTo(index, lon, lat) {
+        const firstPart = this.featureOffsets[index];
+        const lastPart = this.featureOffsets[index + 1];
+        const coords = this.coords;
+
+        // Points and multipoints: closest position
+        if (this.types[index] <= 1) {
+            let min = Infinity;
+            for (let p = firstPart; p < lastPart; p++) {
+                const k = this.ringOffsets[this.partOffsets[p]];
+                min = Math.min(min, GeometryUtils.haversineDistance(lat, lon, coords[k * 2 + 1], coords[k * 2]));
+            }
+            return min;
+        }
+
+        for (let p = firstPart; p < lastPart; p++) {
+            if (this.isPointInPart(p, lon, lat)) {
+                return 0;
+            }
+        }
+
+        // Nearest edge in a local projection centered on the query point (meters)
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        const metersPerDegLon = metersPerDegLat * Math.cos(lat * Math.PI / 180);
+        let minSq = Infinity;
+        for (let r = this.partOffsets[firstPart]; r < this.partOffsets[lastPart]; r++) {
+            for (let k = this.ringOffsets[r]; k < this.ringOffsets[r + 1] - 1; k++) {
+                const distSq = GeometryUtils.originToSegmentDistanceSq(
+                    (coords[k * 2] - lon) * metersPerDegLon,
+                    (coords[k * 2 + 1] - lat) * metersPerDegLat,
+                    (coords[k * 2 + 2] - lon) * metersPerDegLon,
+                    (coords[k * 2 + 3] - lat) * metersPerDegLat
+                );
+                if (distSq < minSq) {
+                    minSq = distSq;
+                }
+            }
+        }
+        return Math.sqrt(minSq);
+    }
+
+    /**
+     * Point in polygon part (outer ring minus holes)
+     */
+    isPointInPart(part, lon, lat) {
+        const firstRing = this.partOffsets[part];
+        if (firstRing >= this.partOffsets[part + 1] || !this.isPointInRing(firstRing, lon, lat)) {
+            return false;
+        }
+        for (let r = firstRing + 1; r < this.partOffsets[part + 1]; r++) {
+            if (this.isPointInRing(r, lon, lat)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Ray casting point-in-ring test on the coordinate column
+     */
+    isPointInRing(ring, lon, lat) {
+        const start = this.ringOffsets[ring];
+        const end = this.ringOffsets[ring + 1];
+        const coords = this.coords;
+        let inside = false;
+        for (let i = start, j = end - 1; i < end; j = i++) {
+            const xi = coords[i * 2];
+            const yi = coords[i * 2 + 1];
+            const xj = coords[j * 2];
+            const yj = coords[j * 2 + 1];
+
+            if (((yi > lat) !== (yj > lat)) &&
+                (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Copy a range of features into a new, exactly sized store
+     * @param {number} start - Inclusive start index
+     * @param {number} end - Exclusive end index
+     * @returns {FeatureStore}
+     */
+    slice(start, end) {
+        const partStart = this.featureOffsets[start];
+        const partEnd = this.featureOffsets[end];
+        const ringStart = this.partOffsets[partStart];
+        const ringEnd = this.partOffsets[partEnd];
+        const positionStart = this.ringOffsets[ringStart];
+        const positionEnd = this.ringOffsets[ringEnd];
+
+        const store = new FeatureStore(0);
+        store.count = end - start;
+        store.partCount = partEnd - partStart;
+        store.ringCount = ringEnd - ringStart;
+        store.positionCount = positionEnd - positionStart;
+        store.types = this.types.slice(start, end);
+        store.bounds = this.bounds.slice(start * 4, end * 4);
+        store.featureOffsets = this.featureOffsets.slice(start, end + 1).map(offset => offset - partStart);
+        store.partOffsets = this.partOffsets.slice(partStart, partEnd + 1).map(offset => offset - ringStart);
+        store.ringOffsets = this.ringOffsets.slice(ringStart, ringEnd + 1).map(offset => offset - positionStart);
+        store.coords = this.coords.slice(positionStart * 2, positionEnd * 2);
+        store.properties = this.properties ? this.properties.slice(start, end) : null;
+        return store;
+    }
+
+    /**
+     * Geometry columns for IndexedDB (properties are stored in a separate record)
+     * @returns {Object} Chunk record
+     */
+    toRecord() {
+        const exact = this.types.length === this.count && this.coords.length === this.positionCount * 2;
+        const store = exact ? this : this.slice(0, this.count);
+        return {
+            format: FeatureStore.FORMAT,
+            count: store.count,
+            types: store.types,
+            bounds: store.bounds,
+            featureOffsets: store.featureOffsets,
+            partOffsets: store.partOffsets,
+            ringOffsets: store.ringOffsets,
+            coords: store.coords
+        };
+    }
+}
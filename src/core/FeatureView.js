@@ -0,0 +1,66 @@
+/**
+ * FeatureView - GeoJSON Feature facade over one feature of a FeatureStore
+ * Geometry is decoded on first access; properties read as an empty object until they are
+ * loaded with loadProperties() (lazy chunks store them separately from the geometry)
+ */
+export class FeatureView {
+    /**
+     * @param {FeatureStore} store - Store holding the feature
+     * @param {number} localIndex - Index of the feature in the store
+     * @param {number} index - Global feature index in the spatial index
+     * @param {SpatialIndex|null} owner - Index that can load the properties
+     */
+    constructor(store, localIndex, index, owner = null) {
+        this.store = store;
+        this.localIndex = localIndex;
+        this.index = index;
+        this.owner = owner;
+    }
+
+    get type() {
+        return 'Feature';
+    }
+
+    get geometry() {
+        return this.store.getGeometry(this.localIndex);
+    }
+
+    get properties() {
+        return this.store.getProperties(this.localIndex) || {};
+    }
+
+    /**
+     * Bounding box without decoding the geometry
+     * @returns {Float64Array} [minLon, minLat, maxLon, maxLat]
+     */
+    get bbox() {
+        return this.store.getBounds(this.localIndex);
+    }
+
+    /**
+     * Whether the properties are in memory
+     * @returns {boolean}
+     */
+    hasProperties() {
+        return this.store.getProperties(this.localIndex) !== null;
+    }
+
+    /**
+     * Load the properties if needed
+     * @returns {Promise<Object>} Properties
+     */
+    async loadProperties() {
+        if (!this.hasProperties() && this.owner) {
+            await this.owner.loadProperties([this]);
+        }
+        return this.properties;
+    }
+
+    /**
+     * Plain GeoJSON copy, e.g. for JSON.stringify or exports
+     * @returns {Object} GeoJSON feature
+     */
+    toJSON() {
+        return { type: 'Feature', geometry: this.geometry, properties: this.properties };
+    }
+}
@@ -1,3 +1,5 @@
+import { FilterUtils } from './FilterUtils.js';
+
 /**
  * FileModalUI - Manages the file upload modal UI and user interactions
  */
@@ -6,7 +8,11 @@ export class FileModalUI {
         // Initialize DOM elements
         this.modal = document.getElementById('fileInputModal');
         this.fileInput = document.getElementById('shapefileInput');
+        this.dataFileInput = document.getElementById('dataFileInput');
         this.fileStatus = document.getElementById('fileStatus');
+        this.encodingSelect = document.getElementById('dbfEncodingSelect');
+        this.indexTypeOption = document.getElementById('indexTypeOption');
+        this.indexTypeSelect = document.getElementById('indexTypeSelect');
 
         // View containers
         this.choiceView = document.getElementById('choiceView');
@@ -18,17 +24,62 @@ export class FileModalUI {
         this.restoreDataBtn = document.getElementById('restoreDataBtn');
         this.uploadNewBtn = document.getElementById('uploadNewBtn');
         this.backToChoiceBtn = document.getElementById('backToChoiceBtn');
+        this.closeModalBtn = document.getElementById('closeModalBtn');
+
+        // CSV column mapping step
+        this.csvMappingView = document.getElementById('csvMappingView');
+        this.csvMappingTitle = document.getElementById('csvMappingTitle');
+        this.csvPreviewTable = document.getElementById('csvPreviewTable');
+        this.csvXColumnSelect = document.getElementById('csvXColumnSelect');
+        this.csvYColumnSelect = document.getElementById('csvYColumnSelect');
+        this.csvCrsSelect = document.getElementById('csvCrsSelect');
+        this.csvMappingConfirmBtn = document.getElementById('csvMappingConfirmBtn');
+        this.csvMappingCancelBtn = document.getElementById('csvMappingCancelBtn');
+
+        // Import filter step
+        this.importFilterToggle = document.getElementById('importFilterToggle');
+        this.importFilterView = document.getElementById('importFilterView');
+        this.importFilterTitle = document.getElementById('importFilterTitle');
+        this.filterFieldSelect = document.getElementById('filterFieldSelect');
+        this.filterOperatorSelect = document.getElementById('filterOperatorSelect');
+        this.filterValueOption = document.getElementById('filterValueOption');
+        this.filterValueInput = document.getElementById('filterValueInput');
+        this.filterValueSuggestions = document.getElementById('filterValueSuggestions');
+        this.filterRangeOption = document.getElementById('filterRangeOption');
+        this.filterMinInput = document.getElementById('filterMinInput');
+        this.filterMaxInput = document.getElementById('filterMaxInput');
+        this.filterAddBtn = document.getElementById('filterAddBtn');
+        this.filterConditionList = document.getElementById('filterConditionList');
+        this.filterConfirmBtn = document.getElementById('filterConfirmBtn');
+        this.filterCancelBtn = document.getElementById('filterCancelBtn');
 
         // Info elements
         this.savedDataInfo = document.getElementById('savedDataInfo');
         this.uploadWarning = document.getElementById('uploadWarning');
 
+        // Stored dataset management (append mode and per-source removal)
+        this.importModeOption = document.getElementById('importModeOption');
+        this.importModeSelect = document.getElementById('importModeSelect');
+        this.storedSourcesView = document.getElementById('storedSourcesView');
+        this.storedSourcesList = document.getElementById('storedSourcesList');
+        this.hasStoredData = false;
+
+        // Dataset catalog (picker in choice view, name for new datasets in upload view)
+        this.datasetPicker = document.getElementById('datasetPicker');
+        this.datasetList = document.getElementById('datasetList');
+        this.datasetNameOption = document.getElementById('datasetNameOption');
+        this.datasetNameInput = document.getElementById('datasetNameInput');
+
         // Event handlers storage
         this.eventHandlers = {
             restore: null,
             uploadNew: null,
             back: null,
-            fileSelect: null
+            close: null,
+            fileSelect: null,
+            importMode: null,
+            removeSource: null,
+            datasetList: null
         };
 
         console.log('FileModalUI elements:', {
@@ -68,17 +119,215 @@ export class FileModalUI {
             this.backToChoiceBtn.addEventListener('click', this.eventHandlers.back);
         }
 
-        // File input change
-        if (this.fileInput && handlers.onFileSelect) {
+        // Close button (only shown when the radar is already running)
+        if (this.closeModalBtn && handlers.onClose) {
+            this.eventHandlers.close = () => {
+                console.log('↩️ User closed the data modal');
+                handlers.onClose();
+            };
+            this.closeModalBtn.addEventListener('click', this.eventHandlers.close);
+        }
+
+        // File input change (folder picker and individual file picker share one handler)
+        if (handlers.onFileSelect) {
             this.eventHandlers.fileSelect = (e) => handlers.onFileSelect(e);
-            this.fileInput.addEventListener('change', this.eventHandlers.fileSelect);
+            if (this.fileInput) {
+                this.fileInput.addEventListener('change', this.eventHandlers.fileSelect);
+            }
+            if (this.dataFileInput) {
+                this.dataFileInput.addEventListener('change', this.eventHandlers.fileSelect);
+            }
+        }
+
+        // Replace warning only applies when not appending
+        if (this.importModeSelect) {
+            this.eventHandlers.importMode = () => this.updateImportModeUI();
+            this.importModeSelect.addEventListener('change', this.eventHandlers.importMode);
+        }
+
+        // Remove buttons are rendered per source, so delegate from the list
+        if (this.storedSourcesList && handlers.onRemoveSource) {
+            this.eventHandlers.removeSource = async (e) => {
+                const button = e.target.closest('button[data-source]');
+                if (!button) return;
+                const sourceName = button.dataset.source;
+                if (!window.confirm(`Remove ${sourceName} from the saved data?`)) return;
+                console.log(`🗑️ User chose to remove ${sourceName}`);
+                await handlers.onRemoveSource(sourceName);
+            };
+            this.storedSourcesList.addEventListener('click', this.eventHandlers.removeSource);
+        }
+
+        // Dataset picker: tap a dataset to switch to it, Layer to overlay it, ✕ to delete it
+        if (this.datasetList && (handlers.onSelectDataset || handlers.onDeleteDataset || handlers.onToggleLayer)) {
+            this.eventHandlers.datasetList = async (e) => {
+                const layerButton = e.target.closest('button[data-layer-dataset]');
+                if (layerButton && handlers.onToggleLayer) {
+                    const enabled = !layerButton.classList.contains('active');
+                    console.log(`🗺️ User ${enabled ? 'added' : 'removed'} layer ${layerButton.dataset.layerDataset}`);
+                    await handlers.onToggleLayer(layerButton.dataset.layerDataset, enabled);
+                    return;
+                }
+
+                const deleteButton = e.target.closest('button[data-delete-dataset]');
+                if (deleteButton && handlers.onDeleteDataset) {
+                    const { deleteDataset, datasetName } = deleteButton.dataset;
+                    if (!window.confirm(`Delete dataset ${datasetName} from this device?`)) return;
+                    console.log(`🗑️ User chose to delete dataset ${deleteDataset}`);
+                    await handlers.onDeleteDataset(deleteDataset);
+                    return;
+                }
+
+                const selectButton = e.target.closest('button[data-dataset]');
+                if (selectButton && handlers.onSelectDataset) {
+                    console.log(`📚 User chose dataset ${selectButton.dataset.dataset}`);
+                    await handlers.onSelectDataset(selectButton.dataset.dataset);
+                }
+            };
+            this.datasetList.addEventListener('click', this.eventHandlers.datasetList);
+        }
+    }
+
+    /**
+     * Get the import mode for new uploads
+     * @returns {'new'|'replace'|'append'} New dataset, replace or extend the active one
+     */
+    getImportMode() {
+        if (!this.hasStoredData || !this.importModeSelect) {
+            return 'new';
+        }
+        return this.importModeSelect.value;
+    }
+
+    /**
+     * Get the name entered for a new dataset
+     * @returns {string} Trimmed name, empty to use the folder/file name
+     */
+    getDatasetName() {
+        return this.datasetNameInput ? this.datasetNameInput.value.trim() : '';
+    }
+
+    /**
+     * Show the replace warning, dataset name and index type fields for the selected import mode
+     */
+    updateImportModeUI() {
+        const mode = this.getImportMode();
+        if (this.uploadWarning) {
+            this.uploadWarning.style.display = mode === 'replace' ? 'block' : 'none';
         }
+        if (this.datasetNameOption) {
+            this.datasetNameOption.style.display = mode === 'new' ? 'flex' : 'none';
+        }
+        // Added sources always use the index type of the stored dataset
+        if (this.indexTypeOption) {
+            this.indexTypeOption.style.display = mode === 'append' ? 'none' : 'flex';
+        }
+    }
+
+    /**
+     * Format a catalog entry as "N buildings · X MB · date"
+     */
+    formatDatasetSummary(dataset) {
+        const sizeMB = ((dataset.totalSize || 0) / 1024 / 1024).toFixed(1);
+        const date = new Date(dataset.uploadDate).toLocaleDateString();
+        return `${dataset.featureCount} buildings · ${sizeMB}MB · ${date}`;
     }
 
     /**
-     * Update modal UI based on metadata
+     * Format the index layout of a catalog entry, e.g. "0.002° cells · 0.05° chunks"
+     * @returns {string} Empty for datasets saved before the sizes were recorded
      */
-    async updateUI(metadata) {
+    formatIndexSizing(dataset) {
+        if (!dataset?.chunkDegreeSize) {
+            return '';
+        }
+        const index = dataset.indexType === 'rtree' ? 'R-tree' : `${dataset.cellSize}° cells`;
+        return `${index} · ${dataset.chunkDegreeSize}° chunks`;
+    }
+
+    /**
+     * List the stored datasets other than the active one in the choice view
+     * @param {Object|null} catalog - {activeId, datasets}
+     */
+    renderDatasetPicker(catalog) {
+        if (!this.datasetPicker || !this.datasetList) return;
+
+        this.datasetList.replaceChildren();
+        const others = (catalog?.datasets || []).filter(dataset => dataset.id !== catalog.activeId);
+        const layerIds = new Set(catalog?.layerIds || []);
+        if (others.length === 0) {
+            this.datasetPicker.style.display = 'none';
+            return;
+        }
+
+        for (const dataset of others) {
+            const item = document.createElement('li');
+
+            const selectButton = document.createElement('button');
+            selectButton.className = 'dataset-item';
+            selectButton.dataset.dataset = dataset.id;
+            const title = document.createElement('div');
+            title.className = 'dataset-name';
+            title.textContent = dataset.name;
+            const subtitle = document.createElement('div');
+            subtitle.className = 'dataset-summary';
+            subtitle.textContent = this.formatDatasetSummary(dataset);
+            selectButton.append(title, subtitle);
+
+            const layerButton = document.createElement('button');
+            layerButton.className = 'dataset-layer-btn';
+            layerButton.classList.toggle('active', layerIds.has(dataset.id));
+            layerButton.dataset.layerDataset = dataset.id;
+            layerButton.title = `Show ${dataset.name} as a radar layer`;
+            layerButton.textContent = 'Layer';
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'source-remove-btn';
+            deleteButton.dataset.deleteDataset = dataset.id;
+            deleteButton.dataset.datasetName = dataset.name;
+            deleteButton.title = `Delete ${dataset.name}`;
+            deleteButton.textContent = '✕';
+
+            item.append(selectButton, layerButton, deleteButton);
+            this.datasetList.appendChild(item);
+        }
+        this.datasetPicker.style.display = 'block';
+    }
+
+    /**
+     * List the sources of the stored dataset with a remove button each
+     * @param {Array<{name: string, featureCount: number}>} sources
+     */
+    renderStoredSources(sources) {
+        if (!this.storedSourcesView || !this.storedSourcesList) return;
+
+        this.storedSourcesList.replaceChildren();
+        if (!sources || sources.length === 0) {
+            this.storedSourcesView.style.display = 'none';
+            return;
+        }
+
+        for (const source of sources) {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${source.name} (${source.featureCount})`;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'source-remove-btn';
+            removeButton.dataset.source = source.name;
+            removeButton.title = `Remove ${source.name}`;
+            removeButton.textContent = '✕';
+
+            item.append(label, removeButton);
+            this.storedSourcesList.appendChild(item);
+        }
+        this.storedSourcesView.style.display = 'block';
+    }
+
+    /**
+     * Update modal UI based on metadata of the active dataset and the dataset catalog
+     */
+    async updateUI(metadata, catalog = null) {
         try {
             console.log('updateModalUI started');
             console.log('Metadata retrieved:', metadata ? 'exists' : 'none');
@@ -87,9 +336,16 @@ export class FileModalUI {
                 // Show restore button if data exists
                 this.restoreDataBtn.style.display = 'flex';
 
-                // Update subtitle with file/folder info
+                // Update subtitle with dataset/file/folder info
+                const activeEntry = catalog?.datasets.find(dataset => dataset.id === catalog.activeId);
                 let infoText;
-                if (metadata.folderName) {
+                if (activeEntry) {
+                    infoText = `${activeEntry.name} (${this.formatDatasetSummary(activeEntry)})`;
+                    const sizing = this.formatIndexSizing(activeEntry);
+                    if (sizing) {
+                        infoText += ` · ${sizing}`;
+                    }
+                } else if (metadata.folderName) {
                     // Folder metadata
                     const sizeMB = (metadata.totalSize / 1024 / 1024).toFixed(1);
                     const date = new Date(metadata.uploadDate).toLocaleDateString();
@@ -102,24 +358,43 @@ export class FileModalUI {
                 } else {
                     infoText = 'Saved data available';
                 }
+                if (metadata.importFilter) {
+                    infoText += ` · filtered: ${metadata.importFilter.description}`;
+                }
                 this.savedDataInfo.textContent = infoText;
 
-                // Show warning in upload view
-                if (this.uploadWarning) {
-                    this.uploadWarning.style.display = 'block';
+                // Offer appending to and editing the saved data in upload view
+                this.hasStoredData = true;
+                if (this.importModeOption) {
+                    this.importModeOption.style.display = 'flex';
+                }
+                const activeName = activeEntry?.name || metadata.name || metadata.folderName || metadata.filename || 'saved data';
+                if (this.importModeSelect) {
+                    for (const option of this.importModeSelect.options) {
+                        if (option.value === 'replace') option.textContent = `Replace ${activeName}`;
+                        if (option.value === 'append') option.textContent = `Add to ${activeName}`;
+                    }
                 }
+                this.renderStoredSources(metadata.sources);
+                this.updateImportModeUI();
             } else {
                 // Hide restore button if no data
                 if (this.restoreDataBtn) {
                     this.restoreDataBtn.style.display = 'none';
                 }
 
-                // Hide warning in upload view
-                if (this.uploadWarning) {
-                    this.uploadWarning.style.display = 'none';
+                // Nothing to append to or replace
+                this.hasStoredData = false;
+                if (this.importModeOption) {
+                    this.importModeOption.style.display = 'none';
                 }
+                this.renderStoredSources([]);
+                this.updateImportModeUI();
             }
 
+            // Other stored datasets can be switched to from the choice view
+            this.renderDatasetPicker(catalog);
+
             // Hide loading indicator and show choice content
             console.log('Hiding loading indicator');
             this.setLoading(false);
@@ -157,10 +432,13 @@ export class FileModalUI {
         if (this.uploadView) {
             this.uploadView.style.display = 'none';
         }
-        // Clear file input
+        // Clear file inputs
         if (this.fileInput) {
             this.fileInput.value = '';
         }
+        if (this.dataFileInput) {
+            this.dataFileInput.value = '';
+        }
         this.showStatus('', '');
     }
 
@@ -177,6 +455,241 @@ export class FileModalUI {
         this.showStatus('', '');
     }
 
+    /**
+     * Whether the user asked to filter features before importing
+     * @returns {boolean}
+     */
+    isImportFilterEnabled() {
+        return !!this.importFilterToggle?.checked;
+    }
+
+    /**
+     * Let the user build attribute conditions from the DBF fields of a shapefile
+     * @param {string} sourceName - Shapefile shown in the title
+     * @param {Array<{name: string, type: string, numeric: boolean, samples: Array}>} fields - Fields from FileProcessor.previewShapefileFields
+     * @returns {Promise<Array<Object>|null>} Conditions (empty = import everything), or null if cancelled
+     */
+    promptImportFilter(sourceName, fields) {
+        if (!this.importFilterView || fields.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        const conditions = [];
+        this.importFilterTitle.textContent = `Import only features of ${sourceName} that match:`;
+
+        this.filterFieldSelect.replaceChildren();
+        for (const field of fields) {
+            const option = document.createElement('option');
+            option.value = field.name;
+            option.textContent = `${field.name} (${field.numeric ? 'number' : 'text'})`;
+            this.filterFieldSelect.appendChild(option);
+        }
+
+        const selectedField = () => fields.find(field => field.name === this.filterFieldSelect.value);
+
+        const onFieldChange = () => {
+            const field = selectedField();
+            this.filterValueSuggestions.replaceChildren();
+            for (const sample of field?.samples || []) {
+                const option = document.createElement('option');
+                option.value = String(sample);
+                this.filterValueSuggestions.appendChild(option);
+            }
+            this.filterOperatorSelect.value = field?.numeric ? 'range' : 'equals';
+            onOperatorChange();
+        };
+
+        const onOperatorChange = () => {
+            const isRange = this.filterOperatorSelect.value === 'range';
+            this.filterValueOption.style.display = isRange ? 'none' : 'flex';
+            this.filterRangeOption.style.display = isRange ? 'flex' : 'none';
+        };
+
+        const renderConditions = () => {
+            this.filterConditionList.replaceChildren();
+            conditions.forEach((condition, index) => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = FilterUtils.describeCondition(condition);
+                const removeButton = document.createElement('button');
+                removeButton.className = 'source-remove-btn';
+                removeButton.dataset.condition = String(index);
+                removeButton.textContent = '✕';
+                item.append(label, removeButton);
+                this.filterConditionList.appendChild(item);
+            });
+            this.filterConfirmBtn.textContent = conditions.length > 0 ? 'Import matching' : 'Import all';
+        };
+
+        const onAdd = () => {
+            const field = this.filterFieldSelect.value;
+            const op = this.filterOperatorSelect.value;
+            let condition;
+
+            if (op === 'range') {
+                const parseBound = (input) => (input.value.trim() === '' ? null : parseFloat(input.value.replace(',', '.')));
+                const min = parseBound(this.filterMinInput);
+                const max = parseBound(this.filterMaxInput);
+                if ((min === null && max === null) || Number.isNaN(min) || Number.isNaN(max)) {
+                    this.showStatus('Enter a numeric minimum and/or maximum', 'error');
+                    return;
+                }
+                condition = { field, op, min, max };
+            } else if (op === 'in') {
+                const values = FilterUtils.parseList(this.filterValueInput.value);
+                if (values.length === 0) {
+                    this.showStatus('Enter one or more comma-separated values', 'error');
+                    return;
+                }
+                condition = { field, op, values };
+            } else {
+                const value = this.filterValueInput.value.trim();
+                if (value === '') {
+                    this.showStatus('Enter a value to compare with', 'error');
+                    return;
+                }
+                condition = { field, op, value };
+            }
+
+            conditions.push(condition);
+            this.filterValueInput.value = '';
+            this.filterMinInput.value = '';
+            this.filterMaxInput.value = '';
+            this.showStatus('', '');
+            renderConditions();
+        };
+
+        const onRemove = (e) => {
+            const button = e.target.closest('button[data-condition]');
+            if (button) {
+                conditions.splice(Number(button.dataset.condition), 1);
+                renderConditions();
+            }
+        };
+
+        onFieldChange();
+        renderConditions();
+        this.importFilterView.style.display = 'block';
+
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                this.filterFieldSelect.removeEventListener('change', onFieldChange);
+                this.filterOperatorSelect.removeEventListener('change', onOperatorChange);
+                this.filterAddBtn.removeEventListener('click', onAdd);
+                this.filterConditionList.removeEventListener('click', onRemove);
+                this.filterConfirmBtn.removeEventListener('click', onConfirm);
+                this.filterCancelBtn.removeEventListener('click', onCancel);
+                this.importFilterView.style.display = 'none';
+                resolve(result);
+            };
+            const onConfirm = () => finish(conditions);
+            const onCancel = () => finish(null);
+
+            this.filterFieldSelect.addEventListener('change', onFieldChange);
+            this.filterOperatorSelect.addEventListener('change', onOperatorChange);
+            this.filterAddBtn.addEventListener('click', onAdd);
+            this.filterConditionList.addEventListener('click', onRemove);
+            this.filterConfirmBtn.addEventListener('click', onConfirm);
+            this.filterCancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Get the spatial index type chosen for new datasets
+     * @returns {string} 'grid' or 'rtree'
+     */
+    getIndexType() {
+        return this.indexTypeSelect?.value || 'grid';
+    }
+
+    /**
+     * Get the DBF encoding chosen in the upload view
+     * @returns {string|null} Decoder label, or null for automatic (UTF-8)
+     */
+    getSelectedEncoding() {
+        return this.encodingSelect?.value || null;
+    }
+
+    /**
+     * Ask the user to confirm which CSV columns hold coordinates and in which CRS
+     * @param {string} sourceName - CSV file name shown in the prompt
+     * @param {Object} preview - Result of FileProcessor.previewCSV
+     * @param {Array<{code: number, name: string}>} crsOptions - Selectable coordinate systems
+     * @returns {Promise<Object|null>} {xColumn, yColumn, crsCode}, or null if cancelled
+     */
+    promptColumnMapping(sourceName, preview, crsOptions) {
+        if (!this.csvMappingView) {
+            // No mapping UI available - accept auto-detection if it is complete
+            const { xColumn, yColumn, crsCode } = preview;
+            return Promise.resolve(xColumn && yColumn && crsCode ? { xColumn, yColumn, crsCode } : null);
+        }
+
+        this.csvMappingTitle.textContent = `Map coordinate columns for ${sourceName}`;
+        this.renderCSVPreview(preview);
+
+        const fillSelect = (select, options, selected) => {
+            select.replaceChildren();
+            for (const { value, label } of options) {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = label;
+                option.selected = value === selected;
+                select.appendChild(option);
+            }
+        };
+
+        const columnOptions = preview.headers.map(header => ({ value: header, label: header }));
+        fillSelect(this.csvXColumnSelect, columnOptions, preview.xColumn || preview.headers[0]);
+        fillSelect(this.csvYColumnSelect, columnOptions, preview.yColumn || preview.headers[1]);
+        fillSelect(
+            this.csvCrsSelect,
+            crsOptions.map(({ code, name }) => ({ value: code, label: `${name} (EPSG:${code})` })),
+            preview.crsCode || 4326
+        );
+
+        this.csvMappingView.style.display = 'block';
+
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                this.csvMappingConfirmBtn.removeEventListener('click', onConfirm);
+                this.csvMappingCancelBtn.removeEventListener('click', onCancel);
+                this.csvMappingView.style.display = 'none';
+                resolve(result);
+            };
+            const onConfirm = () => finish({
+                xColumn: this.csvXColumnSelect.value,
+                yColumn: this.csvYColumnSelect.value,
+                crsCode: Number(this.csvCrsSelect.value)
+            });
+            const onCancel = () => finish(null);
+
+            this.csvMappingConfirmBtn.addEventListener('click', onConfirm);
+            this.csvMappingCancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Render the first CSV rows as a small preview table
+     */
+    renderCSVPreview(preview) {
+        if (!this.csvPreviewTable) return;
+
+        this.csvPreviewTable.replaceChildren();
+        const addRow = (cells, cellTag) => {
+            const tr = document.createElement('tr');
+            for (const cell of cells) {
+                const td = document.createElement(cellTag);
+                const text = String(cell ?? '');
+                td.textContent = text.length > 30 ? `${text.slice(0, 29)}…` : text;
+                tr.appendChild(td);
+            }
+            this.csvPreviewTable.appendChild(tr);
+        };
+
+        addRow(preview.headers, 'th');
+        preview.sampleRows.slice(0, 3).forEach(row => addRow(row, 'td'));
+    }
+
     /**
      * Show status message
      */
@@ -198,8 +711,12 @@ export class FileModalUI {
 
     /**
      * Show modal
+     * @param {boolean} dismissible - Show the close button (data is already loaded)
      */
-    showModal() {
+    showModal(dismissible = false) {
+        if (this.closeModalBtn) {
+            this.closeModalBtn.style.display = dismissible ? 'block' : 'none';
+        }
         if (this.modal) {
             this.modal.classList.remove('hidden');
         }
@@ -218,8 +735,23 @@ export class FileModalUI {
         if (this.backToChoiceBtn && this.eventHandlers.back) {
             this.backToChoiceBtn.removeEventListener('click', this.eventHandlers.back);
         }
+        if (this.closeModalBtn && this.eventHandlers.close) {
+            this.closeModalBtn.removeEventListener('click', this.eventHandlers.close);
+        }
         if (this.fileInput && this.eventHandlers.fileSelect) {
             this.fileInput.removeEventListener('change', this.eventHandlers.fileSelect);
         }
+        if (this.dataFileInput && this.eventHandlers.fileSelect) {
+            this.dataFileInput.removeEventListener('change', this.eventHandlers.fileSelect);
+        }
+        if (this.importModeSelect && this.eventHandlers.importMode) {
+            this.importModeSelect.removeEventListener('change', this.eventHandlers.importMode);
+        }
+        if (this.storedSourcesList && this.eventHandlers.removeSource) {
+            this.storedSourcesList.removeEventListener('click', this.eventHandlers.removeSource);
+        }
+        if (this.datasetList && this.eventHandlers.datasetList) {
+            this.datasetList.removeEventListener('click', this.eventHandlers.datasetList);
+        }
     }
 }
\ No newline at end of file
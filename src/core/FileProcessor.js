@@ -1,11 +1,75 @@
 import { DeviceUtils } from './DeviceUtils.js';
+import { FilterUtils } from './FilterUtils.js';
+import { GeometryUtils } from './GeometryUtils.js';
+import { ProjectionUtils } from './ProjectionUtils.js';
+import { ShapefileReader } from './ShapefileReader.js';
+import { CodePageUtils } from './CodePageUtils.js';
+import { StorageConfig } from './SettingsManager.js';
 
 /**
- * FileProcessor - Handles shapefile loading and parsing operations
+ * Known .cpg code page declarations mapped to decoder labels
+ * Keys are normalized (upper case, no spaces/dashes/underscores)
+ */
+const CODE_PAGE_LABELS = {
+    'UTF8': 'utf-8',
+    '65001': 'utf-8',
+    '1250': 'windows-1250',
+    'CP1250': 'windows-1250',
+    'ANSI1250': 'windows-1250',
+    'WINDOWS1250': 'windows-1250',
+    '1252': 'windows-1252',
+    'CP1252': 'windows-1252',
+    'ANSI1252': 'windows-1252',
+    'WINDOWS1252': 'windows-1252',
+    '88592': 'iso-8859-2',
+    'ISO88592': 'iso-8859-2',
+    '28592': 'iso-8859-2',
+    '88591': 'iso-8859-1',
+    'ISO88591': 'iso-8859-1',
+    '28591': 'iso-8859-1',
+    '852': 'cp852',
+    'CP852': 'cp852',
+    'OEM852': 'cp852',
+    'IBM852': 'cp852',
+    '437': 'cp437',
+    'CP437': 'cp437',
+    'OEM437': 'cp437',
+    'IBM437': 'cp437'
+};
+
+// File extensions of streamed GeoJSON formats
+const GEOJSON_EXTENSIONS = ['.geojson', '.json'];
+const GEOJSON_SEQ_EXTENSIONS = ['.geojsonl', '.geojsons', '.geojsonseq', '.ndjson', '.jsonl'];
+const CSV_EXTENSIONS = ['.csv', '.tsv'];
+
+// Records sampled to suggest values when building an import filter
+const FIELD_SAMPLE_RECORDS = 500;
+const FIELD_SAMPLE_VALUES = 30;
+
+// Parser used for each standalone file format
+const SOURCE_TYPE_BY_FORMAT = {
+    geojson: 'geojson',
+    geojsonseq: 'geojson',
+    kml: 'kml',
+    kmz: 'kml',
+    csv: 'csv'
+};
+
+// CSV auto-detection
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const CSV_PREVIEW_BYTES = 64 * 1024;
+const CSV_X_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x', 'easting', 'east', 'xcoord', 'coordx', 'pointx'];
+const CSV_Y_COLUMNS = ['lat', 'latitude', 'y', 'northing', 'north', 'ycoord', 'coordy', 'pointy'];
+// Attribute values read as numbers; leading zeros mark IDs and codes (e.g. "00123"), which stay text
+const CSV_NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+/**
+ * FileProcessor - Handles shapefile, GeoJSON, KML and CSV loading and parsing operations
  */
 export class FileProcessor {
     constructor(onProgress = null) {
         this.onProgress = onProgress; // Callback for progress updates
+        this.defaultEncoding = null; // DBF encoding for shapefiles without .cpg
     }
 
     /**
@@ -175,7 +239,9 @@ export class FileProcessor {
 
     /**
      * Group files by shapefile base name
-     * Each shapefile needs .shp, and optionally .dbf, .shx, .prj files
+     * Each shapefile needs .shp, and optionally .dbf, .shx, .prj, .cpg files
+     * Groups get a path ("folder/sub/name") that tells same-named shapefiles of different folders
+     * or archives apart; it is the source key in the stored dataset
      */
     groupShapefilesByName(files) {
         const groups = new Map();
@@ -185,13 +251,14 @@ export class FileProcessor {
             const fileName = file.name.toLowerCase();
             if (fileName.endsWith('.shp')) {
                 const baseName = fileName.slice(0, -4);
-                const fullPath = file.webkitRelativePath || file.name;
+                const fullPath = this.getRelativePath(file);
                 const pathParts = fullPath.split('/');
                 const baseNameWithPath = pathParts.slice(0, -1).join('/') + '/' + baseName;
 
                 if (!groups.has(baseNameWithPath)) {
                     groups.set(baseNameWithPath, {
                         name: baseName,
+                        path: pathParts.slice(0, -1).concat(baseName).join('/'),
                         fullPath: baseNameWithPath,
                         files: {}
                     });
@@ -200,13 +267,13 @@ export class FileProcessor {
             }
         }
 
-        // Second pass: add associated files (.dbf, .shx, .prj)
+        // Second pass: add associated files (.dbf, .shx, .prj, .cpg)
         for (const file of files) {
             const fileName = file.name.toLowerCase();
-            const fullPath = file.webkitRelativePath || file.name;
+            const fullPath = this.getRelativePath(file);
             const pathParts = fullPath.split('/');
 
-            for (const ext of ['.dbf', '.shx', '.prj']) {
+            for (const ext of ['.dbf', '.shx', '.prj', '.cpg']) {
                 if (fileName.endsWith(ext)) {
                     const baseName = fileName.slice(0, -4);
                     const baseNameWithPath = pathParts.slice(0, -1).join('/') + '/' + baseName;
@@ -232,17 +299,1089 @@ export class FileProcessor {
         return result;
     }
 
+    /**
+     * Path of a selected file relative to the picked folder or archive
+     * Files extracted from a .zip carry archivePath ("bundle.zip/dir/name.shp")
+     */
+    getRelativePath(file) {
+        return file.archivePath || file.webkitRelativePath || file.name;
+    }
+
+    /**
+     * Check if a file name is a zip archive that should be unpacked before grouping
+     */
+    isZipArchive(fileName) {
+        return fileName.toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * Replace .zip archives in a selection with the files they contain
+     * Entries keep their directory inside the archive so shapefile companions
+     * are grouped exactly like in a folder upload
+     * @param {FileList|Array<File>} files - Selected files
+     * @returns {Promise<Array<File>>} Files with archives expanded
+     */
+    async expandZipArchives(files) {
+        const expanded = [];
+        let JSZip = null;
+
+        for (const file of files) {
+            if (!this.isZipArchive(file.name)) {
+                expanded.push(file);
+                continue;
+            }
+
+            if (!JSZip) {
+                JSZip = (await import('jszip')).default;
+            }
+
+            this.updateProgress(`Unpacking ${file.name}...`, 'loading');
+            const zip = await JSZip.loadAsync(await this.readFileAsArrayBuffer(file));
+
+            // Skip folders and macOS resource forks (__MACOSX/, ._name)
+            const entries = Object.values(zip.files).filter(entry => {
+                const baseName = entry.name.split('/').pop();
+                return !entry.dir && !entry.name.startsWith('__MACOSX/') && !baseName.startsWith('.');
+            });
+
+            for (const entry of entries) {
+                const blob = await entry.async('blob');
+                const entryFile = new File([blob], entry.name.split('/').pop(), {
+                    lastModified: entry.date ? entry.date.getTime() : Date.now()
+                });
+                entryFile.archivePath = `${file.name}/${entry.name}`;
+                expanded.push(entryFile);
+            }
+
+            console.log(`  📦 Unpacked ${entries.length} files from ${file.name}`);
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Collect every importable data source from a file selection
+     * Shapefiles are grouped with their companions; GeoJSON files become one source each
+     * @param {FileList|Array<File>} files - Selected files
+     * @returns {Array<Object>} Sources with {type, name, path, ...} in processing order
+     */
+    groupDataSources(files) {
+        const sources = this.groupShapefilesByName(files).map(group => ({ ...group, type: 'shapefile' }));
+
+        for (const file of files) {
+            const fileName = file.name.toLowerCase();
+            const format = this.detectFileFormat(fileName);
+            if (!format) continue;
+
+            const baseName = fileName.slice(0, fileName.lastIndexOf('.'));
+            sources.push({
+                type: SOURCE_TYPE_BY_FORMAT[format],
+                format,
+                name: baseName,
+                path: this.getRelativePath(file),
+                fullPath: this.getRelativePath(file),
+                file
+            });
+            console.log(`  Found: ${baseName} (${format})`);
+        }
+
+        return sources;
+    }
+
+    /**
+     * Detect the format of a standalone (non-shapefile) data file
+     * @returns {'geojson'|'geojsonseq'|'kml'|'kmz'|'csv'|null}
+     */
+    detectFileFormat(fileName) {
+        const lower = fileName.toLowerCase();
+        if (CSV_EXTENSIONS.some(ext => lower.endsWith(ext))) {
+            return 'csv';
+        }
+        if (lower.endsWith('.kml')) {
+            return 'kml';
+        }
+        if (lower.endsWith('.kmz')) {
+            return 'kmz';
+        }
+        return this.detectGeoJSONFormat(lower);
+    }
+
+    /**
+     * Detect GeoJSON flavour from a file name
+     * @returns {'geojson'|'geojsonseq'|null}
+     */
+    detectGeoJSONFormat(fileName) {
+        const lower = fileName.toLowerCase();
+        if (GEOJSON_SEQ_EXTENSIONS.some(ext => lower.endsWith(ext))) {
+            return 'geojsonseq';
+        }
+        if (GEOJSON_EXTENSIONS.some(ext => lower.endsWith(ext))) {
+            return 'geojson';
+        }
+        return null;
+    }
+
+    /**
+     * Read WGS84 features from any data source in batches
+     * @param {Object} source - Source from groupDataSources
+     * @param {number} batchSize - Maximum features per yielded batch
+     * @yields {Array<Object>} GeoJSON features
+     */
+    async *readFeatureBatches(source, batchSize = StorageConfig.FEATURE_BATCH_SIZE) {
+        if (source.type === 'shapefile' && typeof Worker !== 'undefined') {
+            yield* this.streamShapefileFeatures(source, batchSize);
+            return;
+        }
+
+        if (source.type === 'shapefile') {
+            // No worker support - fall back to parsing the whole group with shpjs
+            const geojson = await this.parseShapefileGroup(source);
+            const features = geojson?.features || [];
+            for (let i = 0; i < features.length; i += batchSize) {
+                yield features.slice(i, i + batchSize);
+            }
+            return;
+        }
+
+        if (source.type === 'geojson') {
+            let batch = [];
+            const stream = source.format === 'geojsonseq'
+                ? this.streamGeoJSONSeqFeatures(source.file)
+                : this.streamGeoJSONFeatures(source.file);
+
+            for await (const feature of stream) {
+                batch.push(feature);
+                if (batch.length >= batchSize) {
+                    yield batch;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                yield batch;
+            }
+            return;
+        }
+
+        if (source.type === 'csv') {
+            if (!source.csvMapping) {
+                throw new Error(`No column mapping for ${source.name}`);
+            }
+            let batch = [];
+            for await (const feature of this.streamCSVFeatures(source.file, source.csvMapping)) {
+                batch.push(feature);
+                if (batch.length >= batchSize) {
+                    yield batch;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                yield batch;
+            }
+            return;
+        }
+
+        if (source.type === 'kml') {
+            const features = await this.parseKMLSource(source);
+            for (let i = 0; i < features.length; i += batchSize) {
+                yield features.slice(i, i + batchSize);
+            }
+            return;
+        }
+
+        throw new Error(`Unsupported data source type: ${source.type}`);
+    }
+
+    /**
+     * Approximate size of a feature's record in a text source (GeoJSON line or CSV row)
+     * @param {Object} source - Source from groupDataSources
+     * @param {Object} feature - Feature read from the source
+     * @returns {number} Bytes, 0 for binary or fully parsed formats
+     */
+    estimateRecordBytes(source, feature) {
+        if (source.type === 'csv') {
+            return Object.values(feature?.properties || {}).join(',').length + 1;
+        }
+        if (source.type === 'geojson') {
+            return JSON.stringify(feature).length + 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Estimate how many features a source holds after reading only its start
+     * Shapefiles count records in the .shx index; text files scale by file size
+     * @param {Object} source - Source from groupDataSources
+     * @param {number} read - Features read so far
+     * @param {number} readBytes - Sum of estimateRecordBytes for those features
+     * @returns {number} Estimated feature count, at least `read`
+     */
+    estimateFeatureCount(source, read, readBytes) {
+        if (source.type === 'shapefile') {
+            const shx = source.files?.shx;
+            return shx ? Math.max(read, Math.floor((shx.size - 100) / 8)) : read;
+        }
+        if (source.file && readBytes > 0) {
+            return Math.max(read, Math.round(source.file.size * read / readBytes));
+        }
+        return read;
+    }
+
+    /**
+     * Stream a shapefile group record by record through ShapefileReaderWorker
+     * The worker slices .shp/.dbf using .shx offsets and reprojects, so the main thread
+     * only ever holds the current batch
+     * @param {Object} group - Shapefile group from groupShapefilesByName
+     * @param {number} batchSize - Records per batch
+     * @yields {Array<Object>} GeoJSON features
+     */
+    async *streamShapefileFeatures(group, batchSize) {
+        const { crs } = await this.detectProjection(group);
+        const encoding = group.files.dbf ? await this.resolveEncoding(group) : null;
+        const reader = new ShapefileReader();
+
+        try {
+            const { recordCount } = await reader.open(group.files, encoding, crs ? crs.code : null);
+            if (!group.files.shx) {
+                console.warn(`  ⚠️ ${group.name} has no .shx file, record offsets were scanned from the .shp`);
+            }
+
+            let done = recordCount === 0;
+            while (!done) {
+                const batch = await reader.next(batchSize);
+                done = batch.done;
+                this.updateProgress(`Reading ${group.name}... ${batch.position} / ${recordCount} records`, 'loading');
+                yield batch.features;
+            }
+        } finally {
+            reader.terminate();
+        }
+    }
+
+    /**
+     * Read an even stride of records across a shapefile group, located through its .shx index
+     * @param {Object} group - Shapefile group from groupShapefilesByName
+     * @param {number} count - Maximum records to read
+     * @param {boolean} withProperties - Also read the DBF attributes (e.g. for an import filter)
+     * @returns {Promise<{features: Array<Object>, recordCount: number}|null>} Null without worker support
+     */
+    async sampleShapefileFeatures(group, count, withProperties = false) {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+
+        const { crs } = await this.detectProjection(group);
+        const encoding = withProperties && group.files.dbf ? await this.resolveEncoding(group) : null;
+        const reader = new ShapefileReader();
+
+        try {
+            await reader.open(withProperties ? group.files : { ...group.files, dbf: null }, encoding, crs ? crs.code : null);
+            return await reader.sample(count, withProperties);
+        } finally {
+            reader.terminate();
+        }
+    }
+
+    /**
+     * List the DBF fields of a shapefile group with a few sample values each
+     * Used to offer fields and values when building an import filter
+     * @param {Object} group - Shapefile group from groupShapefilesByName
+     * @returns {Promise<Array<{name: string, type: string, numeric: boolean, samples: Array}>>}
+     */
+    async previewShapefileFields(group) {
+        if (!group.files.dbf || typeof Worker === 'undefined') {
+            return [];
+        }
+
+        const encoding = await this.resolveEncoding(group);
+        const reader = new ShapefileReader();
+
+        try {
+            // Geometry is not needed here, so records are read without reprojection
+            const { fields, recordCount } = await reader.open(group.files, encoding, null);
+            const { features } = recordCount > 0 ? await reader.next(FIELD_SAMPLE_RECORDS) : { features: [] };
+
+            return fields.map(({ name, type }) => {
+                const samples = new Set();
+                for (const feature of features) {
+                    const value = feature.properties?.[name];
+                    const text = FilterUtils.formatValue(value);
+                    if (text === null || text === '') {
+                        continue;
+                    }
+                    samples.add(typeof value === 'number' ? value : text);
+                    if (samples.size >= FIELD_SAMPLE_VALUES) break;
+                }
+                return {
+                    name,
+                    type,
+                    numeric: ['N', 'F', 'O'].includes(type),
+                    samples: Array.from(samples).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+                };
+            });
+        } finally {
+            reader.terminate();
+        }
+    }
+
+    /**
+     * Read a KML or KMZ source and convert its placemarks to features
+     * @param {Object} source - Source with format 'kml' or 'kmz'
+     * @returns {Promise<Array<Object>>} GeoJSON features
+     */
+    async parseKMLSource(source) {
+        let kmlText;
+
+        if (source.format === 'kmz') {
+            const JSZip = (await import('jszip')).default;
+            const zip = await JSZip.loadAsync(await this.readFileAsArrayBuffer(source.file));
+            const kmlEntries = Object.values(zip.files)
+                .filter(entry => !entry.dir && entry.name.toLowerCase().endsWith('.kml'));
+
+            if (kmlEntries.length === 0) {
+                throw new Error(`No .kml document found in ${source.file.name}`);
+            }
+
+            // By convention the main document is doc.kml at the archive root
+            const mainEntry = kmlEntries.find(entry => entry.name.toLowerCase() === 'doc.kml') || kmlEntries[0];
+            kmlText = await mainEntry.async('string');
+        } else {
+            kmlText = new TextDecoder().decode(await this.readFileAsArrayBuffer(source.file));
+        }
+
+        const doc = new DOMParser().parseFromString(kmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Invalid KML in ${source.file.name}`);
+        }
+
+        const features = [];
+        for (const placemark of doc.getElementsByTagNameNS('*', 'Placemark')) {
+            const feature = this.placemarkToFeature(placemark);
+            if (feature) {
+                features.push(feature);
+            }
+        }
+
+        console.log(`  Parsed ${features.length} placemarks from ${source.file.name}`);
+        return features;
+    }
+
+    /**
+     * Convert a KML Placemark element to a GeoJSON feature
+     * Points become Point/MultiPoint and polygons Polygon/MultiPolygon (polygons win in mixed MultiGeometry)
+     * @param {Element} placemark - Placemark element
+     * @returns {Object|null} Feature or null if it has no point or polygon geometry
+     */
+    placemarkToFeature(placemark) {
+        const points = [];
+        for (const point of placemark.getElementsByTagNameNS('*', 'Point')) {
+            const coords = this.parseKMLCoordinates(this.getKMLChildText(point, 'coordinates'));
+            if (coords.length > 0) {
+                points.push(coords[0]);
+            }
+        }
+
+        const polygons = [];
+        for (const polygon of placemark.getElementsByTagNameNS('*', 'Polygon')) {
+            const rings = [];
+            const outer = polygon.getElementsByTagNameNS('*', 'outerBoundaryIs')[0];
+            const outerRing = outer ? this.parseKMLCoordinates(this.getKMLChildText(outer, 'coordinates')) : [];
+            if (outerRing.length < 3) continue;
+            rings.push(outerRing);
+
+            for (const inner of polygon.getElementsByTagNameNS('*', 'innerBoundaryIs')) {
+                const innerRing = this.parseKMLCoordinates(this.getKMLChildText(inner, 'coordinates'));
+                if (innerRing.length >= 3) {
+                    rings.push(innerRing);
+                }
+            }
+            polygons.push(rings);
+        }
+
+        let geometry = null;
+        if (polygons.length > 0) {
+            geometry = polygons.length === 1
+                ? { type: 'Polygon', coordinates: polygons[0] }
+                : { type: 'MultiPolygon', coordinates: polygons };
+        } else if (points.length > 0) {
+            geometry = points.length === 1
+                ? { type: 'Point', coordinates: points[0] }
+                : { type: 'MultiPoint', coordinates: points };
+        }
+
+        if (!geometry) {
+            return null;
+        }
+
+        const properties = {};
+        const name = this.getKMLChildText(placemark, 'name', true);
+        const description = this.getKMLChildText(placemark, 'description', true);
+        if (name) properties.name = name;
+        if (description) properties.description = description;
+
+        // ExtendedData: <Data name="x"><value>..</value></Data> and <SchemaData><SimpleData name="x">..</SimpleData>
+        for (const data of placemark.getElementsByTagNameNS('*', 'Data')) {
+            const key = data.getAttribute('name');
+            if (key) {
+                properties[key] = this.getKMLChildText(data, 'value') ?? '';
+            }
+        }
+        for (const simpleData of placemark.getElementsByTagNameNS('*', 'SimpleData')) {
+            const key = simpleData.getAttribute('name');
+            if (key) {
+                properties[key] = simpleData.textContent.trim();
+            }
+        }
+
+        return { type: 'Feature', geometry, properties };
+    }
+
+    /**
+     * Get trimmed text of the first descendant (or direct child) with the given local name
+     * @returns {string|null}
+     */
+    getKMLChildText(element, localName, directChildOnly = false) {
+        if (directChildOnly) {
+            for (const child of element.children) {
+                if (child.localName === localName) {
+                    return child.textContent.trim();
+                }
+            }
+            return null;
+        }
+        const node = element.getElementsByTagNameNS('*', localName)[0];
+        return node ? node.textContent.trim() : null;
+    }
+
+    /**
+     * Parse a KML coordinates string ("lon,lat[,alt] lon,lat[,alt] ...")
+     * @returns {Array<Array<number>>} [lon, lat] positions
+     */
+    parseKMLCoordinates(text) {
+        if (!text) return [];
+        const positions = [];
+        for (const tuple of text.trim().split(/\s+/)) {
+            const [lon, lat] = tuple.split(',').map(Number);
+            if (Number.isFinite(lon) && Number.isFinite(lat)) {
+                positions.push([lon, lat]);
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Stream a file as decoded text pieces using File.slice
+     * @param {File} file - File to read
+     * @yields {string} Text piece
+     */
+    async *streamTextSlices(file) {
+        const decoder = new TextDecoder('utf-8');
+        const sliceSize = StorageConfig.READ_SLICE_SIZE;
+
+        for (let offset = 0; offset < file.size; offset += sliceSize) {
+            const buffer = await this.readFileAsArrayBuffer(file.slice(offset, offset + sliceSize));
+            const text = decoder.decode(buffer, { stream: true });
+
+            if (file.size > sliceSize) {
+                const percent = Math.min(100, Math.round(((offset + sliceSize) / file.size) * 100));
+                this.updateProgress(`Reading ${file.name}... ${percent}%`, 'loading');
+            }
+
+            if (text) {
+                yield text;
+            }
+        }
+
+        const tail = decoder.decode();
+        if (tail) {
+            yield tail;
+        }
+    }
+
+    /**
+     * Stream features out of a GeoJSON FeatureCollection without parsing the whole document
+     * Each element of the top-level "features" array is cut out and parsed on its own.
+     * A document holding a single Feature or a bare geometry is parsed whole and yields one feature.
+     * A legacy top-level "crs" member (e.g. from PostGIS) is honoured via ProjectionUtils.
+     * @param {File} file - GeoJSON file
+     * @yields {Object} GeoJSON feature in WGS84
+     */
+    async *streamGeoJSONFeatures(file) {
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let stringValue = null; // Collected only for top-level keys
+        let lastString = null;
+        let currentKey = null;
+        let featuresDepth = -1;
+        let captureDepth = -1;
+        let captured = '';
+        let capturedKey = null;
+        let transform = null;
+        let documentType = null; // Top-level "type" member
+
+        for await (const text of this.streamTextSlices(file)) {
+            let captureStart = captureDepth >= 0 ? 0 : -1;
+            const ready = [];
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                        if (stringValue !== null) {
+                            if (currentKey === 'type') {
+                                documentType = stringValue;
+                            }
+                            lastString = stringValue;
+                            stringValue = null;
+                        }
+                        continue;
+                    }
+                    if (stringValue !== null) {
+                        stringValue += char;
+                    }
+                    continue;
+                }
+
+                switch (char) {
+                    case '"':
+                        inString = true;
+                        if (depth === 1 && captureDepth < 0) {
+                            stringValue = '';
+                        }
+                        break;
+                    case ':':
+                        if (depth === 1) {
+                            currentKey = lastString;
+                        }
+                        break;
+                    case ',':
+                        if (depth === 1) {
+                            currentKey = null;
+                        }
+                        break;
+                    case '[':
+                        if (depth === 1 && currentKey === 'features') {
+                            featuresDepth = depth + 1;
+                        }
+                        depth++;
+                        break;
+                    case '{':
+                        // Feature objects inside "features", or the top-level "crs" object
+                        if (captureDepth < 0 && (depth === featuresDepth || (depth === 1 && currentKey === 'crs'))) {
+                            captureDepth = depth;
+                            captureStart = i;
+                            capturedKey = depth === 1 ? 'crs' : 'features';
+                        }
+                        depth++;
+                        break;
+                    case '}':
+                    case ']':
+                        depth--;
+                        if (char === ']' && depth + 1 === featuresDepth) {
+                            featuresDepth = -1;
+                        }
+                        if (char === '}' && depth === captureDepth) {
+                            ready.push({ key: capturedKey, json: captured + text.slice(captureStart, i + 1) });
+                            captured = '';
+                            captureDepth = -1;
+                            captureStart = -1;
+                        }
+                        break;
+                    default:
+                        break;
+                }
+            }
+
+            if (captureDepth >= 0) {
+                captured += text.slice(captureStart);
+            }
+
+            for (const { key, json } of ready) {
+                const value = JSON.parse(json);
+                if (key === 'crs') {
+                    transform = this.createGeoJSONCRSTransformer(value, file.name);
+                    continue;
+                }
+                const feature = this.normalizeGeoJSONFeature(value, transform);
+                if (feature) {
+                    yield feature;
+                }
+            }
+        }
+
+        if (depth !== 0 || inString) {
+            throw new Error(`Unexpected end of GeoJSON in ${file.name}`);
+        }
+
+        // A lone Feature or geometry has no "features" array to cut elements out of
+        if (documentType && documentType !== 'FeatureCollection') {
+            const value = JSON.parse(new TextDecoder('utf-8').decode(await this.readFileAsArrayBuffer(file)));
+            const feature = this.normalizeGeoJSONFeature(value, transform);
+            if (feature) {
+                yield feature;
+            }
+        }
+    }
+
+    /**
+     * Stream features from newline-delimited GeoJSON (GeoJSONSeq / RFC 8142)
+     * @param {File} file - GeoJSONSeq file
+     * @yields {Object} GeoJSON feature in WGS84
+     */
+    async *streamGeoJSONSeqFeatures(file) {
+        let remainder = '';
+        let lineNumber = 0;
+
+        const parseLine = (line) => {
+            lineNumber++;
+            // RFC 8142 prefixes each record with an ASCII record separator
+            const trimmed = line.replace(/^\x1e/, '').trim();
+            if (!trimmed) return [];
+
+            let value;
+            try {
+                value = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${lineNumber} of ${file.name}: ${error.message}`);
+            }
+
+            const items = value?.type === 'FeatureCollection' ? value.features || [] : [value];
+            return items.map(item => this.normalizeGeoJSONFeature(item, null)).filter(Boolean);
+        };
+
+        for await (const text of this.streamTextSlices(file)) {
+            const lines = (remainder + text).split(/\r?\n|\x1e/);
+            remainder = lines.pop();
+            for (const line of lines) {
+                yield* parseLine(line);
+            }
+        }
+
+        yield* parseLine(remainder);
+    }
+
+    /**
+     * Read the start of a CSV file and guess delimiter, coordinate columns and CRS
+     * @param {File} file - CSV file
+     * @returns {Promise<Object>} {delimiter, headers, sampleRows, xColumn, yColumn, crsCode}
+     */
+    async previewCSV(file) {
+        const buffer = await this.readFileAsArrayBuffer(file.slice(0, CSV_PREVIEW_BYTES));
+        let text = new TextDecoder('utf-8').decode(buffer);
+
+        // Drop a possibly truncated last line unless the whole file fits in the preview
+        if (file.size > CSV_PREVIEW_BYTES) {
+            text = text.slice(0, text.lastIndexOf('\n') + 1);
+        }
+
+        const delimiter = file.name.toLowerCase().endsWith('.tsv') ? '\t' : this.detectCSVDelimiter(text);
+        const rows = this.parseCSVText(text, delimiter);
+        const headers = (rows.shift() || []).map(header => header.trim());
+        const sampleRows = rows.slice(0, 5);
+
+        const findColumn = (candidates) => headers.find(header =>
+            candidates.includes(header.toLowerCase().replace(/[\s_.-]/g, ''))) || null;
+        const xColumn = findColumn(CSV_X_COLUMNS);
+        const yColumn = findColumn(CSV_Y_COLUMNS);
+
+        return {
+            delimiter,
+            headers,
+            sampleRows,
+            xColumn,
+            yColumn,
+            crsCode: this.guessCSVCRS(rows, headers.indexOf(xColumn), headers.indexOf(yColumn), delimiter)
+        };
+    }
+
+    /**
+     * Pick the delimiter that splits the first rows into the most, consistently sized, columns
+     * @returns {string} Delimiter character
+     */
+    detectCSVDelimiter(text) {
+        let best = ',';
+        let bestCount = 1;
+
+        for (const candidate of CSV_DELIMITERS) {
+            const counts = this.parseCSVText(text, candidate)
+                .filter(row => row.length > 1 || row[0].trim() !== '')
+                .slice(0, 10)
+                .map(row => row.length);
+            const consistent = counts.length > 0 && counts.every(count => count === counts[0]);
+            if (consistent && counts[0] > bestCount) {
+                best = candidate;
+                bestCount = counts[0];
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Guess the CRS of coordinate columns from sample values
+     * @returns {number|null} EPSG code (4326 lon/lat, 5514 Krovak) or null if unknown
+     */
+    guessCSVCRS(rows, xIndex, yIndex, delimiter) {
+        if (xIndex < 0 || yIndex < 0) {
+            return null;
+        }
+
+        const samples = rows
+            .map(row => [this.parseCSVNumber(row[xIndex], delimiter), this.parseCSVNumber(row[yIndex], delimiter)])
+            .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+
+        if (samples.length === 0) {
+            return null;
+        }
+        if (samples.every(([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90)) {
+            return 4326;
+        }
+        if (samples.every(([x, y]) => x < -400000 && x > -950000 && y < -900000 && y > -1350000)) {
+            return 5514;
+        }
+        return null;
+    }
+
+    /**
+     * Parse a complete CSV text into rows (quotes and escaped quotes supported)
+     * @returns {Array<Array<string>>}
+     */
+    parseCSVText(text, delimiter) {
+        const rows = [];
+        const state = this.createCSVState();
+        this.feedCSVText(state, text, delimiter, rows);
+        this.flushCSVState(state, rows);
+        return rows;
+    }
+
+    /**
+     * Create incremental CSV parser state
+     */
+    createCSVState() {
+        return { field: '', row: [], inQuotes: false, quotePending: false };
+    }
+
+    /**
+     * Feed a piece of CSV text into the parser, pushing completed rows
+     * Quoted fields may span pieces and lines
+     */
+    feedCSVText(state, text, delimiter, rows) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (state.inQuotes) {
+                if (state.quotePending) {
+                    state.quotePending = false;
+                    if (char === '"') {
+                        state.field += '"';
+                        continue;
+                    }
+                    state.inQuotes = false;
+                } else if (char === '"') {
+                    state.quotePending = true;
+                    continue;
+                } else {
+                    state.field += char;
+                    continue;
+                }
+            }
+
+            if (char === '"' && state.field === '') {
+                state.inQuotes = true;
+            } else if (char === delimiter) {
+                state.row.push(state.field);
+                state.field = '';
+            } else if (char === '\n') {
+                state.row.push(state.field);
+                rows.push(state.row);
+                state.field = '';
+                state.row = [];
+            } else if (char !== '\r') {
+                state.field += char;
+            }
+        }
+    }
+
+    /**
+     * Push the last row if the text did not end with a newline
+     */
+    flushCSVState(state, rows) {
+        if (state.field !== '' || state.row.length > 0) {
+            state.row.push(state.field);
+            rows.push(state.row);
+        }
+        state.field = '';
+        state.row = [];
+    }
+
+    /**
+     * Parse a CSV number, accepting decimal commas when the delimiter is not a comma
+     * @returns {number} Number or NaN
+     */
+    parseCSVNumber(value, delimiter) {
+        if (value === undefined || value === null) return NaN;
+        let text = String(value).trim();
+        if (delimiter !== ',') {
+            text = text.replace(',', '.');
+        }
+        return text === '' ? NaN : Number(text);
+    }
+
+    /**
+     * Stream rows of a CSV file as features using a confirmed column mapping
+     * @param {File} file - CSV file
+     * @param {Object} mapping - {delimiter, xColumn, yColumn, crsCode}
+     * @yields {Object} GeoJSON Point feature in WGS84
+     */
+    async *streamCSVFeatures(file, mapping) {
+        const { delimiter, xColumn, yColumn, crsCode } = mapping;
+        const transform = ProjectionUtils.createTransformerForCode(crsCode);
+        const state = this.createCSVState();
+        let headers = null;
+        let xIndex = -1;
+        let yIndex = -1;
+        let skipped = 0;
+
+        const toFeature = (row) => {
+            if (!headers) {
+                headers = row.map(header => header.trim());
+                xIndex = headers.indexOf(xColumn);
+                yIndex = headers.indexOf(yColumn);
+                if (xIndex < 0 || yIndex < 0) {
+                    throw new Error(`Coordinate columns "${xColumn}"/"${yColumn}" not found in ${file.name}`);
+                }
+                return null;
+            }
+
+            const x = this.parseCSVNumber(row[xIndex], delimiter);
+            const y = this.parseCSVNumber(row[yIndex], delimiter);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                skipped++;
+                return null;
+            }
+
+            const properties = {};
+            headers.forEach((header, i) => {
+                const value = row[i];
+                if (value === undefined) return;
+                properties[header] = this.parseCSVAttribute(value);
+            });
+
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: transform ? transform([x, y]) : [x, y] },
+                properties
+            };
+        };
+
+        for await (const text of this.streamTextSlices(file)) {
+            const rows = [];
+            this.feedCSVText(state, text, delimiter, rows);
+            for (const row of rows) {
+                const feature = toFeature(row);
+                if (feature) yield feature;
+            }
+        }
+
+        const rows = [];
+        this.flushCSVState(state, rows);
+        for (const row of rows) {
+            const feature = toFeature(row);
+            if (feature) yield feature;
+        }
+
+        if (skipped > 0) {
+            console.warn(`  ⚠️ Skipped ${skipped} rows without valid coordinates in ${file.name}`);
+        }
+    }
+
+    /**
+     * Convert a CSV attribute to a number when it reads as one without losing its text
+     * Values with leading zeros and integers beyond Number.MAX_SAFE_INTEGER stay strings
+     * @param {string} value - Raw cell text
+     * @returns {number|string}
+     */
+    parseCSVAttribute(value) {
+        const text = value.trim();
+        if (!CSV_NUMBER_PATTERN.test(text)) {
+            return value;
+        }
+        const number = Number(text);
+        return Number.isInteger(number) && !Number.isSafeInteger(number) ? value : number;
+    }
+
+    /**
+     * Build a transformer from a legacy GeoJSON "crs" member
+     * @returns {Function|null} Position transformer or null for WGS84
+     * @throws {Error} If the named CRS is unsupported
+     */
+    createGeoJSONCRSTransformer(crs, fileName) {
+        const name = crs?.properties?.name;
+        if (!name) {
+            return null;
+        }
+
+        // e.g. "EPSG:5514", "urn:ogc:def:crs:EPSG::5514", "urn:ogc:def:crs:OGC:1.3:CRS84"
+        if (/CRS84$/i.test(name)) {
+            return null;
+        }
+        const match = /EPSG:*(\d+)$/i.exec(name);
+        if (!match) {
+            throw ProjectionUtils.unsupportedCRSError(`"${name}" in ${fileName}`);
+        }
+
+        try {
+            const transform = ProjectionUtils.createTransformerForCode(Number(match[1]));
+            console.log(`  🌐 ${fileName}: ${name}`);
+            return transform;
+        } catch (error) {
+            throw ProjectionUtils.unsupportedCRSError(`"${name}" in ${fileName}`);
+        }
+    }
+
+    /**
+     * Normalize a parsed GeoJSON object into a feature with WGS84 geometry
+     * A bare geometry becomes a feature without properties
+     * @returns {Object|null} Feature or null if the object is neither a feature nor a supported geometry
+     */
+    normalizeGeoJSONFeature(value, transform) {
+        if (value && GeometryUtils.SUPPORTED_TYPES.includes(value.type)) {
+            value = { type: 'Feature', geometry: value, properties: {} };
+        }
+        if (!value || value.type !== 'Feature' || !value.geometry) {
+            return null;
+        }
+
+        return {
+            type: 'Feature',
+            geometry: ProjectionUtils.transformGeometry(value.geometry, transform),
+            properties: value.properties || {}
+        };
+    }
+
+    /**
+     * Detect the coordinate reference system of a shapefile group from its .prj file
+     * Groups without a .prj are assumed to be WGS84 lon/lat
+     * Result is cached on group.projection
+     * @returns {Promise<{crs: Object|null, transform: Function|null}>}
+     * @throws {Error} If the .prj describes an unsupported CRS
+     */
+    async detectProjection(group) {
+        if (group.projection) {
+            return group.projection;
+        }
+
+        if (!group.files.prj) {
+            console.warn(`  ⚠️ ${group.name} has no .prj file, assuming WGS84 lon/lat`);
+            group.projection = { crs: null, transform: null };
+            return group.projection;
+        }
+
+        const prjText = new TextDecoder().decode(await this.readFileAsArrayBuffer(group.files.prj));
+
+        try {
+            group.projection = ProjectionUtils.createTransformer(prjText);
+        } catch (error) {
+            throw new Error(`${error.message} in ${group.name}.prj`);
+        }
+
+        const { crs } = group.projection;
+        console.log(`  🌐 ${group.name}: ${crs.name}${crs.code ? ` (EPSG:${crs.code})` : ''}`);
+        return group.projection;
+    }
+
+    /**
+     * Set the DBF encoding used for shapefiles without a .cpg file
+     * @param {string|null} encoding - Decoder label (e.g. 'windows-1250'), or null for UTF-8
+     */
+    setDefaultEncoding(encoding) {
+        this.defaultEncoding = encoding || null;
+    }
+
+    /**
+     * Map a .cpg code page declaration to a decoder label
+     * @param {string} codePage - Contents of the .cpg file (e.g. '1250', 'UTF-8', '8859-2')
+     * @returns {string|null} Decoder label or null if unknown
+     */
+    normalizeCodePage(codePage) {
+        const key = String(codePage || '').trim().toUpperCase().replace(/[\s_-]/g, '');
+        return CODE_PAGE_LABELS[key] || null;
+    }
+
+    /**
+     * Resolve the DBF text encoding for a shapefile group
+     * A .cpg companion wins; otherwise the user-selected default applies, then UTF-8
+     * Result is cached on group.encoding
+     * @returns {Promise<string>} Decoder label
+     * @throws {Error} If the .cpg declares a code page that cannot be decoded and no encoding was chosen
+     */
+    async resolveEncoding(group) {
+        if (group.encoding) {
+            return group.encoding;
+        }
+
+        let encoding = null;
+
+        if (group.files.cpg) {
+            const cpgText = new TextDecoder().decode(await this.readFileAsArrayBuffer(group.files.cpg)).trim();
+            encoding = this.normalizeCodePage(cpgText);
+            if (!encoding || !CodePageUtils.isSupported(encoding)) {
+                if (!this.defaultEncoding) {
+                    throw new Error(`${group.name}.cpg declares unsupported code page "${cpgText}" - choose the attribute encoding in the upload view`);
+                }
+                console.warn(`  ⚠️ ${group.name}.cpg declares unsupported code page "${cpgText}", using ${this.defaultEncoding}`);
+                encoding = null;
+            }
+        }
+
+        group.encoding = encoding || this.defaultEncoding || 'utf-8';
+        if (!CodePageUtils.isSupported(group.encoding)) {
+            throw new Error(`Attribute encoding ${group.encoding} is not supported by this browser`);
+        }
+        console.log(`  🔤 ${group.name}: DBF encoding ${group.encoding}${encoding ? ' (from .cpg)' : ''}`);
+        return group.encoding;
+    }
+
+    /**
+     * Map DBF rows parsed by shpjs to a code page it cannot decode itself
+     * @param {Array<Object>} rows - Properties per record
+     * @param {string} encoding - Decoder label
+     * @returns {Array<Object>} Rows with decoded field names and text values
+     */
+    fixDecodedRows(rows, encoding) {
+        if (CodePageUtils.getTextDecoderLabel(encoding) === encoding) {
+            return rows;
+        }
+        return rows.map(row => {
+            const fixed = {};
+            for (const [key, value] of Object.entries(row)) {
+                fixed[CodePageUtils.fixDecodedText(key, encoding)] = CodePageUtils.fixDecodedText(value, encoding);
+            }
+            return fixed;
+        });
+    }
+
     /**
      * Parse a grouped shapefile (with .shp, .dbf, .shx files)
+     * Geometries are reprojected to WGS84 using the .prj companion file
      */
     async parseShapefileGroup(group) {
+        const { transform } = await this.detectProjection(group);
+
         // Read all file buffers
         const buffers = {};
 
         for (const [ext, file] of Object.entries(group.files)) {
-            // shpjs only expects: shp, dbf, prj (NOT shx)
-            // The .shx file is used internally by the .shp format
-            if (ext !== 'shx') {
+            // shpjs only expects: shp, dbf (NOT shx)
+            // The .shx file is used internally by the .shp format,
+            // .prj is handled by detectProjection and .cpg by resolveEncoding
+            if (ext === 'shp' || ext === 'dbf') {
                 buffers[ext] = await this.readFileAsArrayBuffer(file);
             }
         }
@@ -257,16 +1396,16 @@ export class FileProcessor {
         // parseShp(shpBuffer, prjString), parseDbf(dbfBuffer), then combine
         const parsePromises = [];
 
-        // Parse .shp file (with optional .prj for projection)
+        // Parse .shp file (raw coordinates, reprojected below)
         if (buffers.shp) {
-            // If we have a .prj file, convert it to string for parseShp
-            const prjString = buffers.prj ? new TextDecoder().decode(buffers.prj) : undefined;
-            parsePromises.push(shp.default.parseShp(buffers.shp, prjString));
+            parsePromises.push(shp.default.parseShp(buffers.shp));
         }
 
-        // Parse .dbf file (attribute data)
+        // Parse .dbf file (attribute data) with the declared code page
         if (buffers.dbf) {
-            parsePromises.push(shp.default.parseDbf(buffers.dbf));
+            const encoding = await this.resolveEncoding(group);
+            const rows = shp.default.parseDbf(buffers.dbf, CodePageUtils.getTextDecoderLabel(encoding));
+            parsePromises.push(Promise.resolve(rows).then(properties => this.fixDecodedRows(properties, encoding)));
         }
 
         // Parse both files in parallel
@@ -282,7 +1421,7 @@ export class FileProcessor {
         for (let i = 0; i < geometries.length; i++) {
             features.push({
                 type: 'Feature',
-                geometry: geometries[i],
+                geometry: ProjectionUtils.transformGeometry(geometries[i], transform),
                 properties: properties && properties[i] ? properties[i] : {}
             });
         }
@@ -0,0 +1,288 @@
+import { FilterUtils } from './FilterUtils.js';
+
+/**
+ * FilterExpression - Parses and evaluates attribute filter expressions against feature properties
+ * Grammar (keywords are case-insensitive):
+ *   expr       := orExpr
+ *   orExpr     := andExpr ('OR' andExpr)*
+ *   andExpr    := notExpr ('AND' notExpr)*
+ *   notExpr    := 'NOT' notExpr | comparison
+ *   comparison := '(' expr ')' | field op value | field ['NOT'] 'IN' '(' value (',' value)* ')'
+ *   op         := '=' | '!=' | '<>' | '<' | '<=' | '>' | '>='
+ * Fields are bare names (letters, digits, _) or "double-quoted"; values are numbers or 'single-quoted' text
+ * e.g. TYPE = 'residential' AND FLOORS > 4
+ */
+export class FilterExpression {
+    static COMPARISON_OPERATORS = ['=', '!=', '<>', '<=', '>=', '<', '>'];
+
+    /**
+     * @param {string} source - Expression text
+     * @throws {Error} If the expression cannot be parsed
+     */
+    constructor(source) {
+        this.source = String(source || '').trim();
+        this.tokens = FilterExpression.tokenize(this.source);
+        this.position = 0;
+        this.root = this.tokens.length > 0 ? this.parseOr() : null;
+
+        if (this.position < this.tokens.length) {
+            this.fail(`Unexpected "${this.tokens[this.position].text}"`);
+        }
+    }
+
+    /**
+     * Whether the expression filters anything (an empty expression matches every feature)
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.root === null;
+    }
+
+    /**
+     * Evaluate the expression against feature properties
+     * @param {Object} properties - Feature properties
+     * @returns {boolean}
+     */
+    matches(properties) {
+        return this.root === null || FilterExpression.evaluate(this.root, properties || {});
+    }
+
+    /**
+     * Split expression text into tokens
+     * @param {string} source - Expression text
+     * @returns {Array<{type: string, text: string, value: *, offset: number}>}
+     */
+    static tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')' || char === ',') {
+                tokens.push({ type: char, text: char, offset: i });
+                i++;
+                continue;
+            }
+
+            const operator = FilterExpression.COMPARISON_OPERATORS.find(op => source.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'op', text: operator, value: operator === '<>' ? '!=' : operator, offset: i });
+                i += operator.length;
+                continue;
+            }
+
+            // 'text' values and "field names", with the quote doubled to escape it
+            if (char === '\'' || char === '"') {
+                let text = '';
+                let end = i + 1;
+                while (end < source.length) {
+                    if (source[end] === char) {
+                        if (source[end + 1] === char) {
+                            text += char;
+                            end += 2;
+                            continue;
+                        }
+                        break;
+                    }
+                    text += source[end];
+                    end++;
+                }
+                if (end >= source.length) {
+                    throw new Error(`Unterminated ${char === '"' ? 'field name' : 'text'} at position ${i + 1}`);
+                }
+                tokens.push(char === '"'
+                    ? { type: 'field', text: source.slice(i, end + 1), value: text, offset: i }
+                    : { type: 'value', text: source.slice(i, end + 1), value: text, offset: i });
+                i = end + 1;
+                continue;
+            }
+
+            const number = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(i));
+            if (number) {
+                tokens.push({ type: 'value', text: number[0], value: parseFloat(number[0]), offset: i });
+                i += number[0].length;
+                continue;
+            }
+
+            const word = /^[\p{L}_][\p{L}\p{N}_]*/u.exec(source.slice(i));
+            if (word) {
+                const keyword = word[0].toUpperCase();
+                if (['AND', 'OR', 'NOT', 'IN'].includes(keyword)) {
+                    tokens.push({ type: keyword, text: word[0], offset: i });
+                } else if (keyword === 'TRUE' || keyword === 'FALSE') {
+                    tokens.push({ type: 'value', text: word[0], value: keyword === 'TRUE', offset: i });
+                } else {
+                    tokens.push({ type: 'field', text: word[0], value: word[0], offset: i });
+                }
+                i += word[0].length;
+                continue;
+            }
+
+            throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Throw a parse error pointing at the current token
+     */
+    fail(message) {
+        const token = this.tokens[this.position];
+        const where = token ? ` at position ${token.offset + 1}` : ' at end of expression';
+        throw new Error(`${message}${where}`);
+    }
+
+    /**
+     * Check the type of the current token
+     */
+    peek(type) {
+        return this.tokens[this.position]?.type === type;
+    }
+
+    /**
+     * Consume a token of the given type or fail
+     */
+    expect(type, description) {
+        if (!this.peek(type)) {
+            this.fail(`Expected ${description}`);
+        }
+        return this.tokens[this.position++];
+    }
+
+    /**
+     * Recursive descent, lowest precedence first: OR, AND, NOT, comparison
+     */
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.peek('OR')) {
+            this.position++;
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.peek('AND')) {
+            this.position++;
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.peek('NOT')) {
+            this.position++;
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        if (this.peek('(')) {
+            this.position++;
+            const node = this.parseOr();
+            this.expect(')', '")"');
+            return node;
+        }
+
+        const field = this.expect('field', 'a field name').value;
+
+        const negated = this.peek('NOT');
+        if (negated) {
+            this.position++;
+        }
+        if (this.peek('IN')) {
+            this.position++;
+            this.expect('(', '"(" after IN');
+            const values = [this.expect('value', 'a value').value];
+            while (this.peek(',')) {
+                this.position++;
+                values.push(this.expect('value', 'a value').value);
+            }
+            this.expect(')', '")"');
+            const node = { type: 'in', field, values };
+            return negated ? { type: 'not', operand: node } : node;
+        }
+        if (negated) {
+            this.fail('Expected IN after NOT');
+        }
+
+        const operator = this.expect('op', 'a comparison operator (=, !=, <, <=, >, >=) or IN').value;
+        const value = this.expect('value', 'a number or \'text\' value').value;
+        return { type: 'compare', field, operator, value };
+    }
+
+    /**
+     * Compare a property value with a literal
+     * Numbers compare numerically (numeric text properties included), text compares case-insensitively
+     * @returns {number|null} Negative/zero/positive like a sort comparator, or null if not comparable
+     */
+    static compareValues(propertyValue, literal) {
+        if (propertyValue === null || propertyValue === undefined) {
+            return null;
+        }
+        if (typeof literal === 'number') {
+            const number = typeof propertyValue === 'number' ? propertyValue : parseFloat(propertyValue);
+            return Number.isFinite(number) ? number - literal : null;
+        }
+        if (typeof literal === 'boolean') {
+            return propertyValue === literal ? 0 : null;
+        }
+        const text = FilterUtils.formatValue(propertyValue);
+        return text === null ? null : text.localeCompare(literal, undefined, { sensitivity: 'accent' });
+    }
+
+    /**
+     * Look up a property, falling back to a case-insensitive match (DBF field names are often upper case)
+     */
+    static getProperty(properties, field) {
+        if (field in properties) {
+            return properties[field];
+        }
+        const lower = field.toLowerCase();
+        const key = Object.keys(properties).find(name => name.toLowerCase() === lower);
+        return key === undefined ? undefined : properties[key];
+    }
+
+    /**
+     * Evaluate a parsed node
+     */
+    static evaluate(node, properties) {
+        switch (node.type) {
+            case 'or':
+                return FilterExpression.evaluate(node.left, properties) || FilterExpression.evaluate(node.right, properties);
+            case 'and':
+                return FilterExpression.evaluate(node.left, properties) && FilterExpression.evaluate(node.right, properties);
+            case 'not':
+                return !FilterExpression.evaluate(node.operand, properties);
+            case 'in':
+                return node.values.some(value => FilterExpression.compareValues(FilterExpression.getProperty(properties, node.field), value) === 0);
+            case 'compare': {
+                const result = FilterExpression.compareValues(FilterExpression.getProperty(properties, node.field), node.value);
+                if (result === null) {
+                    // Missing or non-comparable values only satisfy "not equal"
+                    return node.operator === '!=';
+                }
+                switch (node.operator) {
+                    case '=': return result === 0;
+                    case '!=': return result !== 0;
+                    case '<': return result < 0;
+                    case '<=': return result <= 0;
+                    case '>': return result > 0;
+                    case '>=': return result >= 0;
+                    default: return false;
+                }
+            }
+            default:
+                return false;
+        }
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * FilterUtils - Static helpers for attribute conditions on feature properties
+ * A condition is {field, op, ...}: op 'equals' ({value}), 'in' ({values}) or 'range' ({min, max});
+ * a feature matches a filter when it matches every condition
+ */
+export class FilterUtils {
+    static OPERATORS = ['equals', 'in', 'range'];
+
+    /**
+     * Text form of a property value as typed in the UI (dates as local YYYY-MM-DD)
+     * @param {*} value - Property value
+     * @returns {string|null} Null for empty or invalid values
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined || Number.isNaN(value)) {
+            return null;
+        }
+        if (value instanceof Date) {
+            if (Number.isNaN(value.getTime())) return null;
+            const pad = (number) => String(number).padStart(2, '0');
+            return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+        return String(value).trim();
+    }
+
+    /**
+     * Compare a property value with a condition value typed in the UI
+     * Numbers compare numerically, everything else as trimmed text
+     */
+    static valuesEqual(value, expected) {
+        if (typeof value === 'number') {
+            return value === Number(expected);
+        }
+        const text = FilterUtils.formatValue(value);
+        return text !== null && text === String(expected).trim();
+    }
+
+    /**
+     * Test one condition against feature properties
+     * @param {Object} properties - Feature properties
+     * @param {Object} condition - Condition
+     * @returns {boolean}
+     */
+    static matchesCondition(properties, condition) {
+        const value = properties?.[condition.field];
+
+        switch (condition.op) {
+            case 'equals':
+                return FilterUtils.valuesEqual(value, condition.value);
+            case 'in':
+                return condition.values.some(expected => FilterUtils.valuesEqual(value, expected));
+            case 'range': {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                if (!Number.isFinite(number)) {
+                    return false;
+                }
+                const aboveMin = condition.min === null || condition.min === undefined || number >= condition.min;
+                const belowMax = condition.max === null || condition.max === undefined || number <= condition.max;
+                return aboveMin && belowMax;
+            }
+            default:
+                throw new Error(`Unknown filter operator: ${condition.op}`);
+        }
+    }
+
+    /**
+     * Build a predicate for a list of conditions
+     * @param {Array<Object>} conditions - Conditions (all must match)
+     * @returns {Function|null} (properties) => boolean, or null when there is nothing to filter
+     */
+    static createMatcher(conditions) {
+        if (!conditions || conditions.length === 0) {
+            return null;
+        }
+        for (const condition of conditions) {
+            if (!FilterUtils.OPERATORS.includes(condition.op)) {
+                throw new Error(`Unknown filter operator: ${condition.op}`);
+            }
+        }
+        return (properties) => conditions.every(condition => FilterUtils.matchesCondition(properties, condition));
+    }
+
+    /**
+     * Split a comma-separated list typed in the UI into values
+     * @param {string} text - e.g. "house, apartment"
+     * @returns {Array<string>}
+     */
+    static parseList(text) {
+        return String(text || '')
+            .split(',')
+            .map(value => value.trim())
+            .filter(value => value.length > 0);
+    }
+
+    /**
+     * Human-readable form of a condition, e.g. "TYPE in (house, flat)"
+     * @param {Object} condition - Condition
+     * @returns {string}
+     */
+    static describeCondition(condition) {
+        switch (condition.op) {
+            case 'equals':
+                return `${condition.field} = ${condition.value}`;
+            case 'in':
+                return `${condition.field} in (${condition.values.join(', ')})`;
+            case 'range': {
+                const hasMin = condition.min !== null && condition.min !== undefined;
+                const hasMax = condition.max !== null && condition.max !== undefined;
+                if (hasMin && hasMax) return `${condition.min} ≤ ${condition.field} ≤ ${condition.max}`;
+                if (hasMin) return `${condition.field} ≥ ${condition.min}`;
+                if (hasMax) return `${condition.field} ≤ ${condition.max}`;
+                return `${condition.field} is a number`;
+            }
+            default:
+                return `${condition.field} ${condition.op}`;
+        }
+    }
+
+    /**
+     * Human-readable form of a filter
+     * @param {Array<Object>} conditions - Conditions
+     * @returns {string}
+     */
+    static describe(conditions) {
+        return (conditions || []).map(condition => FilterUtils.describeCondition(condition)).join(' AND ');
+    }
+}
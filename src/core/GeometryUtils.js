@@ -0,0 +1,413 @@
+/**
+ * GeometryUtils - Static helpers for working with GeoJSON building geometries
+ * Supports Point, MultiPoint, Polygon and MultiPolygon features
+ */
+export class GeometryUtils {
+    static SUPPORTED_TYPES = ['Point', 'MultiPoint', 'Polygon', 'MultiPolygon'];
+
+    static EARTH_RADIUS = 6371000; // meters
+
+    /**
+     * Check if a geometry can be indexed and displayed
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {boolean}
+     */
+    static isSupported(geometry) {
+        return !!geometry
+            && GeometryUtils.SUPPORTED_TYPES.includes(geometry.type)
+            && Array.isArray(geometry.coordinates)
+            && geometry.coordinates.length > 0;
+    }
+
+    /**
+     * Iterate over every [lon, lat] position of a geometry
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Function} callback - Called with (lon, lat)
+     */
+    static forEachPosition(geometry, callback) {
+        const coords = geometry.coordinates;
+        switch (geometry.type) {
+            case 'Point':
+                callback(coords[0], coords[1]);
+                break;
+            case 'MultiPoint':
+                for (const point of coords) {
+                    callback(point[0], point[1]);
+                }
+                break;
+            case 'Polygon':
+                for (const ring of coords) {
+                    for (const point of ring) {
+                        callback(point[0], point[1]);
+                    }
+                }
+                break;
+            case 'MultiPolygon':
+                for (const polygon of coords) {
+                    for (const ring of polygon) {
+                        for (const point of ring) {
+                            callback(point[0], point[1]);
+                        }
+                    }
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Get the bounding box of a geometry
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array<number>|null} [minLon, minLat, maxLon, maxLat] or null if no valid positions
+     */
+    static getBounds(geometry) {
+        if (!GeometryUtils.isSupported(geometry)) {
+            return null;
+        }
+
+        let minLon = Infinity;
+        let minLat = Infinity;
+        let maxLon = -Infinity;
+        let maxLat = -Infinity;
+        let valid = true;
+
+        GeometryUtils.forEachPosition(geometry, (lon, lat) => {
+            if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+                valid = false;
+                return;
+            }
+            if (lon < minLon) minLon = lon;
+            if (lat < minLat) minLat = lat;
+            if (lon > maxLon) maxLon = lon;
+            if (lat > maxLat) maxLat = lat;
+        });
+
+        if (!valid || minLon === Infinity) {
+            return null;
+        }
+
+        return [minLon, minLat, maxLon, maxLat];
+    }
+
+    /**
+     * Get a single representative [lon, lat] for a geometry (point itself or bounding box center)
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array<number>|null}
+     */
+    static getRepresentativePoint(geometry) {
+        if (geometry?.type === 'Point') {
+            return geometry.coordinates;
+        }
+
+        const bounds = GeometryUtils.getBounds(geometry);
+        if (!bounds) {
+            return null;
+        }
+
+        return [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2];
+    }
+
+    /**
+     * Calculate distance between two points using Haversine formula
+     * @returns {number} Distance in meters
+     */
+    static haversineDistance(lat1, lon1, lat2, lon2) {
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return GeometryUtils.EARTH_RADIUS * c;
+    }
+
+    /**
+     * Shortest great-circle distance from a point to a meridian some degrees of longitude away
+     * A lower bound for the distance to anything at least that far east or west
+     * @param {number} lat - Latitude of the point
+     * @param {number} lonOffset - Longitude difference in degrees
+     * @returns {number} Distance in meters
+     */
+    static distanceToMeridian(lat, lonOffset) {
+        const offset = Math.min(Math.abs(lonOffset), 90) * Math.PI / 180;
+        return GeometryUtils.EARTH_RADIUS * Math.asin(Math.min(1, Math.cos(lat * Math.PI / 180) * Math.sin(offset)));
+    }
+
+    /**
+     * Lower bound of the distance from a point to anything inside a bounding box
+     * Never larger than the distance reported by distanceToGeometry for a geometry inside the box
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @param {ArrayLike<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @returns {number} Distance in meters (0 when the point is inside the box)
+     */
+    static distanceToBounds(lon, lat, bounds) {
+        const lonGap = Math.max(0, bounds[0] - lon, lon - bounds[2]);
+        const latGap = Math.max(0, bounds[1] - lat, lat - bounds[3]);
+
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        return Math.max(latGap * metersPerDegLat, GeometryUtils.distanceToMeridian(lat, lonGap));
+    }
+
+    /**
+     * Bounding box of everything within a radius of a point
+     * The longitude span uses the latitude of the circle edge closest to a pole, where degrees are shortest
+     * @param {number} lon - Center longitude
+     * @param {number} lat - Center latitude
+     * @param {number} radius - Radius in meters
+     * @returns {Array<number>} [minLon, minLat, maxLon, maxLat]
+     */
+    static getRadiusBounds(lon, lat, radius) {
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        const latRadius = radius / metersPerDegLat;
+        const poleward = Math.min(89.9, Math.abs(lat) + latRadius);
+        const lonRadius = Math.min(180, radius / (metersPerDegLat * Math.cos(poleward * Math.PI / 180)));
+        return [lon - lonRadius, lat - latRadius, lon + lonRadius, lat + latRadius];
+    }
+
+    /**
+     * Distance from a point to the nearest part of a geometry
+     * Polygons return 0 when the point lies inside, otherwise the distance to the nearest edge.
+     * Edges are measured in a local equirectangular projection, which is accurate at radar ranges.
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {number} Distance in meters (Infinity for unsupported geometry)
+     */
+    static distanceToGeometry(lon, lat, geometry) {
+        if (!GeometryUtils.isSupported(geometry)) {
+            return Infinity;
+        }
+
+        const coords = geometry.coordinates;
+
+        switch (geometry.type) {
+            case 'Point':
+                return GeometryUtils.haversineDistance(lat, lon, coords[1], coords[0]);
+            case 'MultiPoint': {
+                let min = Infinity;
+                for (const point of coords) {
+                    min = Math.min(min, GeometryUtils.haversineDistance(lat, lon, point[1], point[0]));
+                }
+                return min;
+            }
+            case 'Polygon':
+                return GeometryUtils.distanceToPolygon(lon, lat, coords);
+            case 'MultiPolygon': {
+                let min = Infinity;
+                for (const polygon of coords) {
+                    min = Math.min(min, GeometryUtils.distanceToPolygon(lon, lat, polygon));
+                    if (min === 0) break;
+                }
+                return min;
+            }
+            default:
+                return Infinity;
+        }
+    }
+
+    /**
+     * Distance from a point to a polygon (array of rings, first is outer)
+     * @returns {number} Distance in meters, 0 if inside
+     */
+    static distanceToPolygon(lon, lat, rings) {
+        if (!rings || rings.length === 0) {
+            return Infinity;
+        }
+
+        if (GeometryUtils.isPointInPolygon(lon, lat, rings)) {
+            return 0;
+        }
+
+        // Local projection centered on the query point (meters)
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        const metersPerDegLon = metersPerDegLat * Math.cos(lat * Math.PI / 180);
+
+        let minSq = Infinity;
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const ax = (ring[i][0] - lon) * metersPerDegLon;
+                const ay = (ring[i][1] - lat) * metersPerDegLat;
+                const bx = (ring[i + 1][0] - lon) * metersPerDegLon;
+                const by = (ring[i + 1][1] - lat) * metersPerDegLat;
+                const distSq = GeometryUtils.originToSegmentDistanceSq(ax, ay, bx, by);
+                if (distSq < minSq) {
+                    minSq = distSq;
+                }
+            }
+        }
+
+        return Math.sqrt(minSq);
+    }
+
+    /**
+     * Squared distance from the origin to segment AB
+     */
+    static originToSegmentDistanceSq(ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+
+        let t = 0;
+        if (lengthSq > 0) {
+            t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+        }
+
+        const px = ax + t * dx;
+        const py = ay + t * dy;
+        return px * px + py * py;
+    }
+
+    /**
+     * Polygon rings of a circular sector (field of view) around a point
+     * The arc is circumscribed so the polygon covers the whole sector; callers still check the distance
+     * @param {number} lon - Apex longitude
+     * @param {number} lat - Apex latitude
+     * @param {number} radius - Sector radius in meters
+     * @param {number} heading - Center bearing in degrees (0 = North, clockwise)
+     * @param {number} halfAngle - Degrees either side of the heading (< 180)
+     * @returns {Array<Array<number>>} Rings of a single polygon
+     */
+    static getSectorPolygon(lon, lat, radius, heading, halfAngle) {
+        const steps = Math.max(2, Math.ceil((2 * halfAngle) / 10));
+        const stepAngle = (2 * halfAngle) / steps;
+        const arcRadius = radius / Math.cos((stepAngle / 2) * Math.PI / 180);
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        const metersPerDegLon = metersPerDegLat * Math.cos(lat * Math.PI / 180);
+
+        const ring = [[lon, lat]];
+        for (let i = 0; i <= steps; i++) {
+            const bearing = (heading - halfAngle + i * stepAngle) * Math.PI / 180;
+            ring.push([
+                lon + (arcRadius * Math.sin(bearing)) / metersPerDegLon,
+                lat + (arcRadius * Math.cos(bearing)) / metersPerDegLat
+            ]);
+        }
+        ring.push([lon, lat]);
+
+        return [ring];
+    }
+
+    /**
+     * Check if two bounding boxes overlap (touching counts)
+     * @param {Array<number>} a - [minLon, minLat, maxLon, maxLat]
+     * @param {Array<number>} b - [minLon, minLat, maxLon, maxLat]
+     * @returns {boolean}
+     */
+    static boundsIntersect(a, b) {
+        return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+    }
+
+    /**
+     * Check if a geometry touches or overlaps any of the given polygons
+     * Tested in plain lon/lat space, which is fine for area selections
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Array<Array>} polygons - Polygons, each an array of [lon, lat] rings (first is outer)
+     * @returns {boolean}
+     */
+    static intersectsPolygons(geometry, polygons) {
+        if (!GeometryUtils.isSupported(geometry)) {
+            return false;
+        }
+
+        const coords = geometry.coordinates;
+        switch (geometry.type) {
+            case 'Point':
+                return polygons.some(polygon => GeometryUtils.isPointInPolygon(coords[0], coords[1], polygon));
+            case 'MultiPoint':
+                return coords.some(point => polygons.some(polygon => GeometryUtils.isPointInPolygon(point[0], point[1], polygon)));
+            case 'Polygon':
+                return polygons.some(polygon => GeometryUtils.polygonsIntersect(coords, polygon));
+            case 'MultiPolygon':
+                return coords.some(rings => polygons.some(polygon => GeometryUtils.polygonsIntersect(rings, polygon)));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check if two polygons (arrays of rings, first is outer) touch or overlap
+     * Either one has a vertex inside the other, or their edges cross
+     */
+    static polygonsIntersect(a, b) {
+        if (!a?.[0]?.length || !b?.[0]?.length) {
+            return false;
+        }
+        if (a[0].some(([lon, lat]) => GeometryUtils.isPointInPolygon(lon, lat, b))) {
+            return true;
+        }
+        if (b[0].some(([lon, lat]) => GeometryUtils.isPointInPolygon(lon, lat, a))) {
+            return true;
+        }
+
+        for (const ringA of a) {
+            for (let i = 0; i < ringA.length - 1; i++) {
+                for (const ringB of b) {
+                    for (let j = 0; j < ringB.length - 1; j++) {
+                        if (GeometryUtils.segmentsIntersect(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1])) {
+                            return true;
+                        }
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if segments P1P2 and P3P4 intersect (touching and collinear overlap count)
+     */
+    static segmentsIntersect(p1, p2, p3, p4) {
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const onSegment = (p, q, r) => Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+            Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+
+        const d1 = cross(p3, p4, p1);
+        const d2 = cross(p3, p4, p2);
+        const d3 = cross(p1, p2, p3);
+        const d4 = cross(p1, p2, p4);
+
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+        return (d1 === 0 && onSegment(p3, p1, p4)) ||
+            (d2 === 0 && onSegment(p3, p2, p4)) ||
+            (d3 === 0 && onSegment(p1, p3, p2)) ||
+            (d4 === 0 && onSegment(p1, p4, p2));
+    }
+
+    /**
+     * Check if a point is inside a polygon (outer ring minus holes)
+     */
+    static isPointInPolygon(lon, lat, rings) {
+        if (!GeometryUtils.isPointInRing(lon, lat, rings[0])) {
+            return false;
+        }
+        for (let i = 1; i < rings.length; i++) {
+            if (GeometryUtils.isPointInRing(lon, lat, rings[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Ray casting point-in-ring test
+     */
+    static isPointInRing(lon, lat, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0];
+            const yi = ring[i][1];
+            const xj = ring[j][0];
+            const yj = ring[j][1];
+
+            if (((yi > lat) !== (yj > lat)) &&
+                (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
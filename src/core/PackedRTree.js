@@ -0,0 +1,251 @@
+/**
+ * PackedRTree - Static R-tree packed into flat typed arrays, bulk-loaded with Sort-Tile-Recursive (STR)
+ * Entries are stored level by level, items (leaves) first and the root last. An item entry holds
+ * its value (e.g. a feature index); a node entry holds the position of its first child, and its
+ * children are the next nodeSize entries of the level below.
+ */
+export class PackedRTree {
+    static FORMAT = 'str-v1';
+
+    static DEFAULT_NODE_SIZE = 16;
+
+    /**
+     * @param {number} nodeSize - Maximum children per node
+     */
+    constructor(nodeSize = PackedRTree.DEFAULT_NODE_SIZE) {
+        this.nodeSize = nodeSize;
+        this.boxes = new Float64Array(0); // 4 per entry: minLon, minLat, maxLon, maxLat
+        this.values = new Uint32Array(0); // Item value, or first child position for nodes
+        this.levelEnds = []; // Exclusive end position of each level, items first
+    }
+
+    /**
+     * Bulk-load a tree
+     * @param {ArrayLike<number>} values - Item values
+     * @param {ArrayLike<number>} bounds - Item boxes, 4 numbers per item
+     * @param {number} nodeSize - Maximum children per node
+     * @returns {PackedRTree}
+     */
+    static build(values, bounds, nodeSize = PackedRTree.DEFAULT_NODE_SIZE) {
+        const tree = new PackedRTree(nodeSize);
+        const count = values.length;
+        if (count === 0) {
+            return tree;
+        }
+
+        // Every level but the root is grouped into nodes of the next one
+        const levelSizes = [count];
+        let size = count;
+        do {
+            size = Math.ceil(size / nodeSize);
+            levelSizes.push(size);
+        } while (size > 1);
+
+        const total = levelSizes.reduce((sum, levelSize) => sum + levelSize, 0);
+        tree.boxes = new Float64Array(total * 4);
+        tree.values = new Uint32Array(total);
+
+        let levelBoxes = bounds;
+        let levelValues = values;
+        let start = 0;
+        for (let level = 0; level < levelSizes.length; level++) {
+            const levelSize = levelSizes[level];
+            const order = PackedRTree.sortTileRecursive(levelBoxes, levelSize, nodeSize);
+
+            for (let i = 0; i < levelSize; i++) {
+                const source = order[i];
+                for (let k = 0; k < 4; k++) {
+                    tree.boxes[(start + i) * 4 + k] = levelBoxes[source * 4 + k];
+                }
+                tree.values[start + i] = levelValues[source];
+            }
+            tree.levelEnds.push(start + levelSize);
+
+            if (level === levelSizes.length - 1) break;
+
+            // Parent entries: union of each group of nodeSize consecutive entries
+            const parentCount = levelSizes[level + 1];
+            const parentBoxes = new Float64Array(parentCount * 4);
+            const parentValues = new Uint32Array(parentCount);
+            for (let parent = 0; parent < parentCount; parent++) {
+                const first = start + parent * nodeSize;
+                const last = Math.min(first + nodeSize, start + levelSize);
+                let minLon = Infinity;
+                let minLat = Infinity;
+                let maxLon = -Infinity;
+                let maxLat = -Infinity;
+                for (let child = first; child < last; child++) {
+                    const offset = child * 4;
+                    if (tree.boxes[offset] < minLon) minLon = tree.boxes[offset];
+                    if (tree.boxes[offset + 1] < minLat) minLat = tree.boxes[offset + 1];
+                    if (tree.boxes[offset + 2] > maxLon) maxLon = tree.boxes[offset + 2];
+                    if (tree.boxes[offset + 3] > maxLat) maxLat = tree.boxes[offset + 3];
+                }
+                parentBoxes.set([minLon, minLat, maxLon, maxLat], parent * 4);
+                parentValues[parent] = first;
+            }
+
+            start += levelSize;
+            levelBoxes = parentBoxes;
+            levelValues = parentValues;
+        }
+
+        return tree;
+    }
+
+    /**
+     * STR order of boxes: sorted by center longitude into vertical slices of whole nodes,
+     * each slice sorted by center latitude
+     * @param {ArrayLike<number>} boxes - 4 numbers per entry
+     * @param {number} count - Number of entries
+     * @param {number} nodeSize - Maximum children per node
+     * @returns {Uint32Array} Entry positions in packing order
+     */
+    static sortTileRecursive(boxes, count, nodeSize) {
+        const order = new Uint32Array(count);
+        const centerLon = new Float64Array(count);
+        const centerLat = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            order[i] = i;
+            centerLon[i] = boxes[i * 4] + boxes[i * 4 + 2];
+            centerLat[i] = boxes[i * 4 + 1] + boxes[i * 4 + 3];
+        }
+        if (count <= nodeSize) {
+            return order;
+        }
+
+        order.sort((a, b) => centerLon[a] - centerLon[b]);
+
+        const nodeCount = Math.ceil(count / nodeSize);
+        const sliceSize = nodeSize * Math.ceil(nodeCount / Math.ceil(Math.sqrt(nodeCount)));
+        for (let start = 0; start < count; start += sliceSize) {
+            order.subarray(start, Math.min(start + sliceSize, count)).sort((a, b) => centerLat[a] - centerLat[b]);
+        }
+        return order;
+    }
+
+    /**
+     * Restore a tree from its stored form
+     * @param {Object} record - Result of toRecord()
+     * @returns {PackedRTree}
+     */
+    static fromRecord(record) {
+        if (record?.format !== PackedRTree.FORMAT) {
+            throw new Error(`Unsupported R-tree format: ${record?.format}`);
+        }
+        const tree = new PackedRTree(record.nodeSize);
+        tree.boxes = record.boxes;
+        tree.values = record.values;
+        tree.levelEnds = Array.from(record.levelEnds);
+        return tree;
+    }
+
+    /**
+     * Stored form for IndexedDB
+     * @returns {{format: string, nodeSize: number, boxes: Float64Array, values: Uint32Array, levelEnds: Array<number>}}
+     */
+    toRecord() {
+        return {
+            format: PackedRTree.FORMAT,
+            nodeSize: this.nodeSize,
+            boxes: this.boxes,
+            values: this.values,
+            levelEnds: this.levelEnds.slice()
+        };
+    }
+
+    /**
+     * Number of items
+     */
+    get size() {
+        return this.levelEnds.length > 0 ? this.levelEnds[0] : 0;
+    }
+
+    /**
+     * Position of the root entry, -1 for an empty tree
+     */
+    get rootPosition() {
+        return this.values.length - 1;
+    }
+
+    /**
+     * Level of the root entry (0 = items)
+     */
+    get rootLevel() {
+        return this.levelEnds.length - 1;
+    }
+
+    /**
+     * Box of an entry
+     * @param {number} position - Entry position
+     * @returns {Float64Array} [minLon, minLat, maxLon, maxLat]
+     */
+    getBox(position) {
+        return this.boxes.subarray(position * 4, position * 4 + 4);
+    }
+
+    /**
+     * Child positions of a node
+     * @param {number} position - Node position
+     * @param {number} level - Node level (> 0)
+     * @returns {Array<number>} [start, end) positions in the level below
+     */
+    getChildRange(position, level) {
+        const start = this.values[position];
+        return [start, Math.min(start + this.nodeSize, this.levelEnds[level - 1])];
+    }
+
+    /**
+     * Items in packing order
+     * @returns {{values: Uint32Array, bounds: Float64Array}}
+     */
+    getItems() {
+        return {
+            values: this.values.subarray(0, this.size),
+            bounds: this.boxes.subarray(0, this.size * 4)
+        };
+    }
+
+    /**
+     * Replace every item value in place; node entries and boxes are unchanged
+     * @param {Function} mapValue - (value) => new value
+     */
+    mapItemValues(mapValue) {
+        for (let i = 0; i < this.size; i++) {
+            this.values[i] = mapValue(this.values[i]);
+        }
+    }
+
+    /**
+     * Values of the items whose box intersects bounds
+     * @param {ArrayLike<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @returns {Array<number>} Item values
+     */
+    search(bounds) {
+        const results = [];
+        if (this.size === 0) {
+            return results;
+        }
+
+        const [minLon, minLat, maxLon, maxLat] = bounds;
+        const stack = [this.rootPosition, this.rootLevel];
+        while (stack.length > 0) {
+            const level = stack.pop();
+            const position = stack.pop();
+            const [start, end] = this.getChildRange(position, level);
+
+            for (let child = start; child < end; child++) {
+                const offset = child * 4;
+                if (this.boxes[offset] > maxLon || this.boxes[offset + 2] < minLon ||
+                    this.boxes[offset + 1] > maxLat || this.boxes[offset + 3] < minLat) continue;
+
+                if (level === 1) {
+                    results.push(this.values[child]);
+                } else {
+                    stack.push(child, level - 1);
+                }
+            }
+        }
+        return results;
+    }
+}
@@ -0,0 +1,301 @@
+import proj4 from 'proj4';
+
+const WGS84_DEFINITION = '+proj=longlat +datum=WGS84 +no_defs';
+
+/**
+ * Built-in coordinate reference systems that can be reprojected to WGS84
+ * Keyed by EPSG code, values are proj4 definitions (null = already lon/lat WGS84-compatible)
+ */
+const BUILT_IN_CRS = {
+    4326: { name: 'WGS 84', definition: null },
+    4258: { name: 'ETRS89', definition: null },
+    3857: {
+        name: 'WGS 84 / Pseudo-Mercator',
+        definition: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs'
+    },
+    5514: {
+        name: 'S-JTSK / Krovak East North',
+        definition: '+proj=krovak +lat_0=49.5 +lon_0=24.83333333333333 +alpha=30.28813972222222 +k=0.9999 +x_0=0 +y_0=0 +ellps=bessel +towgs84=589,76,480,0,0,0,0 +units=m +no_defs'
+    },
+    3035: {
+        name: 'ETRS89-extended / LAEA Europe',
+        definition: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs'
+    }
+};
+
+// WGS 84 / UTM zones 1-60 north (326xx) and south (327xx)
+for (let zone = 1; zone <= 60; zone++) {
+    BUILT_IN_CRS[32600 + zone] = {
+        name: `WGS 84 / UTM zone ${zone}N`,
+        definition: `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs`
+    };
+    BUILT_IN_CRS[32700 + zone] = {
+        name: `WGS 84 / UTM zone ${zone}S`,
+        definition: `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m +no_defs`
+    };
+}
+
+// ETRS89 / UTM zones 28-38 north (258xx)
+for (let zone = 28; zone <= 38; zone++) {
+    BUILT_IN_CRS[25800 + zone] = {
+        name: `ETRS89 / UTM zone ${zone}N`,
+        definition: `+proj=utm +zone=${zone} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`
+    };
+}
+
+// Esri codes that are equivalent to an EPSG entry above
+const ESRI_ALIASES = {
+    102067: 5514,
+    102100: 3857
+};
+
+/**
+ * ProjectionUtils - Static helpers for detecting a dataset's CRS from .prj WKT
+ * and reprojecting GeoJSON geometries to WGS84 lon/lat
+ */
+export class ProjectionUtils {
+    static UNSUPPORTED_CRS = 'UNSUPPORTED_CRS'; // Error code of unsupportedCRSError()
+
+    /**
+     * Create the error thrown for a coordinate system that cannot be reprojected
+     * Imports check error.code, so these stop the import instead of skipping one source
+     * @param {string} description - CRS name or code as shown to the user
+     * @returns {Error} Error with code UNSUPPORTED_CRS
+     */
+    static unsupportedCRSError(description) {
+        const error = new Error(`Unsupported coordinate reference system ${description}`);
+        error.code = ProjectionUtils.UNSUPPORTED_CRS;
+        return error;
+    }
+
+    /**
+     * Parse a WKT string (as found in .prj files) into a node tree
+     * @param {string} wkt - Well-known text
+     * @returns {Object} Root node {keyword, values: [], children: []}
+     */
+    static parseWKT(wkt) {
+        let pos = 0;
+        const text = wkt.trim();
+
+        const skipWhitespace = () => {
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+        };
+
+        const parseNode = () => {
+            skipWhitespace();
+            const keywordMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos));
+            if (!keywordMatch) {
+                throw new Error(`Invalid WKT near position ${pos}`);
+            }
+            const node = { keyword: keywordMatch[0].toUpperCase(), values: [], children: [] };
+            pos += keywordMatch[0].length;
+            skipWhitespace();
+
+            const open = text[pos];
+            if (open !== '[' && open !== '(') {
+                return node;
+            }
+            const close = open === '[' ? ']' : ')';
+            pos++;
+
+            while (pos < text.length) {
+                skipWhitespace();
+                const char = text[pos];
+
+                if (char === close) {
+                    pos++;
+                    return node;
+                } else if (char === ',') {
+                    pos++;
+                } else if (char === '"') {
+                    const end = text.indexOf('"', pos + 1);
+                    if (end === -1) {
+                        throw new Error('Unterminated string in WKT');
+                    }
+                    node.values.push(text.slice(pos + 1, end));
+                    pos = end + 1;
+                } else if (/[-+.\d]/.test(char)) {
+                    const numberMatch = /^[-+]?[\d.]+(?:[eE][-+]?\d+)?/.exec(text.slice(pos));
+                    node.values.push(Number(numberMatch[0]));
+                    pos += numberMatch[0].length;
+                } else {
+                    node.children.push(parseNode());
+                }
+            }
+
+            throw new Error('Unexpected end of WKT');
+        };
+
+        return parseNode();
+    }
+
+    /**
+     * Find the first direct child node with the given keyword
+     */
+    static findChild(node, keyword) {
+        return node?.children.find(child => child.keyword === keyword) || null;
+    }
+
+    /**
+     * Detect the coordinate reference system described by a .prj WKT string
+     * @param {string} wkt - Contents of the .prj file
+     * @returns {{name: string, code: number|null, definition: string|null}} Supported CRS
+     * @throws {Error} If the CRS is not in the built-in set (message contains the detected name)
+     */
+    static detectCRS(wkt) {
+        const root = ProjectionUtils.parseWKT(wkt);
+        const name = root.values[0] || root.keyword;
+
+        // Explicit authority code (EPSG or Esri) on the root node
+        const authority = ProjectionUtils.findChild(root, 'AUTHORITY');
+        if (authority && authority.values.length >= 2) {
+            let code = Number(authority.values[1]);
+            if (ESRI_ALIASES[code]) {
+                code = ESRI_ALIASES[code];
+            }
+            if (BUILT_IN_CRS[code]) {
+                return { name, code, definition: BUILT_IN_CRS[code].definition };
+            }
+        }
+
+        const code = ProjectionUtils.matchCRSByName(root);
+        if (code !== null) {
+            return { name, code, definition: BUILT_IN_CRS[code].definition };
+        }
+
+        throw ProjectionUtils.unsupportedCRSError(`"${name}"`);
+    }
+
+    /**
+     * Match Esri-style WKT without an authority code against the built-in set by name and datum
+     * @returns {number|null} EPSG code
+     */
+    static matchCRSByName(root) {
+        const name = String(root.values[0] || '');
+        const geogcs = root.keyword === 'GEOGCS' ? root : ProjectionUtils.findChild(root, 'GEOGCS');
+        const datumNode = ProjectionUtils.findChild(geogcs, 'DATUM');
+        const datum = String(datumNode?.values[0] || geogcs?.values[0] || '').toUpperCase().replace(/[\s-]/g, '_');
+        const isWGS84 = /WGS_?(19)?84/.test(datum);
+        const isETRS89 = /ETRS_?(19)?89|EUROPEAN_TERRESTRIAL/.test(datum);
+
+        if (root.keyword === 'GEOGCS') {
+            if (isWGS84) return 4326;
+            if (isETRS89) return 4258;
+            return null;
+        }
+
+        if (root.keyword !== 'PROJCS') {
+            return null;
+        }
+
+        const projectionNode = ProjectionUtils.findChild(root, 'PROJECTION');
+        const projection = String(projectionNode?.values[0] || '').toUpperCase();
+
+        if (/KROVAK/i.test(name) || projection.includes('KROVAK')) {
+            return 5514;
+        }
+
+        const utmMatch = /UTM[_\s]*zone[_\s]*(\d{1,2})\s*([NS])?/i.exec(name);
+        if (utmMatch) {
+            const zone = Number(utmMatch[1]);
+            const south = (utmMatch[2] || 'N').toUpperCase() === 'S';
+            if (isWGS84) return (south ? 32700 : 32600) + zone;
+            if (isETRS89 && !south && BUILT_IN_CRS[25800 + zone]) return 25800 + zone;
+            return null;
+        }
+
+        if (isETRS89 && (/LAEA/i.test(name) || projection.includes('LAMBERT_AZIMUTHAL_EQUAL_AREA'))) {
+            return 3035;
+        }
+
+        if (/Pseudo[_-]?Mercator|Web[_\s]?Mercator|Mercator_Auxiliary_Sphere/i.test(name + ' ' + projection)) {
+            return 3857;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a transformer from a .prj file to WGS84
+     * @param {string} wkt - Contents of the .prj file
+     * @returns {{crs: Object, transform: Function|null}} transform is null when no reprojection is needed
+     * @throws {Error} If the CRS is unsupported
+     */
+    static createTransformer(wkt) {
+        const crs = ProjectionUtils.detectCRS(wkt);
+        return {
+            crs,
+            transform: ProjectionUtils.createTransformerForCode(crs.code)
+        };
+    }
+
+    /**
+     * Create a position transformer for a built-in EPSG code
+     * @param {number} code - EPSG code from the built-in set
+     * @returns {Function|null} ([x, y]) => [lon, lat], or null when already lon/lat
+     */
+    static createTransformerForCode(code) {
+        const entry = BUILT_IN_CRS[code];
+        if (!entry) {
+            throw ProjectionUtils.unsupportedCRSError(`EPSG:${code}`);
+        }
+        if (!entry.definition) {
+            return null;
+        }
+
+        const converter = proj4(entry.definition, WGS84_DEFINITION);
+
+        if (code === 5514) {
+            // Some S-JTSK exports store Krovak coordinates as positive (south/west) values
+            return ([x, y]) => (x > 0 && y > 0 ? converter.forward([-x, -y]) : converter.forward([x, y]));
+        }
+
+        return ([x, y]) => converter.forward([x, y]);
+    }
+
+    /**
+     * List the built-in coordinate reference systems
+     * @returns {Array<{code: number, name: string}>}
+     */
+    static getSupportedCRS() {
+        return Object.entries(BUILT_IN_CRS).map(([code, entry]) => ({ code: Number(code), name: entry.name }));
+    }
+
+    /**
+     * Reproject every position of a GeoJSON geometry
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Function} transform - ([x, y]) => [lon, lat]
+     * @returns {Object} New geometry with transformed coordinates
+     */
+    static transformGeometry(geometry, transform) {
+        if (!geometry || !transform) {
+            return geometry;
+        }
+
+        const mapPositions = (coords, depth) => {
+            if (depth === 0) {
+                return transform(coords);
+            }
+            return coords.map(child => mapPositions(child, depth - 1));
+        };
+
+        const depthByType = {
+            Point: 0,
+            MultiPoint: 1,
+            LineString: 1,
+            MultiLineString: 2,
+            Polygon: 2,
+            MultiPolygon: 3
+        };
+
+        const depth = depthByType[geometry.type];
+        if (depth === undefined) {
+            return geometry;
+        }
+
+        return {
+            ...geometry,
+            coordinates: mapPositions(geometry.coordinates, depth)
+        };
+    }
+}
@@ -0,0 +1,381 @@
+import { StorageConfig } from './SettingsManager.js';
+import { SpatialIndex } from './SpatialIndex.js';
+import { GeometryUtils } from './GeometryUtils.js';
+import { FeatureStore } from './FeatureStore.js';
+import { PackedRTree } from './PackedRTree.js';
+
+/**
+ * RTreeIndex - SpatialIndex backed by a packed R-tree instead of the uniform grid
+ * Tree nodes follow the data, so dense city centres and sparse rural areas are indexed equally
+ * well without choosing a cell size. The tree keeps every feature's bounding box, so chunk
+ * storage, lazy loading and source management work exactly as in SpatialIndex.
+ * The tree is static: features added one by one are bulk-loaded (STR) on first use.
+ */
+export class RTreeIndex extends SpatialIndex {
+    static INDEX_TYPE = 'rtree';
+
+    /**
+     * @param {number} nodeSize - Maximum children per tree node
+     */
+    constructor(nodeSize = PackedRTree.DEFAULT_NODE_SIZE) {
+        super();
+        this.nodeSize = nodeSize;
+        this.tree = new PackedRTree(nodeSize);
+        this.treeStale = false; // Features were added after the tree was built
+    }
+
+    /**
+     * Index all features from GeoJSON
+     */
+    indexFeatures(geojson) {
+        console.log('Building R-tree index...');
+        const startTime = performance.now();
+
+        // Unsupported features keep an empty slot so indices match geojson.features
+        this.features = FeatureStore.fromFeatures(geojson.features);
+        this.featureCount = this.features.count;
+        this.buildTree();
+
+        const endTime = performance.now();
+        console.log(`R-tree index built in ${(endTime - startTime).toFixed(2)}ms`);
+        console.log(`Tree items: ${this.tree.size}, Features: ${this.featureCount}`);
+    }
+
+    /**
+     * Called by addFeature(); the tree is rebuilt from the feature store on its next use
+     */
+    indexFeatureCells() {
+        this.treeStale = true;
+    }
+
+    /**
+     * Bulk-load the tree from the bounding boxes of the in-memory features
+     */
+    buildTree() {
+        const store = this.features;
+        const values = new Uint32Array(store.count);
+        const bounds = new Float64Array(store.count * 4);
+        let count = 0;
+        for (let index = 0; index < store.count; index++) {
+            if (store.getPartCount(index) === 0) continue;
+            values[count] = index;
+            bounds.set(store.getBounds(index), count * 4);
+            count++;
+        }
+
+        this.tree = PackedRTree.build(values.subarray(0, count), bounds.subarray(0, count * 4), this.nodeSize);
+        this.treeStale = false;
+    }
+
+    /**
+     * Current tree, rebuilt first if features were added (in-memory mode only)
+     * @returns {PackedRTree}
+     */
+    getTree() {
+        if (this.treeStale && !this.lazyMode) {
+            this.buildTree();
+        }
+        return this.tree;
+    }
+
+    /**
+     * Query all features within radius of a point
+     * In lazy mode, automatically loads required chunks
+     */
+    async queryRadius(lon, lat, radius) {
+        const bounds = GeometryUtils.getRadiusBounds(lon, lat, radius);
+        const features = await this.queryArea(bounds, (store, localIndex) =>
+            store.distanceTo(localIndex, lon, lat) <= radius);
+
+        for (const feature of features) {
+            feature.distance = feature.store.distanceTo(feature.localIndex, lon, lat);
+        }
+
+        console.log(`✅ Found ${features.length} buildings within ${radius}m`);
+        return features;
+    }
+
+    /**
+     * Find the k buildings closest to a point, regardless of radar range
+     * Best-first search: tree entries are visited in order of their lower-bound distance, and an
+     * item's chunk is loaded only when no unvisited entry can be closer. Leaf items that reach the
+     * top of the queue together (up to one node's worth) are measured as a batch, so their
+     * chunks are loaded in one go
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @param {number} k - Number of buildings to return
+     * @param {number} maxDistance - Ignore buildings farther than this (meters)
+     * @returns {Promise<Array<Object>>} Up to k features with a distance property, closest first
+     */
+    async queryNearest(lon, lat, k = 1, maxDistance = Infinity) {
+        const nearest = [];
+        const tree = this.getTree();
+        if (k < 1 || tree.size === 0) {
+            return nearest;
+        }
+
+        // Entries: {distance, position, level} for tree entries, {distance, view} once measured
+        const queue = [];
+        RTreeIndex.pushEntry(queue, { distance: 0, position: tree.rootPosition, level: tree.rootLevel });
+        let nodesVisited = 0;
+
+        while (queue.length > 0 && nearest.length < k) {
+            const entry = RTreeIndex.popEntry(queue);
+            if (entry.distance > maxDistance) break;
+
+            if (entry.view) {
+                nearest.push(entry.view);
+            } else if (entry.level === 0) {
+                const items = [entry];
+                while (items.length < this.nodeSize && queue.length > 0 && queue[0].level === 0 && queue[0].distance <= maxDistance) {
+                    items.push(RTreeIndex.popEntry(queue));
+                }
+
+                const indices = items.map(item => tree.values[item.position]);
+                const locations = await this.locateForQuery(indices);
+                locations.forEach((location, i) => {
+                    if (!location) return;
+                    const distance = location.store.distanceTo(location.localIndex, lon, lat);
+                    RTreeIndex.pushEntry(queue, { distance, view: this.createView(location, indices[i], distance) });
+                });
+            } else {
+                nodesVisited++;
+                const [start, end] = tree.getChildRange(entry.position, entry.level);
+                for (let child = start; child < end; child++) {
+                    const distance = GeometryUtils.distanceToBounds(lon, lat, tree.getBox(child));
+                    if (distance <= maxDistance) {
+                        RTreeIndex.pushEntry(queue, { distance, position: child, level: entry.level - 1 });
+                    }
+                }
+            }
+        }
+
+        console.log(`🎯 Nearest ${k}: found ${nearest.length} buildings after visiting ${nodesVisited} tree nodes`);
+
+        return nearest;
+    }
+
+    /**
+     * Find features, loading their chunks in lazy mode
+     * Missing features are grouped by chunk and loaded a cache-sized batch at a time, as in queryArea
+     * @param {Array<number>} indices - Global feature indices
+     * @returns {Promise<Array<{store: FeatureStore, localIndex: number}|null>>} Locations in input
+     *   order, null for removed or missing features
+     */
+    async locateForQuery(indices) {
+        const locations = indices.map(index => this.locateFeature(index));
+        if (!this.lazyMode) {
+            return locations;
+        }
+
+        const byChunk = new Map(); // chunkId -> positions in indices
+        indices.forEach((index, i) => {
+            if (locations[i]) return;
+            const { chunkId } = this.resolveChunkForIndex(index);
+            if (chunkId < 0 || this.chunkBoundaries[chunkId]?.removed) return;
+            if (!byChunk.has(chunkId)) {
+                byChunk.set(chunkId, []);
+            }
+            byChunk.get(chunkId).push(i);
+        });
+
+        const chunkIds = Array.from(byChunk.keys());
+        const batchSize = Math.max(1, this.maxCachedChunks);
+        for (let start = 0; start < chunkIds.length; start += batchSize) {
+            const batch = chunkIds.slice(start, start + batchSize);
+            await this.ensureChunksLoaded(batch);
+
+            // Locate right away, later batches may evict these chunks
+            for (const chunkId of batch) {
+                for (const i of byChunk.get(chunkId)) {
+                    locations[i] = this.locateFeature(indices[i]);
+                }
+            }
+        }
+        return locations;
+    }
+
+    /**
+     * Add an entry to a binary min-heap ordered by distance
+     */
+    static pushEntry(heap, entry) {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].distance <= entry.distance) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = entry;
+    }
+
+    /**
+     * Remove and return the closest entry of a binary min-heap
+     */
+    static popEntry(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                if (left >= heap.length) break;
+                const child = left + 1 < heap.length && heap[left + 1].distance < heap[left].distance ? left + 1 : left;
+                if (heap[child].distance >= last.distance) break;
+                heap[i] = heap[child];
+                i = child;
+            }
+            heap[i] = last;
+        }
+        return top;
+    }
+
+    /**
+     * Indices of the features whose bounding box intersects bounds
+     * @param {Array<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @returns {Array<number>} Feature indices
+     */
+    getAreaCandidates(bounds) {
+        return this.getTree().search(bounds);
+    }
+
+    /**
+     * Rebuild the tree with the items of another R-tree index, shifting its feature indices
+     * @param {RTreeIndex} other - Index holding the new features
+     * @param {number} indexOffset - Added to the other index's feature indices
+     * @returns {number} Number of added tree items
+     */
+    mergeIndexEntries(other, indexOffset) {
+        const existing = this.getTree().getItems();
+        const added = other.getTree().getItems();
+
+        const values = new Uint32Array(existing.values.length + added.values.length);
+        const bounds = new Float64Array(values.length * 4);
+        values.set(existing.values);
+        bounds.set(existing.bounds);
+        for (let i = 0; i < added.values.length; i++) {
+            values[existing.values.length + i] = added.values[i] + indexOffset;
+        }
+        bounds.set(added.bounds, existing.bounds.length);
+
+        this.tree = PackedRTree.build(values, bounds, this.nodeSize);
+        return added.values.length;
+    }
+
+    /**
+     * Renumber the feature indices held by the tree items
+     * @param {Function} remap - (index) => new index
+     */
+    remapIndexEntries(remap) {
+        this.getTree().mapItemValues(remap);
+    }
+
+    /**
+     * Rebuild the tree without the features of removed chunks
+     * @param {Set<number>} removed - Removed chunk IDs
+     * @returns {number} Number of removed tree items
+     */
+    removeIndexEntries(removed) {
+        const { values, bounds } = this.getTree().getItems();
+        const keptValues = new Uint32Array(values.length);
+        const keptBounds = new Float64Array(bounds.length);
+        let count = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (removed.has(this.resolveChunkForIndex(values[i]).chunkId)) continue;
+            keptValues[count] = values[i];
+            keptBounds.set(bounds.subarray(i * 4, i * 4 + 4), count * 4);
+            count++;
+        }
+
+        this.tree = PackedRTree.build(keptValues.subarray(0, count), keptBounds.subarray(0, count * 4), this.nodeSize);
+        return values.length - count;
+    }
+
+    /**
+     * Serialize to plain object for IndexedDB storage
+     * The tree holds feature bounding boxes, so no per-cell chunk metadata is needed
+     * @param {Array} chunkBoundaries - Array of chunk boundaries {start, end, shapefileName}
+     */
+    serialize(chunkBoundaries) {
+        if (!chunkBoundaries || chunkBoundaries.length === 0) {
+            throw new Error('serialize() requires chunkBoundaries parameter');
+        }
+
+        this.initializeChunkLookup(chunkBoundaries);
+        this.chunkBoundaries = chunkBoundaries;
+
+        return {
+            indexType: RTreeIndex.INDEX_TYPE,
+            chunkDegreeSize: this.chunkDegreeSize,
+            tree: this.getTree().toRecord(),
+            featureCount: this.features.count,
+            chunkBoundaries: chunkBoundaries
+        };
+    }
+
+    /**
+     * Serialize the current tree and chunk boundaries as they are
+     * @returns {Object} Serialized index data
+     */
+    serializeStructure() {
+        return {
+            indexType: RTreeIndex.INDEX_TYPE,
+            chunkDegreeSize: this.chunkDegreeSize,
+            tree: this.getTree().toRecord(),
+            featureCount: this.featureCount,
+            chunkBoundaries: this.chunkBoundaries
+        };
+    }
+
+    /**
+     * Deserialize from IndexedDB storage
+     * @param {Object} data - Serialized index data
+     */
+    deserialize(data) {
+        if (data.indexType !== RTreeIndex.INDEX_TYPE) {
+            throw new Error(`Cannot read a ${data.indexType || SpatialIndex.INDEX_TYPE} index as an R-tree index`);
+        }
+        this.tree = PackedRTree.fromRecord(data.tree);
+        this.nodeSize = this.tree.nodeSize;
+        this.treeStale = false;
+        this.featureCount = data.featureCount || 0;
+        this.chunkDegreeSize = data.chunkDegreeSize || StorageConfig.CHUNK_DEGREE_SIZE;
+
+        if (data.chunkBoundaries) {
+            this.initializeChunkLookup(data.chunkBoundaries);
+            this.chunkBoundaries = data.chunkBoundaries;
+        }
+
+        this.isLoaded = true;
+    }
+
+    /**
+     * Enable lazy loading mode
+     * The tree is built first, as the in-memory features are dropped
+     */
+    enableLazyLoading(chunkLoader, cacheOptions = null) {
+        this.getTree();
+        return super.enableLazyLoading(chunkLoader, cacheOptions);
+    }
+
+    /**
+     * Clear the index
+     */
+    clear() {
+        super.clear();
+        this.tree = new PackedRTree(this.nodeSize);
+        this.treeStale = false;
+    }
+
+    /**
+     * Get index metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            nodeSize: this.nodeSize,
+            treeItems: this.tree.size
+        };
+    }
+}
@@ -7,7 +7,11 @@ import shp from 'shpjs';
 export const StorageConfig = {
     // Feature chunking
     CHUNK_SIZE: 1000,              // Number of features per chunk (affects memory usage)
-    CHUNK_DEGREE_SIZE: 0.1,        // Spatial chunk size in degrees (~11km at equator)
+    CHUNK_DEGREE_SIZE: 0.1,        // Spatial chunk size in degrees (~11km at equator), unless chosen from density
+
+    // File streaming
+    READ_SLICE_SIZE: 4 * 1024 * 1024, // Bytes read per File.slice when streaming text formats
+    FEATURE_BATCH_SIZE: 1000,       // Features handed to the index pipeline per batch
 
     // Network/Worker batching
     STREAM_BATCH_SIZE: 10,          // Number of chunks sent per postMessage to worker
@@ -17,31 +21,69 @@ export const StorageConfig = {
     MAX_CACHED_CHUNKS: 10,          // Maximum chunks kept in memory (LRU cache)
 
     // Spatial index
-    DEFAULT_CELL_SIZE: 0.01,        // Grid cell size in degrees (~1km at equator)
+    DEFAULT_CELL_SIZE: 0.01,        // Grid cell size in degrees (~1km at equator), unless chosen from density
+
+    // Adaptive cell and chunk sizes (see DataLoader.chooseIndexSizing)
+    DENSITY_SAMPLE_SIZE: 20000,     // Features read by the sample pass before an import
+    MAX_SAMPLE_WEIGHT: 10,          // Most features one sampled feature may stand for when only a file's start is read
+    TARGET_FEATURES_PER_CELL: 50,   // Features per grid cell for 95% of features; chunks use CHUNK_SIZE
+    MIN_CELL_SIZE: 0.001,           // ~110m at equator
+    MAX_CELL_SIZE: 0.1,
+    MIN_CHUNK_DEGREE_SIZE: 0.01,
+    MAX_CHUNK_DEGREE_SIZE: 1,
 };
 
 /**
  * SettingsManager - Handles application settings with persistence and validation
+ * Only PERSISTED_KEYS are kept in localStorage
  */
 export class SettingsManager {
+    static STORAGE_KEY = 'buildingRadarSettings';
+    static PERSISTED_KEYS = ['filterExpression', 'styleRules']; // Kept across reloads, everything else starts from the defaults
+
     constructor() {
         this.defaults = {
             radarRange: 2000, // meters
             refreshInterval: 1000, // milliseconds
             enableHighAccuracy: true,
             gpsTimeout: 10000,
-            gpsMaximumAge: 0
+            gpsMaximumAge: 0,
+            filterExpression: '', // Runtime attribute filter, see FilterExpression
+            styleRules: null, // Attribute/distance building styles, see StyleUtils
+            forwardCone: false, // Highlight buildings ahead and report the nearest one
+            forwardConeHalfAngle: 30 // degrees either side of the heading
         };
 
-        // Clear any old stored settings
+        this.settings = { ...this.defaults, ...this.loadPersisted() };
+    }
+
+    /**
+     * Read the persisted settings from localStorage
+     * Other keys of older stored settings are ignored
+     * @returns {Object} Persisted values
+     */
+    loadPersisted() {
         try {
-            localStorage.removeItem('buildingRadarSettings');
+            const stored = JSON.parse(localStorage.getItem(SettingsManager.STORAGE_KEY) || '{}');
+            return Object.fromEntries(SettingsManager.PERSISTED_KEYS
+                .filter(key => stored && key in stored)
+                .map(key => [key, stored[key]]));
         } catch (error) {
-            // Ignore errors
+            console.warn('⚠️ Could not read stored settings:', error);
+            return {};
         }
+    }
 
-        // Use in-memory settings only
-        this.settings = { ...this.defaults };
+    /**
+     * Write the persisted settings to localStorage
+     */
+    savePersisted() {
+        const persisted = Object.fromEntries(SettingsManager.PERSISTED_KEYS.map(key => [key, this.settings[key]]));
+        try {
+            localStorage.setItem(SettingsManager.STORAGE_KEY, JSON.stringify(persisted));
+        } catch (error) {
+            console.warn('⚠️ Could not store settings:', error);
+        }
     }
 
     /**
@@ -56,6 +98,9 @@ export class SettingsManager {
      */
     set(key, value) {
         this.settings[key] = value;
+        if (SettingsManager.PERSISTED_KEYS.includes(key)) {
+            this.savePersisted();
+        }
     }
 
     /**
@@ -70,6 +115,9 @@ export class SettingsManager {
      */
     update(newSettings) {
         this.settings = { ...this.settings, ...newSettings };
+        if (SettingsManager.PERSISTED_KEYS.some(key => key in newSettings)) {
+            this.savePersisted();
+        }
     }
 
     /**
@@ -77,6 +125,7 @@ export class SettingsManager {
      */
     reset() {
         this.settings = { ...this.defaults };
+        this.savePersisted();
     }
 
     /**
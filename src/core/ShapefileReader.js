@@ -0,0 +1,99 @@
+/**
+ * ShapefileReader - Main-thread handle for ShapefileReaderWorker
+ * Opens one shapefile group in a dedicated worker and pulls feature batches on demand,
+ * so only the batch currently being indexed is held on the main thread
+ */
+export class ShapefileReader {
+    constructor() {
+        this.messageId = 0;
+        this.pendingMessages = new Map();
+        this.worker = null;
+    }
+
+    /**
+     * Start the reader worker
+     */
+    initWorker() {
+        this.worker = new Worker(new URL('./ShapefileReaderWorker.js', import.meta.url));
+
+        this.worker.addEventListener('message', (event) => {
+            const { action, id, success, data, error, code } = event.data;
+            if (action !== 'response') return;
+
+            const pending = this.pendingMessages.get(id);
+            if (pending) {
+                this.pendingMessages.delete(id);
+                if (success) {
+                    pending.resolve(data);
+                } else {
+                    // Keep the error code (e.g. ProjectionUtils.UNSUPPORTED_CRS) across the worker boundary
+                    pending.reject(Object.assign(new Error(error), code ? { code } : {}));
+                }
+            }
+        });
+
+        this.worker.addEventListener('error', (event) => {
+            const error = new Error(event.message || 'Shapefile reader worker failed');
+            for (const pending of this.pendingMessages.values()) {
+                pending.reject(error);
+            }
+            this.pendingMessages.clear();
+        });
+    }
+
+    /**
+     * Send message to worker and wait for response
+     */
+    sendToWorker(action, payload = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.messageId++;
+            this.pendingMessages.set(id, { resolve, reject });
+            this.worker.postMessage({ action, payload, id });
+        });
+    }
+
+    /**
+     * Open a shapefile group in the worker
+     * @param {Object} files - {shp, shx?, dbf?} File objects
+     * @param {string|null} encoding - DBF text encoding
+     * @param {number|null} crsCode - EPSG code to reproject from (null = WGS84)
+     * @returns {Promise<{recordCount: number, shapeType: number, fields: Array<{name: string, type: string}>}>}
+     */
+    async open(files, encoding, crsCode) {
+        if (!this.worker) {
+            this.initWorker();
+        }
+        const { shp, shx, dbf } = files;
+        return this.sendToWorker('open', { files: { shp, shx, dbf }, encoding, crsCode });
+    }
+
+    /**
+     * Read the next batch of WGS84 features
+     * @param {number} batchSize - Maximum records per batch
+     * @returns {Promise<{features: Array<Object>, done: boolean, position: number, recordCount: number}>}
+     */
+    next(batchSize) {
+        return this.sendToWorker('next', { batchSize });
+    }
+
+    /**
+     * Read an even stride of WGS84 features across the whole file (does not move the batch position)
+     * @param {number} count - Maximum records to read
+     * @param {boolean} withProperties - Also read the attributes of the sampled records
+     * @returns {Promise<{features: Array<Object>, recordCount: number}>}
+     */
+    sample(count, withProperties = false) {
+        return this.sendToWorker('sample', { count, withProperties });
+    }
+
+    /**
+     * Stop the worker and drop any pending requests
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pendingMessages.clear();
+    }
+}
@@ -0,0 +1,447 @@
+/**
+ * ShapefileReaderWorker - Web Worker that streams shapefile records off the main thread
+ * Reads .shp/.dbf record by record with File.slice (record offsets come from the .shx index)
+ * and returns GeoJSON features in batches, so no file is ever held in memory as a whole
+ */
+import { ProjectionUtils } from './ProjectionUtils.js';
+import { CodePageUtils } from './CodePageUtils.js';
+
+const SHP_HEADER_SIZE = 100;
+const SHX_RECORD_SIZE = 8;
+const RECORD_HEADER_SIZE = 8;
+const SCAN_SLICE_SIZE = 4 * 1024 * 1024; // Bytes read per slice when scanning a .shp without .shx
+
+// Shape type codes (Z and M variants share the 2D layout for x/y)
+const SHAPE_NULL = 0;
+const POINT_TYPES = [1, 11, 21];
+const POLYLINE_TYPES = [3, 13, 23];
+const POLYGON_TYPES = [5, 15, 25];
+const MULTIPOINT_TYPES = [8, 18, 28];
+
+let reader = null;
+
+/**
+ * Open a shapefile group and read the headers
+ * @param {Object} files - {shp, shx?, dbf?} File objects
+ * @param {string} encoding - DBF text encoding
+ * @param {number|null} crsCode - EPSG code of the source CRS (null = already WGS84)
+ */
+async function openReader(files, encoding, crsCode) {
+    if (!files.shp) {
+        throw new Error('Missing .shp file');
+    }
+
+    const shpHeader = new DataView(await files.shp.slice(0, SHP_HEADER_SIZE).arrayBuffer());
+    if (shpHeader.byteLength < SHP_HEADER_SIZE || shpHeader.getInt32(0, false) !== 9994) {
+        throw new Error('Invalid .shp header');
+    }
+
+    reader = {
+        files,
+        shapeType: shpHeader.getInt32(32, true),
+        transform: crsCode ? ProjectionUtils.createTransformerForCode(crsCode) : null,
+        decoder: createDecoder(encoding),
+        recordCount: 0,
+        scannedOffsets: null,
+        dbf: null,
+        position: 0
+    };
+
+    if (files.shx) {
+        reader.recordCount = Math.floor((files.shx.size - SHP_HEADER_SIZE) / SHX_RECORD_SIZE);
+    } else {
+        // No index file - build the offset table with one sequential pass over the .shp
+        reader.scannedOffsets = await scanRecordOffsets(files.shp);
+        reader.recordCount = reader.scannedOffsets.offsets.length;
+    }
+
+    if (files.dbf) {
+        reader.dbf = await readDbfHeader(files.dbf, reader.decoder);
+    }
+
+    return {
+        recordCount: reader.recordCount,
+        shapeType: reader.shapeType,
+        fields: reader.dbf ? reader.dbf.fields.map(({ name, type }) => ({ name, type })) : []
+    };
+}
+
+/**
+ * Create a text decoder for DBF fields
+ * The encoding was checked with CodePageUtils.isSupported before the reader was opened
+ */
+function createDecoder(encoding) {
+    const decode = CodePageUtils.createDecoder(encoding || 'utf-8');
+    return (bytes) => decode(bytes).replace(/\0/g, '').trim();
+}
+
+/**
+ * Walk the .shp record headers in large slices to find each record's offset and length
+ * @returns {Promise<{offsets: Array<number>, lengths: Array<number>}>} Byte offsets and content lengths
+ */
+async function scanRecordOffsets(shpFile) {
+    const offsets = [];
+    const lengths = [];
+    let offset = SHP_HEADER_SIZE;
+
+    while (offset + RECORD_HEADER_SIZE <= shpFile.size) {
+        const sliceEnd = Math.min(shpFile.size, offset + SCAN_SLICE_SIZE);
+        const view = new DataView(await shpFile.slice(offset, sliceEnd).arrayBuffer());
+        let position = 0;
+
+        while (position + RECORD_HEADER_SIZE <= view.byteLength) {
+            const contentLength = view.getInt32(position + 4, false) * 2;
+            if (contentLength < 0) {
+                throw new Error(`Corrupt .shp record header at byte ${offset + position}`);
+            }
+            // Records larger than the slice are recorded here and skipped by advancing past them
+            offsets.push(offset + position);
+            lengths.push(contentLength);
+            position += RECORD_HEADER_SIZE + contentLength;
+        }
+
+        offset += position;
+    }
+
+    return { offsets, lengths };
+}
+
+/**
+ * Get [offset, contentLength] pairs for records start..end from .shx or the scanned table
+ */
+async function getRecordRanges(start, end) {
+    const ranges = [];
+
+    if (reader.scannedOffsets) {
+        for (let i = start; i < end; i++) {
+            ranges.push([reader.scannedOffsets.offsets[i], reader.scannedOffsets.lengths[i]]);
+        }
+        return ranges;
+    }
+
+    const shxStart = SHP_HEADER_SIZE + start * SHX_RECORD_SIZE;
+    const shxEnd = SHP_HEADER_SIZE + end * SHX_RECORD_SIZE;
+    const view = new DataView(await reader.files.shx.slice(shxStart, shxEnd).arrayBuffer());
+
+    for (let position = 0; position + SHX_RECORD_SIZE <= view.byteLength; position += SHX_RECORD_SIZE) {
+        // Offsets and lengths are stored in 16-bit words
+        ranges.push([view.getInt32(position, false) * 2, view.getInt32(position + 4, false) * 2]);
+    }
+
+    return ranges;
+}
+
+/**
+ * Read the DBF header and field descriptors
+ */
+async function readDbfHeader(dbfFile, decoder) {
+    const fixed = new DataView(await dbfFile.slice(0, 32).arrayBuffer());
+    const recordCount = fixed.getUint32(4, true);
+    const headerLength = fixed.getUint16(8, true);
+    const recordLength = fixed.getUint16(10, true);
+
+    const descriptorBytes = new Uint8Array(await dbfFile.slice(32, headerLength).arrayBuffer());
+    const fields = [];
+    let fieldOffset = 1; // Skip the deletion flag byte
+
+    for (let position = 0; position + 32 <= descriptorBytes.length && descriptorBytes[position] !== 0x0D; position += 32) {
+        const length = descriptorBytes[position + 16];
+        fields.push({
+            name: decoder(descriptorBytes.subarray(position, position + 11)),
+            type: String.fromCharCode(descriptorBytes[position + 11]),
+            offset: fieldOffset,
+            length
+        });
+        fieldOffset += length;
+    }
+
+    return { recordCount, headerLength, recordLength, fields };
+}
+
+/**
+ * Read attribute rows start..end (same value conventions as shpjs' parseDbf)
+ */
+async function readDbfRows(start, end) {
+    const { dbf, files, decoder } = reader;
+    const rows = [];
+    const last = Math.min(end, dbf.recordCount);
+    if (start >= last) {
+        return rows;
+    }
+
+    const sliceStart = dbf.headerLength + start * dbf.recordLength;
+    const bytes = new Uint8Array(await files.dbf.slice(sliceStart, sliceStart + (last - start) * dbf.recordLength).arrayBuffer());
+
+    for (let row = 0; row < last - start; row++) {
+        const rowOffset = row * dbf.recordLength;
+        const properties = {};
+
+        for (const field of dbf.fields) {
+            const fieldStart = rowOffset + field.offset;
+            const text = decoder(bytes.subarray(fieldStart, fieldStart + field.length));
+
+            switch (field.type) {
+                case 'N':
+                case 'F':
+                case 'O':
+                    properties[field.name] = parseFloat(text);
+                    break;
+                case 'D':
+                    properties[field.name] = new Date(text.slice(0, 4), parseInt(text.slice(4, 6), 10) - 1, text.slice(6, 8));
+                    break;
+                case 'L':
+                    properties[field.name] = text.toLowerCase() === 'y' || text.toLowerCase() === 't';
+                    break;
+                default:
+                    properties[field.name] = text;
+            }
+        }
+
+        rows.push(properties);
+    }
+
+    return rows;
+}
+
+/**
+ * Read the .shp bytes covering a set of record ranges
+ * Consecutive records are fetched with a single slice; out-of-order records fall back to one slice each
+ * @returns {Promise<Array<DataView|null>>} Record content views (without record header)
+ */
+async function readRecordContents(ranges) {
+    const first = ranges[0][0];
+    const lastRange = ranges[ranges.length - 1];
+    const end = lastRange[0] + RECORD_HEADER_SIZE + lastRange[1];
+    const sequential = ranges.every((range, i) => i === 0 || range[0] >= ranges[i - 1][0]);
+
+    if (sequential) {
+        const buffer = await reader.files.shp.slice(first, end).arrayBuffer();
+        return ranges.map(([offset, length]) => {
+            const start = offset - first + RECORD_HEADER_SIZE;
+            return start + length <= buffer.byteLength ? new DataView(buffer, start, length) : null;
+        });
+    }
+
+    const views = [];
+    for (const [offset, length] of ranges) {
+        const buffer = await reader.files.shp.slice(offset + RECORD_HEADER_SIZE, offset + RECORD_HEADER_SIZE + length).arrayBuffer();
+        views.push(buffer.byteLength === length ? new DataView(buffer) : null);
+    }
+    return views;
+}
+
+/**
+ * Read point coordinates as [x, y] pairs
+ */
+function readPoints(view, offset, count) {
+    const points = new Array(count);
+    for (let i = 0; i < count; i++) {
+        points[i] = [view.getFloat64(offset + i * 16, true), view.getFloat64(offset + i * 16 + 8, true)];
+    }
+    return points;
+}
+
+/**
+ * Check ring orientation (clockwise rings are outer rings in shapefiles)
+ */
+function isClockwise(ring) {
+    let sum = 0;
+    for (let i = 1; i < ring.length; i++) {
+        sum += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+    }
+    return sum > 0;
+}
+
+/**
+ * Convert one .shp record to a GeoJSON geometry
+ * @param {DataView} view - Record content
+ * @returns {Object|null} Geometry or null for null shapes
+ */
+function parseGeometry(view) {
+    if (!view || view.byteLength < 4) {
+        return null;
+    }
+
+    const shapeType = view.getInt32(0, true);
+    if (shapeType === SHAPE_NULL) {
+        return null;
+    }
+
+    if (POINT_TYPES.includes(shapeType)) {
+        return { type: 'Point', coordinates: [view.getFloat64(4, true), view.getFloat64(12, true)] };
+    }
+
+    if (MULTIPOINT_TYPES.includes(shapeType)) {
+        const numPoints = view.getInt32(36, true);
+        if (!numPoints) return null;
+        const points = readPoints(view, 40, numPoints);
+        return numPoints === 1
+            ? { type: 'Point', coordinates: points[0] }
+            : { type: 'MultiPoint', coordinates: points };
+    }
+
+    if (POLYGON_TYPES.includes(shapeType) || POLYLINE_TYPES.includes(shapeType)) {
+        const numParts = view.getInt32(36, true);
+        const numPoints = view.getInt32(40, true);
+        if (!numParts || !numPoints) return null;
+
+        const pointsOffset = 44 + numParts * 4;
+        const parts = [];
+        for (let i = 0; i < numParts; i++) {
+            const partStart = view.getInt32(44 + i * 4, true);
+            const partEnd = i + 1 < numParts ? view.getInt32(44 + (i + 1) * 4, true) : numPoints;
+            if (partEnd > partStart) {
+                parts.push(readPoints(view, pointsOffset + partStart * 16, partEnd - partStart));
+            }
+        }
+        if (parts.length === 0) return null;
+
+        if (POLYLINE_TYPES.includes(shapeType)) {
+            return parts.length === 1
+                ? { type: 'LineString', coordinates: parts[0] }
+                : { type: 'MultiLineString', coordinates: parts };
+        }
+
+        // Clockwise rings start a new polygon, counter-clockwise rings are holes of the previous one
+        const polygons = [];
+        for (const ring of parts) {
+            if (isClockwise(ring) || polygons.length === 0) {
+                polygons.push([ring]);
+            } else {
+                polygons[polygons.length - 1].push(ring);
+            }
+        }
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    return null;
+}
+
+/**
+ * Read the next batch of features
+ * @param {number} batchSize - Maximum records to read
+ * @returns {Promise<{features: Array<Object>, done: boolean, position: number, recordCount: number}>}
+ */
+async function readNextBatch(batchSize) {
+    if (!reader) {
+        throw new Error('Reader not opened');
+    }
+
+    const start = reader.position;
+    const end = Math.min(reader.recordCount, start + batchSize);
+    const features = [];
+
+    if (end > start) {
+        const ranges = await getRecordRanges(start, end);
+        const views = await readRecordContents(ranges);
+        const rows = reader.dbf ? await readDbfRows(start, end) : [];
+
+        for (let i = 0; i < views.length; i++) {
+            const geometry = parseGeometry(views[i]);
+            features.push({
+                type: 'Feature',
+                geometry: ProjectionUtils.transformGeometry(geometry, reader.transform),
+                properties: rows[i] || {}
+            });
+        }
+    }
+
+    reader.position = end;
+    return {
+        features,
+        done: end >= reader.recordCount,
+        position: end,
+        recordCount: reader.recordCount
+    };
+}
+
+/**
+ * Read an even stride of records across the whole file, e.g. for a density sample
+ * Records are located through the .shx index (or the scanned offset table) and read one by one,
+ * so spatially ordered files are sampled as evenly as shuffled ones
+ * @param {number} count - Maximum records to read
+ * @param {boolean} withProperties - Also read the DBF rows of the sampled records
+ * @returns {Promise<{features: Array<Object>, recordCount: number}>}
+ */
+async function readSample(count, withProperties) {
+    if (!reader) {
+        throw new Error('Reader not opened');
+    }
+
+    const { recordCount } = reader;
+    const sampled = Math.min(Math.max(0, count), recordCount);
+    const records = [];
+    for (let i = 0; i < sampled; i++) {
+        records.push(Math.floor(i * recordCount / sampled));
+    }
+
+    const ranges = await getSampleRanges(records);
+    const features = [];
+    for (let i = 0; i < records.length; i++) {
+        const [view] = await readRecordContents([ranges[i]]);
+        const rows = withProperties && reader.dbf ? await readDbfRows(records[i], records[i] + 1) : [];
+        features.push({
+            type: 'Feature',
+            geometry: ProjectionUtils.transformGeometry(parseGeometry(view), reader.transform),
+            properties: rows[0] || {}
+        });
+    }
+
+    return { features, recordCount };
+}
+
+/**
+ * Get [offset, contentLength] pairs for ascending record numbers
+ * The .shx is read in windows spanning only the records they contain
+ */
+async function getSampleRanges(records) {
+    if (reader.scannedOffsets) {
+        return records.map(record => [reader.scannedOffsets.offsets[record], reader.scannedOffsets.lengths[record]]);
+    }
+
+    const ranges = [];
+    const windowRecords = Math.floor(SCAN_SLICE_SIZE / SHX_RECORD_SIZE);
+    let i = 0;
+    while (i < records.length) {
+        const first = records[i];
+        let last = i;
+        while (last + 1 < records.length && records[last + 1] < first + windowRecords) {
+            last++;
+        }
+
+        const shxStart = SHP_HEADER_SIZE + first * SHX_RECORD_SIZE;
+        const shxEnd = SHP_HEADER_SIZE + (records[last] + 1) * SHX_RECORD_SIZE;
+        const view = new DataView(await reader.files.shx.slice(shxStart, shxEnd).arrayBuffer());
+        for (; i <= last; i++) {
+            const position = (records[i] - first) * SHX_RECORD_SIZE;
+            ranges.push([view.getInt32(position, false) * 2, view.getInt32(position + 4, false) * 2]);
+        }
+    }
+    return ranges;
+}
+
+// Message handler - processes messages from main thread
+self.addEventListener('message', async (event) => {
+    const { action, payload, id } = event.data;
+    try {
+        let result;
+        switch (action) {
+            case 'open':
+                result = await openReader(payload.files, payload.encoding, payload.crsCode);
+                break;
+            case 'next':
+                result = await readNextBatch(payload.batchSize);
+                break;
+            case 'sample':
+                result = await readSample(payload.count, payload.withProperties);
+                break;
+            default:
+                throw new Error(`Unknown action: ${action}`);
+        }
+        postMessage({ action: 'response', id, success: true, data: result });
+    } catch (error) {
+        postMessage({ action: 'response', id, success: false, error: error.message, code: error.code });
+    }
+});
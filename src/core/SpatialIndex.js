@@ -1,47 +1,123 @@
 import { StorageConfig } from './SettingsManager.js';
+import { GeometryUtils } from './GeometryUtils.js';
+import { FeatureStore } from './FeatureStore.js';
+import { FeatureView } from './FeatureView.js';
+import { CellGrid } from './CellGrid.js';
 
 /**
  * SpatialIndex - Grid-based spatial index for fast proximity queries
  * Supports direct IndexedDB serialization for memory-efficient storage
+ * Features are kept in columnar FeatureStores (one per loaded chunk in lazy mode);
+ * queries return FeatureView objects that read like GeoJSON features
+ * Grid cells are addressed by numeric Morton cell IDs (see CellGrid)
  */
 export class SpatialIndex {
+    static INDEX_TYPE = 'grid'; // Stored with the index; see RTreeIndex for the alternative
+
     constructor(cellSize = StorageConfig.DEFAULT_CELL_SIZE) { // ~1km at equator
         this.cellSize = cellSize;
-        this.grid = new Map(); // cellKey -> [featureIndices]
-        this.allFeatures = []; // Legacy: all features in memory
+        this.chunkDegreeSize = StorageConfig.CHUNK_DEGREE_SIZE; // Spatial chunk size used at import
+        this.grid = new CellGrid(); // cellId -> feature indices
+        this.features = new FeatureStore(); // All features in memory (non-lazy mode)
         this.featureCount = 0; // Total count (works in both modes)
         this.isLoaded = false;
+        this.migratedCellKeys = false; // Deserialized from the older "x,y" string key format
 
         // Lazy loading support
         this.lazyMode = false;
-        this.chunkMap = new Map(); // chunkId -> [features]
-        this.chunkMetadata = new Map(); // cellKey -> [chunkIds]
-        this.chunkBoundaries = []; // Array of {start, end, shapefileName} for variable-sized chunks
+        this.chunkMap = new Map(); // chunkId -> FeatureStore
+        this.chunkMetadata = new CellGrid(); // cellId -> chunk IDs
+        this.chunkBoundaries = []; // Array of {start, end, shapefileName, sourceName, sourcePath, removed?} for variable-sized chunks
         this.featureToChunk = null; // Uint32Array mapping global index -> chunkId
         this._lastChunkLookup = { chunkId: -1, start: -1, end: -1 };
         this.loadedChunks = new Set(); // Set of loaded chunkIds
         this.chunkCache = []; // LRU cache: [{id, lastAccess}]
         this.maxCachedChunks = StorageConfig.MAX_CACHED_CHUNKS; // Keep N chunks in memory
         this.chunkLoader = null; // Function to load chunk by ID
+        this.propertyLoader = null; // Function to load chunk properties by ID
+    }
+
+    /**
+     * Get grid cell coordinates for a position
+     * @returns {Array<number>} [x, y]
+     */
+    getCellCoords(lon, lat) {
+        return [Math.floor(lon / this.cellSize), Math.floor(lat / this.cellSize)];
     }
 
     /**
-     * Get grid cell key for coordinates
+     * Get grid cell ID for a position
      */
-    getCellKey(lon, lat) {
-        const cellX = Math.floor(lon / this.cellSize);
-        const cellY = Math.floor(lat / this.cellSize);
-        return `${cellX},${cellY}`;
+    getCellId(lon, lat) {
+        const [cellX, cellY] = this.getCellCoords(lon, lat);
+        return CellGrid.encode(cellX, cellY);
     }
 
     /**
-     * Parse cell key string to coordinates
-     * @param {string} cellKey - Cell key in format "x,y"
+     * Get all grid cell IDs covered by a bounding box
+     * @param {Array<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @returns {Array<number>} Cell IDs touched by the bounds
+     */
+    getCellIdsForBounds(bounds) {
+        const [minX, minY] = this.getCellCoords(bounds[0], bounds[1]);
+        const [maxX, maxY] = this.getCellCoords(bounds[2], bounds[3]);
+
+        const cellIds = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                cellIds.push(CellGrid.encode(x, y));
+            }
+        }
+        return cellIds;
+    }
+
+    /**
+     * Register a feature index in every grid cell its bounding box touches
+     * @param {Array<number>} bounds - Feature bounds [minLon, minLat, maxLon, maxLat]
+     * @param {number} index - Feature index
+     */
+    indexFeatureCells(bounds, index) {
+        for (const cellId of this.getCellIdsForBounds(bounds)) {
+            this.grid.add(cellId, index);
+        }
+    }
+
+    /**
+     * Cell coordinates of a cell ID
+     * @param {number} cellId - Morton cell ID
      * @returns {Array<number>} [x, y] coordinates
      */
-    parseCellKey(cellKey) {
-        const [x, y] = cellKey.split(',').map(Number);
-        return [x, y];
+    parseCellId(cellId) {
+        return CellGrid.decode(cellId);
+    }
+
+    /**
+     * Convert cell data of indexes saved before numeric cell IDs
+     * @param {Object} object - Values keyed by "x,y" cell key strings (single numbers allowed)
+     * @returns {CellGrid}
+     */
+    migrateCellKeys(object) {
+        const entries = [];
+        for (const [key, value] of Object.entries(object || {})) {
+            const [x, y] = key.split(',').map(Number);
+            if (!Number.isInteger(x) || !Number.isInteger(y) || value === null || value === undefined) continue;
+            entries.push([CellGrid.encode(x, y), typeof value === 'number' ? [value] : value]);
+        }
+        return CellGrid.fromEntries(entries);
+    }
+
+    /**
+     * Read stored cell data: a CellGrid record, or an object / Map keyed by "x,y" strings (older versions)
+     * @returns {CellGrid}
+     */
+    toCellGrid(data) {
+        if (data instanceof CellGrid) {
+            return data;
+        }
+        if (data?.format === CellGrid.FORMAT) {
+            return CellGrid.fromRecord(data);
+        }
+        return this.migrateCellKeys(data instanceof Map ? Object.fromEntries(data) : data);
     }
 
     /**
@@ -70,21 +146,17 @@ export class SpatialIndex {
         console.log('Building spatial index...');
         const startTime = performance.now();
 
-        this.allFeatures = geojson.features;
-        this.featureCount = geojson.features.length;
+        // Unsupported features keep an empty slot so indices match geojson.features
+        this.features = FeatureStore.fromFeatures(geojson.features);
+        this.featureCount = this.features.count;
         this.grid.clear();
 
-        geojson.features.forEach((feature, index) => {
-            if (feature.geometry.type === 'Point') {
-                const [lon, lat] = feature.geometry.coordinates;
-                const key = this.getCellKey(lon, lat);
-
-                if (!this.grid.has(key)) {
-                    this.grid.set(key, []);
-                }
-                this.grid.get(key).push(index);
+        for (let index = 0; index < this.features.count; index++) {
+            if (this.features.getPartCount(index) > 0) {
+                this.indexFeatureCells(this.features.getBounds(index), index);
             }
-        });
+        }
+        this.grid.flush();
 
         const endTime = performance.now();
         console.log(`Spatial index built in ${(endTime - startTime).toFixed(2)}ms`);
@@ -97,26 +169,15 @@ export class SpatialIndex {
      */
     async queryRadius(lon, lat, radius) {
         const features = [];
-        const centerKey = this.getCellKey(lon, lat);
-        const [centerCellX, centerCellY] = this.parseCellKey(centerKey);
+        const cellsToCheck = this.getCellIdsForRadius(lon, lat, radius);
 
-        // Calculate grid cell range to check
-        const cellRange = Math.ceil(radius / (this.cellSize * 111000)); // Approximate degrees
-
-        console.log(`🔍 Query at [${lat.toFixed(6)}, ${lon.toFixed(6)}], radius=${radius}m, cellRange=${cellRange}`);
-
-        const cellsToCheck = [];
-        for (let dx = -cellRange; dx <= cellRange; dx++) {
-            for (let dy = -cellRange; dy <= cellRange; dy++) {
-                cellsToCheck.push(`${centerCellX + dx},${centerCellY + dy}`);
-            }
-        }
+        console.log(`🔍 Query at [${lat.toFixed(6)}, ${lon.toFixed(6)}], radius=${radius}m, cells=${cellsToCheck.length}`);
 
         if (this.lazyMode) {
             const neededChunks = new Set();
 
-            for (const cellKey of cellsToCheck) {
-                const chunkIds = this.getChunksForCell(cellKey);
+            for (const cellId of cellsToCheck) {
+                const chunkIds = this.getChunksForCell(cellId);
                 chunkIds.forEach(id => neededChunks.add(id));
             }
 
@@ -126,30 +187,32 @@ export class SpatialIndex {
         }
 
         // Query features from loaded data
+        // Features spanning several cells are indexed in each of them, so skip repeats
+        const seen = new Set();
         let cellsChecked = 0;
         let cellsWithData = 0;
-        for (const checkKey of cellsToCheck) {
-            const indices = this.grid.get(checkKey);
+        for (const checkId of cellsToCheck) {
+            const indices = this.grid.get(checkId);
             cellsChecked++;
 
             // Debug: Log first few cells
             if (cellsChecked <= 5) {
-                console.log(`  🔍 Cell ${checkKey}: ${indices ? indices.length + ' indices' : 'no data'}`);
+                console.log(`  🔍 Cell ${this.parseCellId(checkId).join(',')}: ${indices ? indices.length + ' indices' : 'no data'}`);
             }
 
             if (indices) cellsWithData++;
             if (indices) {
                 for (const idx of indices) {
-                    const feature = this.getFeature(idx);
-                    if (feature) {
-                        const [fLon, fLat] = feature.geometry.coordinates;
-                        const distance = this.calculateDistance(lat, lon, fLat, fLon);
+                    if (seen.has(idx)) continue;
+                    seen.add(idx);
+
+                    const location = this.locateFeature(idx);
+                    if (location) {
+                        // Distance to the nearest edge (0 when standing inside a footprint)
+                        const distance = location.store.distanceTo(location.localIndex, lon, lat);
 
                         if (distance <= radius) {
-                            features.push({
-                                ...feature,
-                                distance
-                            });
+                            features.push(this.createView(location, idx, distance));
                         }
                     }
                 }
@@ -162,11 +225,379 @@ export class SpatialIndex {
         return features;
     }
 
+    /**
+     * Grid cells that can hold something within a radius of a point
+     * Longitude and latitude cell ranges are computed separately (a degree of longitude shrinks
+     * towards the poles), and cells whose nearest point is beyond the radius are skipped
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @param {number} radius - Radius in meters
+     * @returns {Array<number>} Cell IDs
+     */
+    getCellIdsForRadius(lon, lat, radius) {
+        const [centerCellX, centerCellY] = this.getCellCoords(lon, lat);
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        const radiusDegLat = radius / metersPerDegLat;
+
+        // Longitude degrees are shortest at the query edge closest to a pole
+        const poleward = Math.min(89.9, Math.abs(lat) + radiusDegLat);
+        const metersPerDegLon = metersPerDegLat * Math.cos(poleward * Math.PI / 180);
+        const maxLonRange = Math.ceil(180 / this.cellSize);
+
+        const latRange = Math.ceil(radiusDegLat / this.cellSize);
+        const lonRange = Math.min(maxLonRange, Math.ceil(radius / (metersPerDegLon * this.cellSize)));
+
+        const cellIds = [];
+        for (let dx = -lonRange; dx <= lonRange; dx++) {
+            for (let dy = -latRange; dy <= latRange; dy++) {
+                const cellX = centerCellX + dx;
+                const cellY = centerCellY + dy;
+                if (this.distanceToCell(lon, lat, cellX, cellY) <= radius) {
+                    cellIds.push(CellGrid.encode(cellX, cellY));
+                }
+            }
+        }
+        return cellIds;
+    }
+
+    /**
+     * Lower bound of the distance from a point to anything inside a grid cell
+     * Never larger than the distance reported by GeometryUtils.distanceToGeometry, so no
+     * in-range feature is skipped
+     * @returns {number} Distance in meters (0 for the cell containing the point)
+     */
+    distanceToCell(lon, lat, cellX, cellY) {
+        const minLon = cellX * this.cellSize;
+        const minLat = cellY * this.cellSize;
+        return GeometryUtils.distanceToBounds(lon, lat, [minLon, minLat, minLon + this.cellSize, minLat + this.cellSize]);
+    }
+
+    /**
+     * Find the k buildings closest to a point, regardless of radar range
+     * Grid cells are visited in square rings around the query cell (lazy chunks are loaded ring by ring);
+     * the search stops once no unvisited cell can hold anything closer than the k-th result
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @param {number} k - Number of buildings to return
+     * @param {number} maxDistance - Ignore buildings farther than this (meters)
+     * @returns {Promise<Array<Object>>} Up to k features with a distance property, closest first
+     */
+    async queryNearest(lon, lat, k = 1, maxDistance = Infinity) {
+        const nearest = []; // Sorted by distance, at most k entries
+        const extent = this.getGridExtent();
+        if (k < 1 || !extent) {
+            return nearest;
+        }
+
+        const [centerCellX, centerCellY] = this.getCellCoords(lon, lat);
+        const maxRing = Math.max(
+            centerCellX - extent.minX, extent.maxX - centerCellX,
+            centerCellY - extent.minY, extent.maxY - centerCellY
+        );
+        const seen = new Set();
+        let cellsChecked = 0;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            const ringCells = this.getRingCellIds(centerCellX, centerCellY, ring, extent);
+            cellsChecked += ringCells.length;
+
+            if (this.lazyMode) {
+                const neededChunks = new Set();
+                for (const cellId of ringCells) {
+                    this.getChunksForCell(cellId).forEach(id => neededChunks.add(id));
+                }
+                if (neededChunks.size > 0) {
+                    await this.ensureChunksLoaded(Array.from(neededChunks));
+                }
+            }
+
+            for (const cellId of ringCells) {
+                const indices = this.grid.get(cellId);
+                if (!indices) continue;
+
+                for (const idx of indices) {
+                    if (seen.has(idx)) continue;
+                    seen.add(idx);
+
+                    const location = this.locateFeature(idx);
+                    if (!location) continue;
+
+                    const distance = location.store.distanceTo(location.localIndex, lon, lat);
+                    if (distance > maxDistance) continue;
+                    if (nearest.length === k && distance >= nearest[k - 1].distance) continue;
+
+                    let position = nearest.length;
+                    while (position > 0 && nearest[position - 1].distance > distance) {
+                        position--;
+                    }
+                    nearest.splice(position, 0, this.createView(location, idx, distance));
+                    if (nearest.length > k) {
+                        nearest.pop();
+                    }
+                }
+            }
+
+            // Every unvisited feature lies entirely outside the rings checked so far
+            const minUnvisitedDistance = this.distanceToRingBoundary(lon, lat, centerCellX, centerCellY, ring);
+            if (minUnvisitedDistance > maxDistance) break;
+            if (nearest.length === k && nearest[k - 1].distance <= minUnvisitedDistance) break;
+        }
+
+        console.log(`🎯 Nearest ${k}: found ${nearest.length} buildings after checking ${cellsChecked} cells`);
+
+        return nearest;
+    }
+
+    /**
+     * Find buildings within a radius and inside a field of view, e.g. what is ahead of a walking user
+     * Footprints count when any part of them is inside the sector; logs nothing per feature
+     * @param {number} lon - Apex longitude (user position)
+     * @param {number} lat - Apex latitude
+     * @param {number} radius - Range in meters
+     * @param {number} heading - Center of the view in degrees (0 = North, clockwise)
+     * @param {number} halfAngle - Degrees either side of the heading; 180 or more is a full circle
+     * @returns {Promise<Array<Object>>} Features with a distance property, closest first
+     */
+    async querySector(lon, lat, radius, heading, halfAngle) {
+        const fullCircle = halfAngle >= 180;
+        const sector = fullCircle ? null : GeometryUtils.getSectorPolygon(lon, lat, radius, heading, Math.max(0, halfAngle));
+        const bounds = fullCircle
+            ? GeometryUtils.getRadiusBounds(lon, lat, radius)
+            : GeometryUtils.getBounds({ type: 'Polygon', coordinates: sector });
+
+        const features = await this.queryArea(bounds, (store, localIndex) =>
+            store.distanceTo(localIndex, lon, lat) <= radius);
+
+        for (const feature of features) {
+            feature.distance = feature.store.distanceTo(feature.localIndex, lon, lat);
+        }
+        return SpatialIndex.filterSector(features, lon, lat, radius, heading, halfAngle);
+    }
+
+    /**
+     * Keep the features inside a field of view, e.g. the forward cone out of queryRadius results
+     * Same test as querySector, without querying the index again
+     * @param {Array<Object>} features - Features with a distance property
+     * @param {number} lon - Apex longitude (user position)
+     * @param {number} lat - Apex latitude
+     * @param {number} radius - Range in meters
+     * @param {number} heading - Center of the view in degrees (0 = North, clockwise)
+     * @param {number} halfAngle - Degrees either side of the heading; 180 or more is a full circle
+     * @returns {Array<Object>} Matching features, closest first
+     */
+    static filterSector(features, lon, lat, radius, heading, halfAngle) {
+        let matches = features.filter(feature => feature.distance <= radius);
+        if (halfAngle < 180) {
+            const sector = GeometryUtils.getSectorPolygon(lon, lat, radius, heading, Math.max(0, halfAngle));
+            const bounds = GeometryUtils.getBounds({ type: 'Polygon', coordinates: sector });
+            matches = matches.filter(feature => GeometryUtils.boundsIntersect(feature.bbox, bounds) &&
+                GeometryUtils.intersectsPolygons(feature.geometry, [sector]));
+        }
+        return matches.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Find all buildings touching or inside a bounding box
+     * Works in memory and lazy chunk mode; logs nothing per feature
+     * @param {Array<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @returns {Promise<Array<Object>>} Features
+     */
+    async queryBBox(bounds) {
+        const [minLon, minLat, maxLon, maxLat] = bounds || [];
+        if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite) || minLon > maxLon || minLat > maxLat) {
+            throw new Error('Bounding box must be [minLon, minLat, maxLon, maxLat]');
+        }
+
+        const box = [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]];
+
+        return this.queryArea(bounds, (store, localIndex) => {
+            const featureBounds = store.getBounds(localIndex);
+            if (!GeometryUtils.boundsIntersect(featureBounds, bounds)) {
+                return false;
+            }
+            // Fully contained footprints need no geometry test
+            const contained = featureBounds[0] >= minLon && featureBounds[1] >= minLat &&
+                featureBounds[2] <= maxLon && featureBounds[3] <= maxLat;
+            return contained || GeometryUtils.intersectsPolygons(store.decodeGeometry(localIndex), [box]);
+        });
+    }
+
+    /**
+     * Find all buildings touching or inside a polygon area
+     * Works in memory and lazy chunk mode; logs nothing per feature
+     * @param {Object} area - GeoJSON Polygon or MultiPolygon geometry
+     * @returns {Promise<Array<Object>>} Features
+     */
+    async queryPolygon(area) {
+        if (area?.type !== 'Polygon' && area?.type !== 'MultiPolygon') {
+            throw new Error('Query area must be a GeoJSON Polygon or MultiPolygon');
+        }
+
+        const bounds = GeometryUtils.getBounds(area);
+        if (!bounds) {
+            return [];
+        }
+        const polygons = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+
+        return this.queryArea(bounds, (store, localIndex) =>
+            GeometryUtils.boundsIntersect(store.getBounds(localIndex), bounds) &&
+            GeometryUtils.intersectsPolygons(store.decodeGeometry(localIndex), polygons));
+    }
+
+    /**
+     * Collect features near bounds (see getAreaCandidates) that pass a test
+     * In lazy mode chunks are loaded in batches no larger than the chunk cache, so large
+     * areas never need more chunks in memory at once than a radius query
+     * @param {Array<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @param {Function} predicate - (store, localIndex) => boolean, run on the columns before any view is created
+     * @returns {Promise<Array<FeatureView>>} Matching features
+     */
+    async queryArea(bounds, predicate) {
+        const candidates = this.getAreaCandidates(bounds);
+        const features = [];
+
+        if (!this.lazyMode) {
+            for (const idx of candidates) {
+                if (idx < this.features.count && predicate(this.features, idx)) {
+                    features.push(new FeatureView(this.features, idx, idx, this));
+                }
+            }
+            return features;
+        }
+
+        // Group candidates by chunk, then load and test a batch of chunks at a time
+        const byChunk = new Map();
+        for (const idx of candidates) {
+            const { chunkId } = this.resolveChunkForIndex(idx);
+            if (chunkId < 0 || this.chunkBoundaries[chunkId]?.removed) continue;
+            if (!byChunk.has(chunkId)) {
+                byChunk.set(chunkId, []);
+            }
+            byChunk.get(chunkId).push(idx);
+        }
+
+        const chunkIds = Array.from(byChunk.keys());
+        const batchSize = Math.max(1, this.maxCachedChunks);
+        for (let i = 0; i < chunkIds.length; i += batchSize) {
+            const batch = chunkIds.slice(i, i + batchSize);
+            await this.ensureChunksLoaded(batch);
+
+            for (const chunkId of batch) {
+                const store = this.chunkMap.get(chunkId);
+                if (!store) continue;
+                for (const idx of byChunk.get(chunkId)) {
+                    const { localIndex } = this.resolveChunkForIndex(idx);
+                    if (localIndex < store.count && predicate(store, localIndex)) {
+                        features.push(new FeatureView(store, localIndex, idx, this));
+                    }
+                }
+            }
+        }
+
+        return features;
+    }
+
+    /**
+     * Indices of the features registered in the grid cells covering bounds (each listed once)
+     * @param {Array<number>} bounds - [minLon, minLat, maxLon, maxLat]
+     * @returns {Set<number>} Feature indices
+     */
+    getAreaCandidates(bounds) {
+        const candidates = new Set();
+        const [minX, minY] = this.getCellCoords(bounds[0], bounds[1]);
+        const [maxX, maxY] = this.getCellCoords(bounds[2], bounds[3]);
+        const addCell = (cellId) => {
+            const indices = this.grid.get(cellId);
+            if (indices) {
+                indices.forEach(idx => candidates.add(idx));
+            }
+        };
+
+        // Large areas over a sparse grid: walk the occupied cells instead of every covered cell
+        if ((maxX - minX + 1) * (maxY - minY + 1) > this.grid.size) {
+            for (const cellId of this.grid.keys()) {
+                const [x, y] = this.parseCellId(cellId);
+                if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+                    addCell(cellId);
+                }
+            }
+        } else {
+            this.getCellIdsForBounds(bounds).forEach(addCell);
+        }
+        return candidates;
+    }
+
+    /**
+     * Find the building closest to a point
+     * @param {number} lon - Query longitude
+     * @param {number} lat - Query latitude
+     * @param {number} maxDistance - Ignore buildings farther than this (meters)
+     * @returns {Promise<Object|null>} Feature with a distance property, null if none
+     */
+    async queryNearestOne(lon, lat, maxDistance = Infinity) {
+        const [feature] = await this.queryNearest(lon, lat, 1, maxDistance);
+        return feature || null;
+    }
+
+    /**
+     * Cell range covered by the grid
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Null for an empty grid
+     */
+    getGridExtent() {
+        return this.grid.getExtent();
+    }
+
+    /**
+     * Cell IDs at Chebyshev distance `ring` from a center cell, clipped to the grid extent
+     * @returns {Array<number>} Cell IDs
+     */
+    getRingCellIds(centerX, centerY, ring, extent) {
+        const keys = [];
+        const minX = Math.max(centerX - ring, extent.minX);
+        const maxX = Math.min(centerX + ring, extent.maxX);
+        const minY = Math.max(centerY - ring, extent.minY);
+        const maxY = Math.min(centerY + ring, extent.maxY);
+
+        if (ring === 0) {
+            return minX <= maxX && minY <= maxY ? [CellGrid.encode(centerX, centerY)] : keys;
+        }
+
+        // Top and bottom rows, then the left and right columns without their corners
+        for (const y of [centerY - ring, centerY + ring]) {
+            if (y < extent.minY || y > extent.maxY) continue;
+            for (let x = minX; x <= maxX; x++) {
+                keys.push(CellGrid.encode(x, y));
+            }
+        }
+        for (const x of [centerX - ring, centerX + ring]) {
+            if (x < extent.minX || x > extent.maxX) continue;
+            for (let y = Math.max(minY, centerY - ring + 1); y <= Math.min(maxY, centerY + ring - 1); y++) {
+                keys.push(CellGrid.encode(x, y));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Lower bound of the distance from a point to anything outside the square of cells
+     * within `ring` of the center cell
+     * @returns {number} Distance in meters
+     */
+    distanceToRingBoundary(lon, lat, centerX, centerY, ring) {
+        const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+        const south = lat - (centerY - ring) * this.cellSize;
+        const north = (centerY + ring + 1) * this.cellSize - lat;
+        const west = lon - (centerX - ring) * this.cellSize;
+        const east = (centerX + ring + 1) * this.cellSize - lon;
+
+        return Math.min(Math.min(south, north) * metersPerDegLat, GeometryUtils.distanceToMeridian(lat, Math.min(west, east)));
+    }
+
     /**
      * Get total number of indexed features
      */
     getFeatureCount() {
-        return this.lazyMode ? this.featureCount : this.allFeatures.length;
+        return this.lazyMode ? this.featureCount : this.features.count;
     }
 
     /**
@@ -174,41 +605,41 @@ export class SpatialIndex {
      */
     clear() {
         this.grid.clear();
-        this.allFeatures = [];
+        this.features = new FeatureStore();
         this.isLoaded = false;
     }
 
     /**
      * Add a single feature to the index (for streaming/chunked loading)
+     * Polygons are registered in every grid cell touched by their bounding box
+     * @returns {boolean} True if the feature was added
      */
     addFeature(feature) {
-        if (feature.geometry.type === 'Point') {
-            const [lon, lat] = feature.geometry.coordinates;
-            const key = this.getCellKey(lon, lat);
-
-            const index = this.allFeatures.length;
-            this.allFeatures.push(feature);
-            this.featureCount = this.allFeatures.length;
-
-            if (!this.grid.has(key)) {
-                this.grid.set(key, []);
-            }
-            this.grid.get(key).push(index);
+        const index = this.features.add(feature);
+        if (index < 0) {
+            return false;
         }
+
+        this.indexFeatureCells(this.features.getBounds(index), index);
+        this.featureCount = this.features.count;
+        return true;
     }
 
     /**
-     * Get a shallow copy of features for a specific range (used for streaming saves)
+     * Get the stored form of a range of features (used for streaming saves)
      * @param {number} start - Inclusive start index
      * @param {number} end - Exclusive end index
-     * @returns {Array} Array of feature objects
+     * @returns {{columns: Object, properties: Array<Object>}} Geometry columns and properties
      */
-    getFeatureRange(start, end) {
-        if (start < 0 || end > this.allFeatures.length || start > end) {
-            console.warn(`getFeatureRange called with invalid bounds [${start}, ${end})`);
-            return [];
+    getChunkData(start, end) {
+        let store;
+        if (start < 0 || end > this.features.count || start > end) {
+            console.warn(`getChunkData called with invalid bounds [${start}, ${end})`);
+            store = new FeatureStore(0);
+        } else {
+            store = this.features.slice(start, end);
         }
-        return this.allFeatures.slice(start, end);
+        return { columns: store.toRecord(), properties: store.properties || [] };
     }
 
     /**
@@ -221,12 +652,6 @@ export class SpatialIndex {
             throw new Error('serialize() requires chunkBoundaries parameter');
         }
 
-        // Convert Map to plain object with array values
-        const gridObject = {};
-        for (const [key, indices] of this.grid.entries()) {
-            gridObject[key] = indices;
-        }
-
         // Build chunk metadata: map grid cells to chunk IDs based on shapefile boundaries
         this.initializeChunkLookup(chunkBoundaries);
 
@@ -239,28 +664,277 @@ export class SpatialIndex {
         this.setChunkMetadata(chunkMetadata);
 
         return {
+            indexType: SpatialIndex.INDEX_TYPE,
             cellSize: this.cellSize,
-            grid: gridObject,
-            featureCount: this.allFeatures.length,
-            chunkMetadata: chunkMetadata,
+            chunkDegreeSize: this.chunkDegreeSize,
+            grid: this.grid.toRecord(),
+            featureCount: this.features.count,
+            chunkMetadata: chunkMetadata.toRecord(),
             chunkBoundaries: chunkBoundaries, // Save boundaries for variable-sized chunks
             // Features stored separately in chunks
         };
     }
 
+    /**
+     * Serialize the current grid, chunk metadata and boundaries as they are
+     * Used after incremental updates of a stored index, where features live only in IndexedDB
+     * @returns {Object} Serialized index data
+     */
+    serializeStructure() {
+        return {
+            indexType: SpatialIndex.INDEX_TYPE,
+            cellSize: this.cellSize,
+            chunkDegreeSize: this.chunkDegreeSize,
+            grid: this.grid.toRecord(),
+            featureCount: this.featureCount,
+            chunkMetadata: this.chunkMetadata.toRecord(),
+            chunkBoundaries: this.chunkBoundaries
+        };
+    }
+
+    /**
+     * Get the key of the source a chunk belongs to: its path in the upload (e.g. "districts/praha1")
+     * Older datasets only stored the base name, or "<source>_<chunkX>_<chunkY>" chunk names
+     */
+    getBoundarySourceName(boundary) {
+        return boundary.sourcePath || boundary.sourceName || String(boundary.shapefileName || '').replace(/_-?\d+_-?\d+$/, '');
+    }
+
+    /**
+     * List the sources contained in the index
+     * @returns {Array<{name: string, featureCount: number, chunkCount: number}>}
+     */
+    getSources() {
+        const sources = new Map();
+        for (const boundary of this.chunkBoundaries) {
+            if (boundary.removed) continue;
+            const name = this.getBoundarySourceName(boundary);
+            const entry = sources.get(name) || { name, featureCount: 0, chunkCount: 0 };
+            entry.featureCount += boundary.end - boundary.start;
+            entry.chunkCount++;
+            sources.set(name, entry);
+        }
+        return Array.from(sources.values());
+    }
+
+    /**
+     * Merge another index (built from new sources) into this one
+     * New features are numbered after the existing ones and new chunks take the IDs of removed
+     * chunks first, so only the grid cells touched by the new features change
+     * @param {SpatialIndex} other - Index holding the new features
+     * @param {Array} boundaries - Chunk boundaries of the other index (local feature indices)
+     * @param {Iterable<number>} reservedChunkIds - Removed chunk IDs not to reuse yet, e.g. ones
+     *   whose stored records are only deleted when the merged index is saved
+     * @returns {{chunkIds: Array<number>, affectedCells: number}} Chunk ID of each new chunk and number of updated cells
+     */
+    appendIndex(other, boundaries, reservedChunkIds = []) {
+        const otherType = other.constructor.INDEX_TYPE;
+        if (otherType !== this.constructor.INDEX_TYPE) {
+            throw new Error(`Cannot merge a ${otherType} index into a ${this.constructor.INDEX_TYPE} index`);
+        }
+
+        this.compactFeatureIndices();
+        const indexOffset = this.chunkBoundaries.reduce((max, boundary) => Math.max(max, boundary.end), 0);
+
+        const reserved = new Set(reservedChunkIds);
+        const freeChunkIds = [];
+        this.chunkBoundaries.forEach((boundary, chunkId) => {
+            if (boundary.removed && !reserved.has(chunkId)) {
+                freeChunkIds.push(chunkId);
+            }
+        });
+        let nextChunkId = this.chunkBoundaries.length;
+        const chunkIds = boundaries.map((_, i) => (i < freeChunkIds.length ? freeChunkIds[i] : nextChunkId++));
+
+        other.initializeChunkLookup(boundaries);
+        const affectedCells = this.mergeIndexEntries(other, indexOffset, chunkIds);
+
+        const liveFeatures = this.featureCount;
+        boundaries.forEach((boundary, i) => {
+            this.chunkBoundaries[chunkIds[i]] = {
+                ...boundary,
+                start: boundary.start + indexOffset,
+                end: boundary.end + indexOffset
+            };
+        });
+        this.initializeChunkLookup(this.chunkBoundaries);
+        this.featureCount = liveFeatures + boundaries.reduce((sum, boundary) => sum + boundary.end - boundary.start, 0);
+
+        return { chunkIds, affectedCells };
+    }
+
+    /**
+     * Add the grid cells of another index, shifting its feature indices and mapping its chunk IDs
+     * @param {SpatialIndex} other - Index holding the new features (chunk lookup initialized)
+     * @param {number} indexOffset - Added to the other index's feature indices
+     * @param {Array<number>} chunkIds - Chunk ID in this index of each of the other index's chunks
+     * @returns {number} Number of updated cells
+     */
+    mergeIndexEntries(other, indexOffset, chunkIds) {
+        if (other.cellSize !== this.cellSize) {
+            throw new Error(`Cannot merge indexes with different cell sizes (${other.cellSize} vs ${this.cellSize})`);
+        }
+
+        const gridChanges = new Map();
+        const chunkChanges = new Map();
+        for (const [cellId, indices] of other.grid.entries()) {
+            const existing = this.grid.get(cellId);
+            const cellIndices = new Uint32Array((existing ? existing.length : 0) + indices.length);
+            const cellChunks = new Set(this.getChunksForCell(cellId));
+
+            if (existing) {
+                cellIndices.set(existing);
+            }
+            let position = existing ? existing.length : 0;
+            for (const index of indices) {
+                cellIndices[position++] = index + indexOffset;
+                cellChunks.add(chunkIds[other.featureToChunk[index]]);
+            }
+
+            gridChanges.set(cellId, cellIndices);
+            chunkChanges.set(cellId, Array.from(cellChunks));
+        }
+        this.grid.update(gridChanges);
+        this.chunkMetadata.update(chunkChanges);
+
+        return other.grid.size;
+    }
+
+    /**
+     * Remove every chunk of a source
+     * Removed chunks stay in chunkBoundaries as empty tombstones so the other chunk IDs (and their
+     * stored records) remain valid, and appendIndex() reuses their IDs. Feature indices are then
+     * compacted, so repeated replacements do not grow the index range.
+     * Only for indexes whose features live in stored chunks (restored or lazy)
+     * @param {string} sourceName - Source key (see getBoundarySourceName)
+     * @returns {{removedChunkIds: Array<number>, removedFeatures: number, affectedCells: number}}
+     */
+    removeSource(sourceName) {
+        const removedChunkIds = [];
+        let removedFeatures = 0;
+
+        this.chunkBoundaries.forEach((boundary, chunkId) => {
+            if (!boundary.removed && this.getBoundarySourceName(boundary) === sourceName) {
+                boundary.removed = true;
+                removedChunkIds.push(chunkId);
+                removedFeatures += boundary.end - boundary.start;
+            }
+        });
+
+        if (removedChunkIds.length === 0) {
+            return { removedChunkIds, removedFeatures, affectedCells: 0 };
+        }
+
+        const removed = new Set(removedChunkIds);
+        const affectedCells = this.removeIndexEntries(removed);
+
+        // Drop removed chunks from the in-memory cache
+        for (const chunkId of removedChunkIds) {
+            this.chunkMap.delete(chunkId);
+            this.loadedChunks.delete(chunkId);
+        }
+        this.chunkCache = this.chunkCache.filter(entry => !removed.has(entry.id));
+        this._lastChunkLookup = { chunkId: -1, start: -1, end: -1 };
+
+        this.featureCount = Math.max(0, this.featureCount - removedFeatures);
+        this.compactFeatureIndices();
+
+        return { removedChunkIds, removedFeatures, affectedCells };
+    }
+
+    /**
+     * Close the gaps left in the feature index range by removed chunks
+     * Live chunks keep their IDs and stored records (which use chunk-local indices); only their
+     * ranges move, the index entries are renumbered to match and removed chunks become empty
+     * @returns {boolean} True if any feature index changed
+     */
+    compactFeatureIndices() {
+        const liveChunkIds = [];
+        this.chunkBoundaries.forEach((boundary, chunkId) => {
+            if (!boundary.removed) {
+                liveChunkIds.push(chunkId);
+            }
+        });
+        liveChunkIds.sort((a, b) => this.chunkBoundaries[a].start - this.chunkBoundaries[b].start);
+
+        const shifts = new Map(); // chunkId -> change of its start
+        let next = 0;
+        for (const chunkId of liveChunkIds) {
+            const { start, end } = this.chunkBoundaries[chunkId];
+            if (start !== next) {
+                shifts.set(chunkId, next - start);
+            }
+            next += end - start;
+        }
+
+        const tombstonesEmpty = this.chunkBoundaries.every(boundary => !boundary.removed || boundary.start === boundary.end);
+        if (shifts.size === 0 && tombstonesEmpty) {
+            return false;
+        }
+
+        if (shifts.size > 0) {
+            // featureToChunk still describes the old ranges here
+            this.remapIndexEntries(index => index + (shifts.get(this.featureToChunk[index]) || 0));
+        }
+
+        this.chunkBoundaries = this.chunkBoundaries.map((boundary, chunkId) => {
+            if (boundary.removed) {
+                return { start: 0, end: 0, removed: true };
+            }
+            const shift = shifts.get(chunkId) || 0;
+            return shift === 0 ? boundary : { ...boundary, start: boundary.start + shift, end: boundary.end + shift };
+        });
+        this.initializeChunkLookup(this.chunkBoundaries);
+
+        console.log(`🧹 Compacted feature indices: ${next} features, ${shifts.size} chunks moved`);
+        return shifts.size > 0;
+    }
+
+    /**
+     * Renumber the feature indices held by the grid
+     * @param {Function} remap - (index) => new index
+     */
+    remapIndexEntries(remap) {
+        this.grid.mapValues(remap);
+    }
+
+    /**
+     * Drop the features of removed chunks from the grid cells that referenced them
+     * @param {Set<number>} removed - Removed chunk IDs
+     * @returns {number} Number of updated cells
+     */
+    removeIndexEntries(removed) {
+        const gridChanges = new Map();
+        const chunkChanges = new Map();
+
+        for (const [cellId, chunkIds] of this.chunkMetadata.entries()) {
+            if (!chunkIds.some(id => removed.has(id))) continue;
+
+            const remainingIndices = (this.grid.get(cellId) || [])
+                .filter(index => !removed.has(this.resolveChunkForIndex(index).chunkId));
+
+            // Empty cells are dropped by update()
+            gridChanges.set(cellId, remainingIndices);
+            chunkChanges.set(cellId, remainingIndices.length > 0 ? chunkIds.filter(id => !removed.has(id)) : null);
+        }
+        this.grid.update(gridChanges);
+        this.chunkMetadata.update(chunkChanges);
+        return gridChanges.size;
+    }
+
     /**
      * Build chunk metadata by mapping grid cells to chunk IDs
-     * @returns {Object} chunkMetadata mapping cellKey -> [chunkIds]
+     * @returns {CellGrid} Chunk metadata mapping cellId -> chunk IDs
      */
     buildChunkMetadata() {
-        const metadata = {};
+        const metadata = new Map();
 
         if (!this.featureToChunk) {
             console.warn('buildChunkMetadata called before featureToChunk was initialized');
-            return metadata;
+            return new CellGrid();
         }
 
-        for (const [cellKey, indices] of this.grid.entries()) {
+        for (const [cellId, indices] of this.grid.entries()) {
             const chunkSet = new Set();
             for (const index of indices) {
                 if (index < this.featureToChunk.length) {
@@ -269,23 +943,23 @@ export class SpatialIndex {
             }
 
             if (chunkSet.size > 0) {
-                metadata[cellKey] = Array.from(chunkSet);
+                metadata.set(cellId, Array.from(chunkSet));
             }
         }
 
-        console.log(`🗺️ Generated chunk metadata for ${Object.keys(metadata).length} grid cells`);
-        return metadata;
+        console.log(`🗺️ Generated chunk metadata for ${metadata.size} grid cells`);
+        return CellGrid.fromEntries(metadata);
     }
 
     /**
      * Serialize features in chunks for memory-efficient storage
      * @param {number} chunkSize - Number of features per chunk
-     * @returns {Array} Array of feature chunks
+     * @returns {Array<{columns: Object, properties: Array<Object>}>} Chunk data (see getChunkData)
      */
     serializeFeatures(chunkSize = StorageConfig.CHUNK_SIZE) {
         const chunks = [];
-        for (let i = 0; i < this.allFeatures.length; i += chunkSize) {
-            chunks.push(this.allFeatures.slice(i, i + chunkSize));
+        for (let i = 0; i < this.features.count; i += chunkSize) {
+            chunks.push(this.getChunkData(i, Math.min(i + chunkSize, this.features.count)));
         }
         return chunks;
     }
@@ -295,13 +969,19 @@ export class SpatialIndex {
      * @param {Object} data - Serialized index data
      */
     deserialize(data) {
+        if (data.indexType && data.indexType !== SpatialIndex.INDEX_TYPE) {
+            throw new Error(`Cannot read a ${data.indexType} index as a grid index`);
+        }
         this.cellSize = data.cellSize;
+        this.chunkDegreeSize = data.chunkDegreeSize || StorageConfig.CHUNK_DEGREE_SIZE;
         this.featureCount = data.featureCount || 0; // Restore feature count
 
-        // Convert plain object back to Map
-        this.grid.clear();
-        for (const [key, indices] of Object.entries(data.grid)) {
-            this.grid.set(key, indices);
+        // Indexes saved by older versions key cells by "x,y" strings; they are converted here
+        // and flagged so the caller can store them again in the new format
+        this.migratedCellKeys = data.grid?.format !== CellGrid.FORMAT;
+        this.grid = this.toCellGrid(data.grid);
+        if (this.migratedCellKeys) {
+            console.log(`🔁 Migrated ${this.grid.size} grid cells to numeric cell IDs`);
         }
 
         if (data.chunkBoundaries) {
@@ -320,52 +1000,129 @@ export class SpatialIndex {
 
     /**
      * Load features from chunks
-     * @param {Array} chunks - Array of feature chunks
+     * @param {Array} chunks - Chunk data (see getChunkData) or legacy GeoJSON feature arrays
      */
     loadFeatureChunks(chunks) {
-        this.allFeatures = [];
+        this.features = new FeatureStore();
         for (const chunk of chunks) {
-            this.allFeatures.push(...chunk);
+            const store = this.toFeatureStore(chunk);
+            for (let i = 0; i < store.count; i++) {
+                this.features.add({ geometry: store.decodeGeometry(i), properties: store.getProperties(i) });
+            }
         }
-        this.featureCount = this.allFeatures.length;
+        this.featureCount = this.features.count;
         console.log(`Loaded ${this.featureCount} features from ${chunks.length} chunks`);
     }
 
+    /**
+     * Turn stored chunk data into a FeatureStore
+     * @param {Object|Array} data - Columnar record, {columns, properties} chunk data or a legacy GeoJSON feature array
+     * @returns {FeatureStore}
+     */
+    toFeatureStore(data) {
+        if (Array.isArray(data)) {
+            return FeatureStore.fromFeatures(data);
+        }
+        if (data.columns) {
+            return FeatureStore.fromRecord(data.columns, data.properties || null);
+        }
+        return FeatureStore.fromRecord(data);
+    }
+
     /**
      * Get feature by index (handles lazy loading)
+     * @returns {FeatureView|null} GeoJSON-like view, null if its chunk is not loaded
      */
     getFeature(index) {
+        const location = this.locateFeature(index);
         if (this.lazyMode) {
-            const lookup = this.resolveChunkForIndex(index);
-            const { chunkId, localIndex } = lookup;
-
             // Debug: Log first few getFeature attempts
             if (!this._getFeatureCallCount) this._getFeatureCallCount = 0;
             if (this._getFeatureCallCount < 5) {
+                const { chunkId, localIndex } = this.resolveChunkForIndex(index);
                 console.log(`📄 getFeature(${index}): chunkId = ${chunkId}, localIndex = ${localIndex}, loaded = ${this.loadedChunks.has(chunkId)} `);
-                if (chunkId >= 0 && this.loadedChunks.has(chunkId)) {
-                    const features = this.chunkMap.get(chunkId);
-                    console.log(`  → Chunk ${chunkId} has ${features?.length || 0} features, getting index ${localIndex} `);
-                }
                 this._getFeatureCallCount++;
             }
+        }
+        return location ? this.createView(location, index) : null;
+    }
 
-            // Check if chunk is loaded
-            if (chunkId >= 0 && this.loadedChunks.has(chunkId)) {
-                const features = this.chunkMap.get(chunkId);
-                return features ? features[localIndex] : null;
+    /**
+     * Find the store and position of a feature without creating a view
+     * @param {number} index - Global feature index
+     * @returns {{store: FeatureStore, localIndex: number}|null} Null if its chunk is not loaded
+     */
+    locateFeature(index) {
+        if (this.lazyMode) {
+            const { chunkId, localIndex } = this.resolveChunkForIndex(index);
+            const store = chunkId >= 0 && this.loadedChunks.has(chunkId) ? this.chunkMap.get(chunkId) : null;
+            return store && localIndex < store.count ? { store, localIndex } : null;
+        }
+        return index < this.features.count ? { store: this.features, localIndex: index } : null;
+    }
+
+    /**
+     * Create the view returned by queries
+     * @param {{store: FeatureStore, localIndex: number}} location - Result of locateFeature
+     * @param {number} index - Global feature index
+     * @param {number} [distance] - Distance from the query point in meters
+     * @returns {FeatureView}
+     */
+    createView({ store, localIndex }, index, distance) {
+        const view = new FeatureView(store, localIndex, index, this);
+        if (distance !== undefined) {
+            view.distance = distance;
+        }
+        return view;
+    }
+
+    /**
+     * Load the properties of features whose chunk was read without them
+     * Properties stay with the loaded chunk until it is evicted
+     * @param {Array<FeatureView>} features - Features returned by a query
+     */
+    async loadProperties(features) {
+        const pending = new Map(); // chunkId -> Set of stores
+        for (const feature of features) {
+            const store = feature.store;
+            if (!store || store.properties || store.chunkId === null) continue;
+            if (!pending.has(store.chunkId)) {
+                pending.set(store.chunkId, new Set());
+            }
+            pending.get(store.chunkId).add(store);
+        }
+
+        if (pending.size === 0 || !this.propertyLoader) {
+            return;
+        }
+
+        const chunks = await this.propertyLoader(Array.from(pending.keys()));
+        for (const { id, properties } of chunks) {
+            if (!properties) {
+                console.warn(`⚠️ Chunk ${id} has no stored properties`);
+                continue;
             }
-            return null;
+            pending.get(id)?.forEach(store => store.setProperties(properties));
         }
-        return this.allFeatures[index];
+        console.log(`🏷️ Loaded properties of ${chunks.length} chunks`);
+    }
+
+    /**
+     * Set the function used to load chunk properties by ID
+     * @param {Function} propertyLoader - async (chunkIds) => [{id, properties}]
+     */
+    setPropertyLoader(propertyLoader) {
+        this.propertyLoader = propertyLoader;
     }
 
     /**
      * Enable lazy loading mode
+     * Features already in memory are dropped; they are read back from the stored chunks
      */
     enableLazyLoading(chunkLoader, cacheOptions = null) {
         this.lazyMode = true;
         this.chunkLoader = chunkLoader;
+        this.features = new FeatureStore(0);
         console.log('Lazy loading enabled with chunk loader');
 
         if (cacheOptions) {
@@ -448,16 +1205,25 @@ export class SpatialIndex {
                     console.warn(`⚠️ Chunk ${id} has no features!`);
                     continue;
                 }
-                console.log(`  ✓ Chunk ${id}: ${features.length} features loaded`);
-                this.chunkMap.set(id, features);
+                const store = this.toFeatureStore(features);
+                store.chunkId = id;
+                console.log(`  ✓ Chunk ${id}: ${store.count} features loaded`);
+                this.chunkMap.set(id, store);
                 this.loadedChunks.add(id);
                 this.updateChunkCache(id);
             }
 
             console.log(`✅ Chunks in memory: ${this.loadedChunks.size}, chunkMap size: ${this.chunkMap.size} `);
 
-            // Evict old chunks if cache is full
-            this.evictOldChunks();
+            // Requested chunks that were already in memory are in use too - keep them out of eviction
+            chunkIds.forEach(id => {
+                if (this.loadedChunks.has(id)) {
+                    this.updateChunkCache(id);
+                }
+            });
+
+            // Evict old chunks if cache is full (never the ones requested now; they may be read right after)
+            this.evictOldChunks(new Set(chunkIds));
         } else if (toLoad.length === 0) {
             console.log(`♻️ All ${chunkIds.length} chunks already loaded`);
             // Just update access time for already loaded chunks
@@ -469,6 +1235,18 @@ export class SpatialIndex {
         }
     }
 
+    /**
+     * Drop all loaded chunks and detach the chunk loader
+     * Called when the index is replaced so its features can be garbage collected
+     */
+    releaseChunks() {
+        this.chunkMap.clear();
+        this.loadedChunks.clear();
+        this.chunkCache = [];
+        this.chunkLoader = null;
+        this.propertyLoader = null;
+    }
+
     /**
      * Update LRU cache
      */
@@ -485,8 +1263,9 @@ export class SpatialIndex {
 
     /**
      * Evict least recently used chunks
+     * @param {Set<number>} [keep] - Chunk IDs that stay loaded even if the cache is over its limit
      */
-    evictOldChunks() {
+    evictOldChunks(keep = null) {
         if (this.chunkCache.length <= this.maxCachedChunks) {
             return;
         }
@@ -495,7 +1274,10 @@ export class SpatialIndex {
         this.chunkCache.sort((a, b) => a.lastAccess - b.lastAccess);
 
         // Remove oldest chunks
-        const toRemove = this.chunkCache.splice(0, this.chunkCache.length - this.maxCachedChunks);
+        const candidates = keep ? this.chunkCache.filter(entry => !keep.has(entry.id)) : this.chunkCache;
+        const toRemove = candidates.slice(0, this.chunkCache.length - this.maxCachedChunks);
+        const removed = new Set(toRemove.map(entry => entry.id));
+        this.chunkCache = this.chunkCache.filter(entry => !removed.has(entry.id));
 
         for (const { id } of toRemove) {
             this.chunkMap.delete(id);
@@ -508,10 +1290,10 @@ export class SpatialIndex {
     /**
      * Prefetch neighboring chunks for smooth movement
      */
-    prefetchNeighboringChunks(centerKey, range) {
+    prefetchNeighboringChunks(centerId, range) {
         if (!this.lazyMode || !this.chunkLoader) return;
 
-        const [centerX, centerY] = this.parseCellKey(centerKey);
+        const [centerX, centerY] = this.parseCellId(centerId);
         const prefetchChunks = new Set();
 
         // Prefetch chunks in larger radius
@@ -519,8 +1301,7 @@ export class SpatialIndex {
 
         for (let dx = -prefetchRange; dx <= prefetchRange; dx++) {
             for (let dy = -prefetchRange; dy <= prefetchRange; dy++) {
-                const checkKey = `${centerX + dx},${centerY + dy}`;
-                const chunkIds = this.getChunksForCell(checkKey);
+                const chunkIds = this.getChunksForCell(CellGrid.encode(centerX + dx, centerY + dy));
                 chunkIds
                     .filter(id => !this.loadedChunks.has(id))
                     .forEach(id => prefetchChunks.add(id));
@@ -537,18 +1318,10 @@ export class SpatialIndex {
 
     /**
      * Set chunk metadata for lazy loading
+     * @param {CellGrid|Object} chunkMetadata - CellGrid, its stored record, or an object keyed by "x,y" (older versions)
      */
     setChunkMetadata(chunkMetadata) {
-        const entries = chunkMetadata instanceof Map ? chunkMetadata.entries() : Object.entries(chunkMetadata || {});
-        this.chunkMetadata = new Map();
-
-        for (const [key, value] of entries) {
-            if (Array.isArray(value)) {
-                this.chunkMetadata.set(key, value);
-            } else if (value !== undefined && value !== null) {
-                this.chunkMetadata.set(key, [value]);
-            }
-        }
+        this.chunkMetadata = this.toCellGrid(chunkMetadata);
 
         console.log(`Chunk metadata loaded: ${this.chunkMetadata.size} grid cells mapped to chunks`);
     }
@@ -564,8 +1337,10 @@ export class SpatialIndex {
         }
 
         const totalFeatures = chunkBoundaries.reduce((max, boundary) => Math.max(max, boundary.end), 0);
-        if (totalFeatures > this.featureCount) {
-            this.featureCount = totalFeatures;
+        // Removed chunks are empty once compacted; older datasets may still list their old range
+        const liveFeatures = chunkBoundaries.reduce((sum, boundary) => sum + (boundary.removed ? 0 : boundary.end - boundary.start), 0);
+        if (liveFeatures > this.featureCount) {
+            this.featureCount = liveFeatures;
         }
         this.featureToChunk = new Uint32Array(totalFeatures);
 
@@ -623,12 +1398,12 @@ export class SpatialIndex {
     }
 
     /**
-     * Get chunk IDs mapped to a given cell key
+     * Get chunk IDs mapped to a given cell
+     * @param {number} cellId - Cell ID
+     * @returns {ArrayLike<number>} Chunk IDs
      */
-    getChunksForCell(cellKey) {
-        const entry = this.chunkMetadata.get(cellKey);
-        if (!entry) return [];
-        return Array.isArray(entry) ? entry : [entry];
+    getChunksForCell(cellId) {
+        return this.chunkMetadata.get(cellId) || [];
     }
 
     /**
@@ -636,9 +1411,11 @@ export class SpatialIndex {
      */
     getMetadata() {
         return {
+            indexType: this.constructor.INDEX_TYPE,
             cellSize: this.cellSize,
+            chunkDegreeSize: this.chunkDegreeSize,
             gridCells: this.grid.size,
-            featureCount: this.allFeatures.length,
+            featureCount: this.getFeatureCount(),
             isLoaded: this.isLoaded,
             lazyMode: this.lazyMode,
             loadedChunks: this.loadedChunks.size,
@@ -14,6 +14,7 @@ export class StorageManager {
         this.messageId = 0;
         this.pendingMessages = new Map();
         this.worker = null;
+        this.datasetId = null; // Active dataset; its index and chunks live under a key namespace
     }
 
     /**
@@ -50,15 +51,65 @@ export class StorageManager {
 
     /**
      * Send message to worker and wait for response
+     * Requests target the active dataset unless the payload names another datasetId
      */
     sendToWorker(action, payload = null) {
         return new Promise((resolve, reject) => {
             const id = this.messageId++;
             this.pendingMessages.set(id, { resolve, reject });
-            this.worker.postMessage({ action, payload, id });
+            this.worker.postMessage({ action, payload: { datasetId: this.datasetId, ...payload }, id });
         });
     }
 
+    /**
+     * Get the dataset catalog
+     * @returns {Promise<{activeId: string|null, datasets: Array<Object>, layerIds: Array<string>}>}
+     */
+    async getCatalog() {
+        try {
+            return await this.sendToWorker('getCatalog');
+        } catch (error) {
+            console.error('Failed to get dataset catalog:', error);
+            return { activeId: null, datasets: [], layerIds: [] };
+        }
+    }
+
+    /**
+     * Make a stored dataset the active one
+     * @param {string} datasetId - Catalog dataset ID
+     */
+    async setActiveDataset(datasetId) {
+        await this.sendToWorker('setActiveDataset', { datasetId });
+        this.datasetId = datasetId;
+        console.log(`📚 Active dataset: ${datasetId}`);
+    }
+
+    /**
+     * Show or hide a stored dataset as an overlay layer on the radar
+     * @param {string} datasetId - Catalog dataset ID
+     * @param {boolean} enabled - True to overlay the dataset
+     */
+    async setDatasetLayer(datasetId, enabled) {
+        await this.sendToWorker('setLayer', { datasetId, enabled });
+        console.log(`🗺️ Layer ${datasetId} ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Create a unique dataset ID (key namespace) from a display name
+     * @param {string} name - Dataset name
+     * @returns {string}
+     */
+    createDatasetId(name) {
+        const slug = String(name || 'dataset')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 32) || 'dataset';
+        return `${slug}-${Date.now().toString(36)}`;
+    }
+
     /**
      * Initialize IndexedDB via Web Worker
      */
@@ -155,7 +206,7 @@ export class StorageManager {
      */
     async saveSpatialIndex(indexData, featureChunks, metadata = {}, progressCallback = null) {
         try {
-            const totalFeatures = featureChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            const totalFeatures = featureChunks.reduce((sum, chunk) => sum + this.countChunkFeatures(chunk), 0);
             console.log(`💾 Starting incremental save: ${featureChunks.length} chunks, ${totalFeatures} features`);
             const startTime = performance.now();
 
@@ -187,7 +238,7 @@ export class StorageManager {
                     const chunkBoundary = indexData.chunkBoundaries ? indexData.chunkBoundaries[i] : null;
                     const chunkInfo = {
                         id: i,
-                        featureCount: chunk.length,
+                        featureCount: this.countChunkFeatures(chunk),
                         shapefileName: chunkBoundary?.shapefileName || 'unknown',
                         indexRange: chunkBoundary ? `[${chunkBoundary.start}-${chunkBoundary.end})` : 'unknown'
                     };
@@ -235,7 +286,7 @@ export class StorageManager {
      * Save spatial index using a streaming chunk provider to avoid duplicating feature arrays in memory
      * @param {Object} indexData - Serialized index data
      * @param {number} totalChunks - Total number of chunks expected
-     * @param {Function} getChunk - Async function returning features for a chunk index
+     * @param {Function} getChunk - Async function returning chunk data (see SpatialIndex.getChunkData) for a chunk index
      * @param {Object} metadata - File metadata to persist alongside the index
      * @param {Function|null} progressCallback - Optional progress reporter
      */
@@ -261,8 +312,8 @@ export class StorageManager {
             for (let i = 0; i < totalChunks; i++) {
                 const chunk = await getChunk(i);
 
-                if (!Array.isArray(chunk)) {
-                    console.warn(`Chunk provider returned non-array for chunk ${i}`);
+                if (!this.isChunkData(chunk)) {
+                    console.warn(`Chunk provider returned no chunk data for chunk ${i}`);
                     continue;
                 }
 
@@ -295,15 +346,79 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Append feature chunks to an existing stored dataset without clearing it
+     * @param {Array<number>} chunkIds - Chunk ID of each new chunk (free IDs of removed chunks or new ones)
+     * @param {Function} getChunk - Async function returning chunk data for a local chunk index (0..count-1)
+     * @param {Function|null} progressCallback - Optional progress reporter
+     * @returns {Promise<boolean>} True if all chunks were saved
+     */
+    async appendChunksStreaming(chunkIds, getChunk, progressCallback = null) {
+        try {
+            console.log(`💾 Appending ${chunkIds.length} chunks`);
+
+            for (let i = 0; i < chunkIds.length; i++) {
+                const chunk = await getChunk(i);
+
+                if (progressCallback) {
+                    progressCallback({ phase: 'saving', current: i + 1, total: chunkIds.length });
+                }
+
+                await this.sendToWorker('saveChunkBatch', {
+                    startIndex: chunkIds[i],
+                    chunks: [chunk]
+                });
+            }
+
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to append chunks:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check a chunk can be saved: {columns, properties} chunk data or a legacy feature array
+     */
+    isChunkData(chunk) {
+        return Array.isArray(chunk) || (!!chunk?.columns && Array.isArray(chunk.properties));
+    }
+
+    /**
+     * Number of features in a chunk to save
+     */
+    countChunkFeatures(chunk) {
+        return Array.isArray(chunk) ? chunk.length : (chunk?.columns?.count || 0);
+    }
+
+    /**
+     * Replace the stored index structure and delete chunks that are no longer referenced
+     * @param {Object} indexData - Serialized index data
+     * @param {Object} metadata - Dataset metadata
+     * @param {number} totalChunks - Total chunk IDs in use (including tombstones)
+     * @param {Array<number>} deleteChunkIds - Chunk records to delete
+     * @param {string} datasetId - Dataset to update (defaults to the active one)
+     * @returns {Promise<boolean>} True if the update was committed
+     */
+    async updateSpatialIndex(indexData, metadata, totalChunks, deleteChunkIds = [], datasetId = this.datasetId) {
+        try {
+            await this.sendToWorker('updateIndex', { indexData, metadata, totalChunks, deleteChunkIds, datasetId });
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to update spatial index:', error);
+            return false;
+        }
+    }
+
     /**
      * Load spatial index (lazy mode - without features)
      */
-    async loadSpatialIndex() {
+    async loadSpatialIndex(datasetId = this.datasetId) {
         try {
             console.log('Loading spatial index structure from IndexedDB...');
             const startTime = performance.now();
 
-            const result = await this.sendToWorker('loadSpatialIndex');
+            const result = await this.sendToWorker('loadSpatialIndex', { datasetId });
 
             if (result) {
                 const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
@@ -320,11 +435,12 @@ export class StorageManager {
     /**
      * Load specific feature chunks by ID
      * @param {Array<number>} chunkIds - Array of chunk IDs to load
+     * @param {string} datasetId - Dataset the chunks belong to (defaults to the active one)
      * @returns {Promise<Array>} Array of loaded chunks
      */
-    async loadChunks(chunkIds) {
+    async loadChunks(chunkIds, datasetId = this.datasetId) {
         try {
-            const result = await this.sendToWorker('loadChunks', { chunkIds });
+            const result = await this.sendToWorker('loadChunks', { chunkIds, datasetId });
             return result;
         } catch (error) {
             console.error('Failed to load chunks:', error);
@@ -332,6 +448,21 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Load the properties of feature chunks by ID (stored apart from the geometry columns)
+     * @param {Array<number>} chunkIds - Array of chunk IDs
+     * @param {string} datasetId - Dataset the chunks belong to (defaults to the active one)
+     * @returns {Promise<Array<{id: number, properties: Array<Object>}>>}
+     */
+    async loadChunkProperties(chunkIds, datasetId = this.datasetId) {
+        try {
+            return await this.sendToWorker('loadChunkProperties', { chunkIds, datasetId });
+        } catch (error) {
+            console.error('Failed to load chunk properties:', error);
+            return [];
+        }
+    }
+
     /**
      * Get metadata about stored data
      */
@@ -346,12 +477,13 @@ export class StorageManager {
     }
 
     /**
-     * Clear stored data from IndexedDB via Web Worker
+     * Clear stored data of one dataset (the active one by default) from IndexedDB via Web Worker
+     * @param {string|null} datasetId - Dataset to delete
      */
-    async clearData() {
+    async clearData(datasetId = this.datasetId) {
         try {
-            await this.sendToWorker('clear');
-            console.log('Data cleared from storage');
+            await this.sendToWorker('clear', { datasetId });
+            console.log(`Data cleared from storage (${datasetId || 'default'})`);
             return true;
         } catch (error) {
             console.error('Failed to clear data:', error);
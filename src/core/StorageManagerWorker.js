@@ -21,6 +21,60 @@ const STORE_NAME = 'buildings';
 const STORAGE_KEY = 'buildingRadarData';
 const INDEX_KEY = 'spatialIndex';
 const FEATURES_PREFIX = 'features_chunk_';
+// Columnar chunks keep their properties in a separate record, read only when needed
+const PROPERTIES_PREFIX = 'features_props_';
+const CATALOG_KEY = 'datasetCatalog';
+// Dataset saved before the catalog existed keeps its un-prefixed keys
+const DEFAULT_DATASET_ID = 'default';
+
+/**
+ * Namespace a record key for a dataset
+ */
+function datasetKey(datasetId, key) {
+    return !datasetId || datasetId === DEFAULT_DATASET_ID ? key : `${datasetId}:${key}`;
+}
+
+/**
+ * Number of features in stored chunk data (columnar record or legacy feature array)
+ */
+function countChunkFeatures(data) {
+    return Array.isArray(data) ? data.length : (data?.count || 0);
+}
+
+/**
+ * Build the catalog entry describing a dataset
+ */
+function createCatalogEntry(datasetId, indexData, metadata, totalChunks) {
+    return {
+        id: datasetId || DEFAULT_DATASET_ID,
+        name: metadata?.name || metadata?.folderName || metadata?.filename || 'Saved data',
+        featureCount: indexData?.featureCount || 0,
+        totalSize: metadata?.totalSize ?? metadata?.filesize ?? 0,
+        fileCount: metadata?.fileCount || 1,
+        uploadDate: metadata?.uploadDate || new Date().toISOString(),
+        chunkCount: totalChunks,
+        // Index layout chosen at import; sizes are null for datasets saved before they were recorded
+        indexType: indexData?.indexType || 'grid',
+        cellSize: indexData?.cellSize ?? null,
+        chunkDegreeSize: indexData?.chunkDegreeSize ?? null
+    };
+}
+
+/**
+ * Update the catalog inside an open readwrite transaction
+ * @param {IDBObjectStore} store - Store of the running transaction
+ * @param {Function} update - Receives the catalog {activeId, datasets} and mutates it (return false to skip the write)
+ */
+function updateCatalogInStore(store, update) {
+    const request = store.get(CATALOG_KEY);
+    request.onsuccess = () => {
+        const catalog = request.result || { id: CATALOG_KEY, activeId: null, datasets: [], layerIds: [] };
+        catalog.layerIds = catalog.layerIds || [];
+        if (update(catalog) !== false) {
+            store.put(catalog);
+        }
+    };
+}
 
 function initDB() {
     return new Promise((resolve, reject) => {
@@ -43,7 +97,7 @@ function initDB() {
     });
 }
 
-function initSave(indexData, metadata, totalChunks) {
+function initSave(datasetId, indexData, metadata, totalChunks) {
     return new Promise(async (resolve, reject) => {
         if (!db) { reject(new Error('DB not initialized')); return; }
 
@@ -57,8 +111,10 @@ function initSave(indexData, metadata, totalChunks) {
                 const getAllKeysRequest = clearStore.getAllKeys();
                 getAllKeysRequest.onsuccess = () => {
                     const keys = getAllKeysRequest.result;
+                    const chunkPrefix = datasetKey(datasetId, FEATURES_PREFIX);
+                    const propertiesPrefix = datasetKey(datasetId, PROPERTIES_PREFIX);
                     const chunkKeys = keys.filter(key =>
-                        typeof key === 'string' && key.startsWith(FEATURES_PREFIX)
+                        typeof key === 'string' && (key.startsWith(chunkPrefix) || key.startsWith(propertiesPrefix))
                     );
                     chunkKeys.forEach(key => clearStore.delete(key));
                 };
@@ -76,7 +132,7 @@ function initSave(indexData, metadata, totalChunks) {
                 const indexStore = indexTx.objectStore(STORE_NAME);
 
                 const indexRecord = {
-                    id: INDEX_KEY,
+                    id: datasetKey(datasetId, INDEX_KEY),
                     data: indexData,
                     metadata: metadata,
                     chunkCount: totalChunks,
@@ -84,6 +140,13 @@ function initSave(indexData, metadata, totalChunks) {
                 };
                 indexStore.put(indexRecord);
 
+                // Register the dataset in the catalog and make it the active one
+                const entry = createCatalogEntry(datasetId, indexData, metadata, totalChunks);
+                updateCatalogInStore(indexStore, (catalog) => {
+                    catalog.datasets = catalog.datasets.filter(dataset => dataset.id !== entry.id).concat(entry);
+                    catalog.activeId = entry.id;
+                });
+
                 indexTx.oncomplete = () => res();
                 indexTx.onerror = () => rej(indexTx.error);
             });
@@ -97,7 +160,7 @@ function initSave(indexData, metadata, totalChunks) {
     });
 }
 
-function saveChunkBatch(startIndex, chunks) {
+function saveChunkBatch(datasetId, startIndex, chunks) {
     return new Promise(async (resolve, reject) => {
         if (!db) { reject(new Error('DB not initialized')); return; }
 
@@ -114,12 +177,22 @@ function saveChunkBatch(startIndex, chunks) {
                     const store = tx.objectStore(STORE_NAME);
 
                     for (let j = i; j < subBatchEnd; j++) {
+                        const chunk = chunks[j];
+                        // {columns, properties} chunks are split in two records; feature arrays are stored as is
                         const chunkRecord = {
-                            id: FEATURES_PREFIX + (startIndex + j),
-                            data: chunks[j],
+                            id: datasetKey(datasetId, FEATURES_PREFIX + (startIndex + j)),
+                            data: Array.isArray(chunk) ? chunk : chunk.columns,
                             chunkIndex: startIndex + j
                         };
                         store.put(chunkRecord);
+
+                        if (!Array.isArray(chunk)) {
+                            store.put({
+                                id: datasetKey(datasetId, PROPERTIES_PREFIX + (startIndex + j)),
+                                data: chunk.properties,
+                                chunkIndex: startIndex + j
+                            });
+                        }
                     }
 
                     tx.oncomplete = () => res();
@@ -136,6 +209,44 @@ function saveChunkBatch(startIndex, chunks) {
     });
 }
 
+function updateIndex(datasetId, indexData, metadata, totalChunks, deleteChunkIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) { reject(new Error('DB not initialized')); return; }
+
+        try {
+            // Index record and removed chunks change in one transaction so they never disagree
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+
+            store.put({
+                id: datasetKey(datasetId, INDEX_KEY),
+                data: indexData,
+                metadata: metadata,
+                chunkCount: totalChunks,
+                timestamp: Date.now()
+            });
+
+            for (const chunkId of deleteChunkIds || []) {
+                store.delete(datasetKey(datasetId, FEATURES_PREFIX + chunkId));
+                store.delete(datasetKey(datasetId, PROPERTIES_PREFIX + chunkId));
+            }
+
+            const entry = createCatalogEntry(datasetId, indexData, metadata, totalChunks);
+            updateCatalogInStore(store, (catalog) => {
+                catalog.datasets = catalog.datasets.map(dataset => (dataset.id === entry.id ? entry : dataset));
+            });
+
+            transaction.oncomplete = () => {
+                console.log(`✅ [Worker] Index updated, ${deleteChunkIds?.length || 0} chunks deleted`);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
 function finalizeSave() {
     return new Promise((resolve) => {
         console.log('🏁 [Worker] Save operation finalized');
@@ -143,7 +254,7 @@ function finalizeSave() {
     });
 }
 
-function loadSpatialIndex() {
+function loadSpatialIndex(datasetId) {
     return new Promise(async (resolve, reject) => {
         if (!db) { reject(new Error('DB not initialized')); return; }
 
@@ -152,7 +263,7 @@ function loadSpatialIndex() {
             const store = transaction.objectStore(STORE_NAME);
 
             // Load index structure only (without features for lazy loading)
-            const indexRequest = store.get(INDEX_KEY);
+            const indexRequest = store.get(datasetKey(datasetId, INDEX_KEY));
             indexRequest.onsuccess = () => {
                 const indexRecord = indexRequest.result;
                 if (!indexRecord) {
@@ -174,7 +285,7 @@ function loadSpatialIndex() {
     });
 }
 
-function loadChunks(chunkIds) {
+function loadChunks(datasetId, chunkIds) {
     return new Promise((resolve, reject) => {
         if (!db) { reject(new Error('DB not initialized')); return; }
 
@@ -198,13 +309,13 @@ function loadChunks(chunkIds) {
             };
 
             const requests = uniqueIds.map((chunkId) => new Promise((res, rej) => {
-                const key = FEATURES_PREFIX + chunkId;
+                const key = datasetKey(datasetId, FEATURES_PREFIX + chunkId);
                 const request = store.get(key);
 
                 request.onsuccess = () => {
                     const record = request.result;
                     if (record && record.data) {
-                        console.log(`[Worker] Chunk ${chunkId}: ${record.data.length} features`);
+                        console.log(`[Worker] Chunk ${chunkId}: ${countChunkFeatures(record.data)} features`);
                         res({ id: chunkId, features: record.data });
                     } else {
                         console.warn(`[Worker] Chunk ${chunkId} not found or empty! Key: ${key}`);
@@ -218,7 +329,7 @@ function loadChunks(chunkIds) {
             Promise.all(requests)
                 .then(results => {
                     const chunks = results.filter(Boolean);
-                    const totalFeatures = chunks.reduce((sum, chunk) => sum + (chunk.features?.length || 0), 0);
+                    const totalFeatures = chunks.reduce((sum, chunk) => sum + countChunkFeatures(chunk.features), 0);
                     console.log(`[Worker] Returning ${chunks.length} chunks with total features: ${totalFeatures}`);
                     resolve(chunks);
                 })
@@ -233,6 +344,70 @@ function loadChunks(chunkIds) {
     });
 }
 
+function loadChunkProperties(datasetId, chunkIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) { reject(new Error('DB not initialized')); return; }
+
+        try {
+            const uniqueIds = Array.isArray(chunkIds)
+                ? Array.from(new Set(chunkIds.filter(id => id !== null && id !== undefined)))
+                : [];
+
+            if (uniqueIds.length === 0) {
+                resolve([]);
+                return;
+            }
+
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+
+            const requests = uniqueIds.map((chunkId) => new Promise((res, rej) => {
+                const request = store.get(datasetKey(datasetId, PROPERTIES_PREFIX + chunkId));
+
+                request.onsuccess = () => {
+                    if (request.result?.data) {
+                        res({ id: chunkId, properties: request.result.data });
+                        return;
+                    }
+
+                    // Chunks saved as feature arrays carry their properties inline
+                    const chunkRequest = store.get(datasetKey(datasetId, FEATURES_PREFIX + chunkId));
+                    chunkRequest.onsuccess = () => {
+                        const data = chunkRequest.result?.data;
+                        if (Array.isArray(data)) {
+                            res({ id: chunkId, properties: data.map(feature => feature?.properties || {}) });
+                        } else {
+                            console.warn(`[Worker] Properties of chunk ${chunkId} not found`);
+                            res(null);
+                        }
+                    };
+                    chunkRequest.onerror = () => rej(chunkRequest.error);
+                };
+
+                request.onerror = () => rej(request.error);
+            }));
+
+            Promise.all(requests)
+                .then(results => {
+                    const chunks = results.filter(Boolean);
+                    console.log(`[Worker] Returning properties of ${chunks.length} chunks`);
+                    resolve(chunks);
+                })
+                .catch(error => {
+                    console.error('[Worker] Error loading chunk properties:', error);
+                    reject(error);
+                });
+        } catch (error) {
+            console.error('[Worker] Error loading chunk properties:', error);
+            reject(error);
+        }
+    });
+}
+
 function clearFeatureChunks() {
     return new Promise((resolve, reject) => {
         if (!db) { resolve(); return; }
@@ -245,7 +420,7 @@ function clearFeatureChunks() {
         getAllKeysRequest.onsuccess = () => {
             const keys = getAllKeysRequest.result;
             const chunkKeys = keys.filter(key =>
-                typeof key === 'string' && key.startsWith(FEATURES_PREFIX)
+                typeof key === 'string' && (key.startsWith(FEATURES_PREFIX) || key.startsWith(PROPERTIES_PREFIX))
             );
 
             chunkKeys.forEach(key => store.delete(key));
@@ -255,35 +430,55 @@ function clearFeatureChunks() {
     });
 }
 
-function getMetadata() {
+function getMetadata(datasetId) {
     return new Promise((resolve, reject) => {
         if (!db) { reject(new Error('DB not initialized')); return; }
         const transaction = db.transaction([STORE_NAME], 'readonly');
         const store = transaction.objectStore(STORE_NAME);
-        const request = store.get(INDEX_KEY);
+        const request = store.get(datasetKey(datasetId, INDEX_KEY));
         request.onsuccess = () => resolve(request.result?.metadata || null);
         request.onerror = () => reject(request.error);
     });
 }
 
-function clearData() {
+function clearData(datasetId) {
     return new Promise((resolve, reject) => {
         if (!db) { reject(new Error('DB not initialized')); return; }
 
         try {
             const transaction = db.transaction([STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
+            const indexKey = datasetKey(datasetId, INDEX_KEY);
+            const chunkPrefix = datasetKey(datasetId, FEATURES_PREFIX);
+            const propertiesPrefix = datasetKey(datasetId, PROPERTIES_PREFIX);
+            const isDefault = indexKey === INDEX_KEY;
 
             // Get all keys first
             const getAllKeysRequest = store.getAllKeys();
             getAllKeysRequest.onsuccess = () => {
                 const keys = getAllKeysRequest.result;
 
-                // Delete all keys (index + chunks)
-                keys.forEach(key => store.delete(key));
+                // Delete this dataset's index and chunks (plus the pre-index legacy record)
+                keys.filter(key => typeof key === 'string' && (
+                    key === indexKey ||
+                    key.startsWith(chunkPrefix) ||
+                    key.startsWith(propertiesPrefix) ||
+                    (isDefault && key === STORAGE_KEY)
+                )).forEach(key => store.delete(key));
             };
             getAllKeysRequest.onerror = () => reject(getAllKeysRequest.error);
 
+            // Drop it from the catalog; the most recent remaining dataset becomes active
+            const removedId = datasetId || DEFAULT_DATASET_ID;
+            updateCatalogInStore(store, (catalog) => {
+                catalog.datasets = catalog.datasets.filter(dataset => dataset.id !== removedId);
+                catalog.layerIds = catalog.layerIds.filter(layerId => layerId !== removedId);
+                if (catalog.activeId === removedId) {
+                    const latest = catalog.datasets.slice().sort((a, b) => String(b.uploadDate).localeCompare(String(a.uploadDate)))[0];
+                    catalog.activeId = latest ? latest.id : null;
+                }
+            });
+
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
         } catch (error) {
@@ -292,6 +487,96 @@ function clearData() {
     });
 }
 
+function getCatalog() {
+    return new Promise((resolve, reject) => {
+        if (!db) { reject(new Error('DB not initialized')); return; }
+
+        try {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            let catalog = null;
+
+            const catalogRequest = store.get(CATALOG_KEY);
+            catalogRequest.onsuccess = () => {
+                catalog = catalogRequest.result;
+                if (catalog) return;
+
+                // First run with a catalog: register a dataset saved by an older version
+                const legacyRequest = store.get(INDEX_KEY);
+                legacyRequest.onsuccess = () => {
+                    const legacy = legacyRequest.result;
+                    catalog = { id: CATALOG_KEY, activeId: null, datasets: [], layerIds: [] };
+                    if (legacy) {
+                        catalog.datasets.push(createCatalogEntry(DEFAULT_DATASET_ID, legacy.data, legacy.metadata, legacy.chunkCount || 0));
+                        catalog.activeId = DEFAULT_DATASET_ID;
+                        console.log('📚 [Worker] Registered existing dataset in catalog');
+                    }
+                    store.put(catalog);
+                };
+            };
+
+            transaction.oncomplete = () => resolve({
+                activeId: catalog.activeId,
+                datasets: catalog.datasets,
+                layerIds: catalog.layerIds || []
+            });
+            transaction.onerror = () => reject(transaction.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function setActiveDataset(datasetId) {
+    return new Promise((resolve, reject) => {
+        if (!db) { reject(new Error('DB not initialized')); return; }
+
+        try {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            let found = false;
+
+            updateCatalogInStore(store, (catalog) => {
+                found = catalog.datasets.some(dataset => dataset.id === datasetId);
+                if (!found) return false;
+                catalog.activeId = datasetId;
+            });
+
+            transaction.oncomplete = () => (found ? resolve() : reject(new Error(`Unknown dataset: ${datasetId}`)));
+            transaction.onerror = () => reject(transaction.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function setDatasetLayer(datasetId, enabled) {
+    return new Promise((resolve, reject) => {
+        if (!db) { reject(new Error('DB not initialized')); return; }
+
+        try {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            let found = false;
+
+            // Overlay layers are drawn on top of the active dataset, in the order they were enabled
+            updateCatalogInStore(store, (catalog) => {
+                found = catalog.datasets.some(dataset => dataset.id === datasetId);
+                if (!found) return false;
+                catalog.layerIds = catalog.layerIds.filter(layerId => layerId !== datasetId);
+                if (enabled) {
+                    catalog.layerIds.push(datasetId);
+                }
+            });
+
+            transaction.oncomplete = () => (found ? resolve() : reject(new Error(`Unknown dataset: ${datasetId}`)));
+            transaction.onerror = () => reject(transaction.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
 // Message handler - processes messages from main thread
 self.addEventListener('message', async (event) => {
     const { action, payload, id } = event.data;
@@ -303,11 +588,15 @@ self.addEventListener('message', async (event) => {
                 result = { success: true };
                 break;
             case 'initSave':
-                await initSave(payload.indexData, payload.metadata, payload.totalChunks);
+                await initSave(payload.datasetId, payload.indexData, payload.metadata, payload.totalChunks);
                 result = { success: true };
                 break;
             case 'saveChunkBatch':
-                await saveChunkBatch(payload.startIndex, payload.chunks);
+                await saveChunkBatch(payload.datasetId, payload.startIndex, payload.chunks);
+                result = { success: true };
+                break;
+            case 'updateIndex':
+                await updateIndex(payload.datasetId, payload.indexData, payload.metadata, payload.totalChunks, payload.deleteChunkIds);
                 result = { success: true };
                 break;
             case 'finalizeSave':
@@ -316,16 +605,30 @@ self.addEventListener('message', async (event) => {
                 break;
             case 'loadSpatialIndex':
                 postMessage({ action: 'progress', id, message: 'Loading spatial index...' });
-                result = await loadSpatialIndex();
+                result = await loadSpatialIndex(payload.datasetId);
                 break;
             case 'loadChunks':
-                result = await loadChunks(payload.chunkIds);
+                result = await loadChunks(payload.datasetId, payload.chunkIds);
+                break;
+            case 'loadChunkProperties':
+                result = await loadChunkProperties(payload.datasetId, payload.chunkIds);
                 break;
             case 'getMetadata':
-                result = await getMetadata();
+                result = await getMetadata(payload.datasetId);
                 break;
             case 'clear':
-                await clearData();
+                await clearData(payload.datasetId);
+                result = { success: true };
+                break;
+            case 'getCatalog':
+                result = await getCatalog();
+                break;
+            case 'setActiveDataset':
+                await setActiveDataset(payload.datasetId);
+                result = { success: true };
+                break;
+            case 'setLayer':
+                await setDatasetLayer(payload.datasetId, payload.enabled);
                 result = { success: true };
                 break;
             default:
@@ -0,0 +1,293 @@
+import { FilterUtils } from './FilterUtils.js';
+
+/**
+ * StyleUtils - Static helpers for attribute-driven building styles
+ * Rules have a color part and a size part:
+ *   color: {mode: 'single'}
+ *        | {mode: 'categorical', field, categories: {value: color}, defaultColor}
+ *        | {mode: 'graduated', field, stops: [{value, color}], defaultColor}
+ *        | {mode: 'distance', stops: [{value: meters, color}]}
+ *   size:  {mode: 'fixed'} | {mode: 'graduated', field, stops: [{value, size}], defaultSize}
+ * Graduated stops are class breaks: a value takes the last stop whose value it reaches
+ * (values below the first stop take the first)
+ */
+export class StyleUtils {
+    static FILL_ALPHA = 0.35;
+
+    static DEFAULT_RULES = {
+        color: { mode: 'single' },
+        size: { mode: 'fixed' }
+    };
+
+    /**
+     * Validate rules and sort graduated stops
+     * @param {Object|null} rules - Style rules (null = default single color, fixed size)
+     * @returns {Object} Normalized rules
+     * @throws {Error} If a rule is incomplete
+     */
+    static normalizeRules(rules) {
+        const color = { ...StyleUtils.DEFAULT_RULES.color, ...rules?.color };
+        const size = { ...StyleUtils.DEFAULT_RULES.size, ...rules?.size };
+
+        const sortStops = (stops, key) => {
+            if (!Array.isArray(stops) || stops.length === 0) {
+                throw new Error(`Graduated ${key} rule needs at least one stop`);
+            }
+            return stops
+                .map(stop => ({ ...stop, value: Number(stop.value) }))
+                .filter(stop => Number.isFinite(stop.value))
+                .sort((a, b) => a.value - b.value);
+        };
+
+        switch (color.mode) {
+            case 'single':
+                break;
+            case 'categorical':
+                if (!color.field || !color.categories) {
+                    throw new Error('Categorical color rule needs a field and categories');
+                }
+                break;
+            case 'graduated':
+                if (!color.field) {
+                    throw new Error('Graduated color rule needs a field');
+                }
+                color.stops = sortStops(color.stops, 'color');
+                break;
+            case 'distance':
+                color.stops = sortStops(color.stops, 'color');
+                break;
+            default:
+                throw new Error(`Unknown color rule mode: ${color.mode}`);
+        }
+
+        switch (size.mode) {
+            case 'fixed':
+                break;
+            case 'graduated':
+                if (!size.field) {
+                    throw new Error('Graduated size rule needs a field');
+                }
+                size.stops = sortStops(size.stops, 'size');
+                break;
+            default:
+                throw new Error(`Unknown size rule mode: ${size.mode}`);
+        }
+
+        return { color, size };
+    }
+
+    /**
+     * Build rules from the style panel form
+     * Class lines hold a value followed by a color (or dot size), e.g. "residential #e74c3c";
+     * graduated and distance values are numbers (meters for distance)
+     * @param {Object} form - {colorMode, colorField, colorClasses, defaultColor, sizeMode, sizeField, sizeClasses}
+     * @returns {Object|null} Normalized rules, null for the plain layer style
+     * @throws {Error} If a class line or rule is incomplete
+     */
+    static fromForm(form) {
+        const color = { mode: form.colorMode || 'single' };
+        const size = { mode: form.sizeMode || 'fixed' };
+
+        if (color.mode !== 'single') {
+            const classes = StyleUtils.parseClassLines(form.colorClasses, color.mode !== 'categorical');
+            if (color.mode === 'categorical') {
+                color.categories = Object.fromEntries(classes);
+            } else {
+                color.stops = classes.map(([value, stopColor]) => ({ value, color: stopColor }));
+            }
+            if (color.mode !== 'distance') {
+                color.field = (form.colorField || '').trim();
+                if (form.defaultColor?.trim()) {
+                    color.defaultColor = form.defaultColor.trim();
+                }
+            }
+        }
+
+        if (size.mode === 'graduated') {
+            size.field = (form.sizeField || '').trim();
+            size.stops = StyleUtils.parseClassLines(form.sizeClasses, true).map(([value, stopSize]) => {
+                const radius = Number(stopSize);
+                if (!(radius > 0)) {
+                    throw new Error(`Dot size "${stopSize}" is not a positive number`);
+                }
+                return { value, size: radius };
+            });
+        }
+
+        const rules = StyleUtils.normalizeRules({ color, size });
+        return StyleUtils.isActive(rules) ? rules : null;
+    }
+
+    /**
+     * Style panel form values describing rules (inverse of fromForm)
+     * @param {Object|null} rules - Style rules
+     * @returns {Object} Form values
+     */
+    static toForm(rules) {
+        const { color, size } = StyleUtils.normalizeRules(rules);
+        const colorClasses = color.mode === 'categorical'
+            ? Object.entries(color.categories)
+            : (color.stops || []).map(stop => [stop.value, stop.color]);
+
+        return {
+            colorMode: color.mode,
+            colorField: color.field || '',
+            colorClasses: colorClasses.map(entry => entry.join(' ')).join('\n'),
+            defaultColor: color.defaultColor || '',
+            sizeMode: size.mode,
+            sizeField: size.field || '',
+            sizeClasses: (size.stops || []).map(stop => `${stop.value} ${stop.size}`).join('\n')
+        };
+    }
+
+    /**
+     * Split class lines into [value, style] pairs; the style is the last word of a line
+     * @param {string} text - One class per line, blank lines are skipped
+     * @param {boolean} numeric - Whether values must be numbers
+     * @returns {Array<Array>} [value, style] pairs
+     * @throws {Error} If a line has no style or a numeric value is invalid
+     */
+    static parseClassLines(text, numeric) {
+        const classes = [];
+        for (const line of (text || '').split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            const match = /^(.*\S)\s+(\S+)$/.exec(trimmed);
+            if (!match) {
+                throw new Error(`Class "${trimmed}" needs a value and a style`);
+            }
+            const value = numeric ? Number(match[1]) : match[1];
+            if (numeric && !Number.isFinite(value)) {
+                throw new Error(`Class value "${match[1]}" is not a number`);
+            }
+            classes.push([value, match[2]]);
+        }
+        return classes;
+    }
+
+    /**
+     * Whether rules change anything compared to the plain layer style
+     * @param {Object} rules - Normalized rules
+     * @returns {boolean}
+     */
+    static isActive(rules) {
+        return rules.color.mode !== 'single' || rules.size.mode !== 'fixed';
+    }
+
+    /**
+     * Whether rules read feature properties (distance coloring does not)
+     * @param {Object} rules - Normalized rules
+     * @returns {boolean}
+     */
+    static needsProperties(rules) {
+        return ['categorical', 'graduated'].includes(rules.color.mode) || rules.size.mode === 'graduated';
+    }
+
+    /**
+     * Pick the stop a numeric value falls into
+     * @returns {Object|null} Stop, or null for non-numeric values
+     */
+    static findStop(stops, value) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) {
+            return null;
+        }
+        let match = stops[0];
+        for (const stop of stops) {
+            if (number >= stop.value) {
+                match = stop;
+            }
+        }
+        return match;
+    }
+
+    /**
+     * Resolve the color of one building
+     * @param {Object} rule - Normalized color rule
+     * @param {Object} properties - Feature properties
+     * @param {number} distance - Distance from the user in meters
+     * @returns {string|null} Color, or null to keep the layer color
+     */
+    static resolveColor(rule, properties, distance) {
+        switch (rule.mode) {
+            case 'categorical': {
+                const key = FilterUtils.formatValue(properties?.[rule.field]);
+                return (key !== null && rule.categories[key]) || rule.defaultColor || null;
+            }
+            case 'graduated':
+                return StyleUtils.findStop(rule.stops, properties?.[rule.field])?.color || rule.defaultColor || null;
+            case 'distance':
+                return StyleUtils.findStop(rule.stops, distance)?.color || null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Resolve the dot radius of one building
+     * @param {Object} rule - Normalized size rule
+     * @param {Object} properties - Feature properties
+     * @returns {number|null} Radius in pixels, or null to keep the default
+     */
+    static resolveSize(rule, properties) {
+        if (rule.mode !== 'graduated') {
+            return null;
+        }
+        return StyleUtils.findStop(rule.stops, properties?.[rule.field])?.size || rule.defaultSize || null;
+    }
+
+    /**
+     * Semi-transparent fill for a #rgb / #rrggbb color (other color strings are used as is)
+     * @param {string} color - Outline color
+     * @returns {string}
+     */
+    static toFillColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+        if (!hex) {
+            return color;
+        }
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const [r, g, b] = [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${StyleUtils.FILL_ALPHA})`;
+    }
+
+    /**
+     * Legend entries describing the rules
+     * @param {Object} rules - Normalized rules
+     * @param {string} baseColor - Layer color used for size entries and unmatched values
+     * @returns {Array<{label: string, color: string, size: number|null}>}
+     */
+    static getLegendEntries(rules, baseColor) {
+        const entries = [];
+        const { color, size } = rules;
+        const rangeLabel = (stops, i, unit = '') => (i < stops.length - 1
+            ? `${stops[i].value}–${stops[i + 1].value}${unit}`
+            : `≥ ${stops[i].value}${unit}`);
+
+        if (color.mode === 'categorical') {
+            for (const [value, categoryColor] of Object.entries(color.categories)) {
+                entries.push({ label: `${color.field}: ${value}`, color: categoryColor, size: null });
+            }
+            if (color.defaultColor) {
+                entries.push({ label: 'other', color: color.defaultColor, size: null });
+            }
+        } else if (color.mode === 'graduated') {
+            color.stops.forEach((stop, i) => {
+                entries.push({ label: `${color.field}: ${rangeLabel(color.stops, i)}`, color: stop.color, size: null });
+            });
+        } else if (color.mode === 'distance') {
+            color.stops.forEach((stop, i) => {
+                entries.push({ label: rangeLabel(color.stops, i, ' m'), color: stop.color, size: null });
+            });
+        }
+
+        if (size.mode === 'graduated') {
+            size.stops.forEach((stop, i) => {
+                entries.push({ label: `${size.field}: ${rangeLabel(size.stops, i)}`, color: baseColor, size: stop.size });
+            });
+        }
+
+        return entries;
+    }
+}
@@ -1,13 +1,44 @@
+import { FilterUtils } from './FilterUtils.js';
+
 /**
  * UIManager - Handles user interface interactions and updates
  */
 export class UIManager {
+    static COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
     constructor() {
         this.elements = {
             statusBar: document.getElementById('statusBar'),
             gpsStatusText: document.getElementById('gpsStatusText'),
             accuracyValue: document.getElementById('accuracyValue'),
             buildingCountValue: document.getElementById('buildingCountValue'),
+            changeDataButton: document.getElementById('changeDataButton'),
+            forwardConeButton: document.getElementById('forwardConeButton'),
+            aheadStatus: document.getElementById('aheadStatus'),
+            aheadValue: document.getElementById('aheadValue'),
+            filterButton: document.getElementById('filterButton'),
+            filterPanel: document.getElementById('filterPanel'),
+            filterExpressionInput: document.getElementById('filterExpressionInput'),
+            filterError: document.getElementById('filterError'),
+            filterApplyButton: document.getElementById('filterApplyButton'),
+            filterClearButton: document.getElementById('filterClearButton'),
+            styleButton: document.getElementById('styleButton'),
+            stylePanel: document.getElementById('stylePanel'),
+            styleColorModeSelect: document.getElementById('styleColorModeSelect'),
+            styleColorFieldInput: document.getElementById('styleColorFieldInput'),
+            styleColorClassesInput: document.getElementById('styleColorClassesInput'),
+            styleDefaultColorInput: document.getElementById('styleDefaultColorInput'),
+            styleSizeModeSelect: document.getElementById('styleSizeModeSelect'),
+            styleSizeFieldInput: document.getElementById('styleSizeFieldInput'),
+            styleSizeClassesInput: document.getElementById('styleSizeClassesInput'),
+            styleError: document.getElementById('styleError'),
+            styleApplyButton: document.getElementById('styleApplyButton'),
+            styleClearButton: document.getElementById('styleClearButton'),
+            layerList: document.getElementById('layerList'),
+            buildingDetails: document.getElementById('buildingDetails'),
+            buildingDetailsSummary: document.getElementById('buildingDetailsSummary'),
+            buildingDetailsProperties: document.getElementById('buildingDetailsProperties'),
+            buildingDetailsClose: document.getElementById('buildingDetailsClose'),
             errorMessage: document.getElementById('errorMessage'),
             errorText: document.getElementById('errorText'),
             retryButton: document.getElementById('retryButton'),
@@ -15,6 +46,7 @@ export class UIManager {
         };
 
         this.eventTarget = new EventTarget();
+        this.layerCountElements = new Map();
         this.setupEventListeners();
     }
 
@@ -27,6 +59,83 @@ export class UIManager {
                 this.emit('retry');
             });
         }
+
+        if (this.elements.changeDataButton) {
+            this.handleChangeData = () => this.emit('changeData');
+            this.elements.changeDataButton.addEventListener('click', this.handleChangeData);
+        }
+
+        if (this.elements.forwardConeButton) {
+            this.handleForwardConeToggle = () => this.emit('forwardConeToggle');
+            this.elements.forwardConeButton.addEventListener('click', this.handleForwardConeToggle);
+        }
+
+        // Runtime filter panel: Filter toggles it, Apply/Enter emits the expression, Clear removes the filter
+        if (this.elements.filterButton && this.elements.filterPanel) {
+            this.handleFilterToggle = () => {
+                this.elements.filterPanel.classList.toggle('hidden');
+                if (!this.elements.filterPanel.classList.contains('hidden')) {
+                    this.elements.filterExpressionInput?.focus();
+                }
+            };
+            this.handleFilterApply = () => {
+                this.emit('filterChange', { expression: this.elements.filterExpressionInput?.value || '' });
+            };
+            this.handleFilterClear = () => {
+                if (this.elements.filterExpressionInput) {
+                    this.elements.filterExpressionInput.value = '';
+                }
+                this.emit('filterChange', { expression: '' });
+            };
+            this.handleFilterKey = (e) => {
+                if (e.key === 'Enter') {
+                    this.handleFilterApply();
+                }
+            };
+            this.elements.filterButton.addEventListener('click', this.handleFilterToggle);
+            this.elements.filterApplyButton?.addEventListener('click', this.handleFilterApply);
+            this.elements.filterClearButton?.addEventListener('click', this.handleFilterClear);
+            this.elements.filterExpressionInput?.addEventListener('keydown', this.handleFilterKey);
+        }
+
+        // Style panel: Style toggles it, Apply emits the form values, Clear returns to the layer colors
+        if (this.elements.styleButton && this.elements.stylePanel) {
+            this.handleStyleToggle = () => {
+                this.elements.stylePanel.classList.toggle('hidden');
+            };
+            this.handleStyleApply = () => {
+                this.emit('styleChange', { form: this.getStyleForm() });
+            };
+            this.handleStyleClear = () => {
+                this.emit('styleChange', { form: null });
+            };
+            this.handleStyleModeChange = () => this.updateStyleFields();
+            this.elements.styleButton.addEventListener('click', this.handleStyleToggle);
+            this.elements.styleApplyButton?.addEventListener('click', this.handleStyleApply);
+            this.elements.styleClearButton?.addEventListener('click', this.handleStyleClear);
+            this.elements.styleColorModeSelect?.addEventListener('change', this.handleStyleModeChange);
+            this.elements.styleSizeModeSelect?.addEventListener('change', this.handleStyleModeChange);
+            this.updateStyleFields();
+        }
+
+        // Tap a layer chip to show/hide that layer
+        if (this.elements.layerList) {
+            this.handleLayerClick = (e) => {
+                const chip = e.target.closest('button[data-layer]');
+                if (chip) {
+                    this.emit('layerToggle', { id: chip.dataset.layer });
+                }
+            };
+            this.elements.layerList.addEventListener('click', this.handleLayerClick);
+        }
+
+        if (this.elements.buildingDetailsClose) {
+            this.handleDetailsClose = () => {
+                this.hideBuildingDetails();
+                this.emit('buildingDetailsClose');
+            };
+            this.elements.buildingDetailsClose.addEventListener('click', this.handleDetailsClose);
+        }
     }
 
     /**
@@ -77,10 +186,234 @@ export class UIManager {
 
     /**
      * Update building count
+     * @param {number} count - Buildings shown
+     * @param {number|null} total - Buildings in range before the runtime filter (null when no filter is set)
      */
-    updateBuildingCount(count) {
+    updateBuildingCount(count, total = null) {
         if (!this.elements.buildingCountValue) return;
-        this.elements.buildingCountValue.textContent = count.toString();
+        this.elements.buildingCountValue.textContent = total === null ? count.toString() : `${count} / ${total}`;
+    }
+
+    /**
+     * Reflect the forward cone mode: highlight the Ahead button and show the Ahead status item
+     * @param {boolean} enabled - Whether the mode is on
+     */
+    setForwardConeState(enabled) {
+        this.elements.forwardConeButton?.classList.toggle('active', enabled);
+        this.elements.aheadStatus?.classList.toggle('hidden', !enabled);
+        if (!enabled) {
+            this.updateNearestAhead(null);
+        }
+    }
+
+    /**
+     * Show the distance to the nearest building ahead
+     * @param {Object|null} building - Feature with a distance property, null when nothing is ahead
+     */
+    updateNearestAhead(building) {
+        if (!this.elements.aheadValue) return;
+
+        if (!building) {
+            this.elements.aheadValue.textContent = '--';
+            return;
+        }
+        const distance = building.distance;
+        this.elements.aheadValue.textContent = distance < 1000
+            ? `${Math.round(distance)}m`
+            : `${(distance / 1000).toFixed(1)}km`;
+    }
+
+    /**
+     * Reflect the applied runtime filter: highlight the Filter button and close the panel
+     * @param {string} expression - Applied expression ('' when cleared)
+     */
+    setFilterState(expression) {
+        if (this.elements.filterButton) {
+            this.elements.filterButton.classList.toggle('active', expression !== '');
+            this.elements.filterButton.title = expression;
+        }
+        if (this.elements.filterExpressionInput) {
+            this.elements.filterExpressionInput.value = expression;
+        }
+        this.showFilterError(null);
+        this.elements.filterPanel?.classList.add('hidden');
+    }
+
+    /**
+     * Show a filter parse error in the filter panel (null hides it)
+     * @param {string|null} message - Error message
+     */
+    showFilterError(message) {
+        if (!this.elements.filterError) return;
+        this.elements.filterError.textContent = message || '';
+        this.elements.filterError.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Current values of the style panel form (see StyleUtils.fromForm)
+     * @returns {Object} Form values
+     */
+    getStyleForm() {
+        const value = (element) => element?.value || '';
+        return {
+            colorMode: value(this.elements.styleColorModeSelect) || 'single',
+            colorField: value(this.elements.styleColorFieldInput),
+            colorClasses: value(this.elements.styleColorClassesInput),
+            defaultColor: value(this.elements.styleDefaultColorInput),
+            sizeMode: value(this.elements.styleSizeModeSelect) || 'fixed',
+            sizeField: value(this.elements.styleSizeFieldInput),
+            sizeClasses: value(this.elements.styleSizeClassesInput)
+        };
+    }
+
+    /**
+     * Show only the style inputs the chosen modes use
+     */
+    updateStyleFields() {
+        const colorMode = this.elements.styleColorModeSelect?.value || 'single';
+        const sizeMode = this.elements.styleSizeModeSelect?.value || 'fixed';
+        const attributeColor = colorMode === 'categorical' || colorMode === 'graduated';
+        this.elements.styleColorFieldInput?.classList.toggle('hidden', !attributeColor);
+        this.elements.styleDefaultColorInput?.classList.toggle('hidden', !attributeColor);
+        this.elements.styleColorClassesInput?.classList.toggle('hidden', colorMode === 'single');
+        this.elements.styleSizeFieldInput?.classList.toggle('hidden', sizeMode !== 'graduated');
+        this.elements.styleSizeClassesInput?.classList.toggle('hidden', sizeMode !== 'graduated');
+    }
+
+    /**
+     * Reflect the applied style rules: fill the form, highlight the Style button and close the panel
+     * @param {Object} form - Form values of the applied rules (see StyleUtils.toForm)
+     * @param {boolean} active - Whether the rules differ from the plain layer style
+     */
+    setStyleState(form, active) {
+        this.elements.styleButton?.classList.toggle('active', active);
+        const fields = {
+            styleColorModeSelect: form.colorMode,
+            styleColorFieldInput: form.colorField,
+            styleColorClassesInput: form.colorClasses,
+            styleDefaultColorInput: form.defaultColor,
+            styleSizeModeSelect: form.sizeMode,
+            styleSizeFieldInput: form.sizeField,
+            styleSizeClassesInput: form.sizeClasses
+        };
+        for (const [name, value] of Object.entries(fields)) {
+            if (this.elements[name]) {
+                this.elements[name].value = value;
+            }
+        }
+        this.updateStyleFields();
+        this.showStyleError(null);
+        this.elements.stylePanel?.classList.add('hidden');
+    }
+
+    /**
+     * Show a style rule error in the style panel (null hides it)
+     * @param {string|null} message - Error message
+     */
+    showStyleError(message) {
+        if (!this.elements.styleError) return;
+        this.elements.styleError.textContent = message || '';
+        this.elements.styleError.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Render one chip per radar layer (color, name, visible count)
+     * The list stays hidden when only a single layer is shown
+     * @param {Array<{id: string, name: string, style: Object, visible: boolean}>} layers
+     */
+    renderLayers(layers) {
+        if (!this.elements.layerList) return;
+
+        this.elements.layerList.replaceChildren();
+        this.layerCountElements.clear();
+        this.elements.layerList.classList.toggle('hidden', layers.length < 2);
+
+        for (const layer of layers) {
+            const chip = document.createElement('button');
+            chip.className = 'layer-chip';
+            chip.dataset.layer = layer.id;
+            chip.classList.toggle('layer-off', !layer.visible);
+            chip.style.borderColor = layer.style.color;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'layer-swatch';
+            swatch.style.background = layer.style.color;
+            const name = document.createElement('span');
+            name.textContent = layer.name;
+            const count = document.createElement('span');
+            count.className = 'layer-count';
+            count.textContent = '0';
+
+            chip.append(swatch, name, count);
+            this.elements.layerList.appendChild(chip);
+            this.layerCountElements.set(layer.id, count);
+        }
+    }
+
+    /**
+     * Update per-layer counts and visibility on the layer chips
+     * @param {Array<{id: string, visible: boolean, count: number}>} layerCounts
+     */
+    updateLayerCounts(layerCounts) {
+        for (const { id, visible, count } of layerCounts) {
+            const countElement = this.layerCountElements.get(id);
+            if (!countElement) continue;
+            countElement.textContent = visible ? count.toString() : '–';
+            countElement.parentElement.classList.toggle('layer-off', !visible);
+        }
+    }
+
+    /**
+     * Show the details sheet of a tapped building
+     * @param {Object} details
+     * @param {Object} details.properties - Feature attributes
+     * @param {string|null} details.source - Source file the feature was imported from
+     * @param {string|null} details.layerName - Layer name (null when only one layer is shown)
+     * @param {number} details.distance - Distance from the user in meters
+     * @param {number} details.bearing - Bearing from the user in degrees (0 = North)
+     */
+    showBuildingDetails({ properties, source, layerName, distance, bearing }) {
+        if (!this.elements.buildingDetails) return;
+
+        const summary = [
+            ['Distance', distance < 1000 ? `${Math.round(distance)} m` : `${(distance / 1000).toFixed(2)} km`],
+            ['Bearing', `${Math.round(bearing) % 360}° ${UIManager.COMPASS_POINTS[Math.round(bearing / 45) % 8]}`],
+            ['Source', source || '—']
+        ];
+        if (layerName) {
+            summary.push(['Layer', layerName]);
+        }
+        this.fillDetailsTable(this.elements.buildingDetailsSummary, summary);
+
+        const rows = Object.entries(properties).map(([name, value]) => [name, FilterUtils.formatValue(value) || '—']);
+        this.fillDetailsTable(this.elements.buildingDetailsProperties, rows.length > 0 ? rows : [['No attributes', '']]);
+
+        this.elements.buildingDetails.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the building details sheet
+     */
+    hideBuildingDetails() {
+        this.elements.buildingDetails?.classList.add('hidden');
+    }
+
+    /**
+     * Replace the rows of a two-column details table
+     * @param {HTMLTableElement} table - Table element
+     * @param {Array<Array<string>>} rows - [label, value] pairs
+     */
+    fillDetailsTable(table, rows) {
+        if (!table) return;
+        table.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('th');
+            labelCell.textContent = label;
+            const valueCell = document.createElement('td');
+            valueCell.textContent = value;
+            row.append(labelCell, valueCell);
+            return row;
+        }));
     }
 
     /**
@@ -185,6 +518,31 @@ export class UIManager {
                 this.emit('retry');
             });
         }
+        if (this.elements.changeDataButton && this.handleChangeData) {
+            this.elements.changeDataButton.removeEventListener('click', this.handleChangeData);
+        }
+        if (this.elements.forwardConeButton && this.handleForwardConeToggle) {
+            this.elements.forwardConeButton.removeEventListener('click', this.handleForwardConeToggle);
+        }
+        if (this.elements.layerList && this.handleLayerClick) {
+            this.elements.layerList.removeEventListener('click', this.handleLayerClick);
+        }
+        if (this.elements.buildingDetailsClose && this.handleDetailsClose) {
+            this.elements.buildingDetailsClose.removeEventListener('click', this.handleDetailsClose);
+        }
+        if (this.elements.filterButton && this.handleFilterToggle) {
+            this.elements.filterButton.removeEventListener('click', this.handleFilterToggle);
+            this.elements.filterApplyButton?.removeEventListener('click', this.handleFilterApply);
+            this.elements.filterClearButton?.removeEventListener('click', this.handleFilterClear);
+            this.elements.filterExpressionInput?.removeEventListener('keydown', this.handleFilterKey);
+        }
+        if (this.elements.styleButton && this.handleStyleToggle) {
+            this.elements.styleButton.removeEventListener('click', this.handleStyleToggle);
+            this.elements.styleApplyButton?.removeEventListener('click', this.handleStyleApply);
+            this.elements.styleClearButton?.removeEventListener('click', this.handleStyleClear);
+            this.elements.styleColorModeSelect?.removeEventListener('change', this.handleStyleModeChange);
+            this.elements.styleSizeModeSelect?.removeEventListener('change', this.handleStyleModeChange);
+        }
         this.eventTarget = null;
     }
 }
\ No newline at end of file
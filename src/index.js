@@ -101,7 +101,6 @@ if ('serviceWorker' in navigator) {
  */
 let app = null;
 let dataLoader = null;
-let buildingsLoadedHandled = false;
 
 function initApp() {
     try {
@@ -117,15 +116,16 @@ function initApp() {
         // Initialize data loader (will auto-restore if data exists)
         dataLoader = new DataLoader();
 
-        // Wait for buildings data to be loaded (either from file or restored from storage)
-        window.addEventListener('buildingsLoaded', (event) => {
-            // Prevent handling the event multiple times
-            if (buildingsLoadedHandled) {
-                console.log('Buildings data already loaded, ignoring duplicate event');
-                return;
+        // The active dataset was deleted - the radar keeps running without buildings
+        window.addEventListener('buildingsCleared', () => {
+            if (app) {
+                app.clearLayers();
             }
-            buildingsLoadedHandled = true;
+        });
 
+        // Buildings data is loaded from file or restored from storage - the first time the
+        // radar is created, afterwards its spatial index is replaced in place
+        window.addEventListener('buildingsLoaded', (event) => {
             const spatialIndex = event.detail;
             if (!spatialIndex || typeof spatialIndex.queryRadius !== 'function') {
                 console.error('Invalid spatial index received');
@@ -134,8 +134,17 @@ function initApp() {
 
             console.log(`Spatial index loaded: ${spatialIndex.getFeatureCount()} features`);
 
+            // The active dataset and any overlay layers
+            const layers = dataLoader.getLayers();
+            const radarLayers = layers.length > 0 ? layers : spatialIndex;
+
+            if (app) {
+                app.setSpatialIndex(radarLayers);
+                return;
+            }
+
             // Create the application with spatial index
-            app = new BuildingRadar(spatialIndex);
+            app = new BuildingRadar(radarLayers);
 
             // Start GPS (requests location permission)
             app.startGPS().then(started => {
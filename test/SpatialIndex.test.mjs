@@ -0,0 +1,84 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialIndex } from '../src/core/SpatialIndex.js';
+import { RTreeIndex } from '../src/core/RTreeIndex.js';
+import { GeometryUtils } from '../src/core/GeometryUtils.js';
+
+const LATITUDES = [0, 23, 50, 60, 70, -45];
+const RADII = [25, 150, 1000, 4000];
+const FEATURES_PER_CASE = 800;
+const BOUNDARY_TOLERANCE = 0.01; // meters; features this close to the radius may fall either way
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Points and small square footprints scattered up to 1.5 radii around a center
+ */
+function createFeatures(lon, lat, radius, random) {
+    const metersPerDegLat = GeometryUtils.EARTH_RADIUS * Math.PI / 180;
+    const metersPerDegLon = metersPerDegLat * Math.cos(lat * Math.PI / 180);
+    const features = [];
+
+    for (let id = 0; id < FEATURES_PER_CASE; id++) {
+        const x = lon + ((random() * 3 - 1.5) * radius) / metersPerDegLon;
+        const y = lat + ((random() * 3 - 1.5) * radius) / metersPerDegLat;
+        const size = (2 + random() * radius * 0.05) / metersPerDegLat;
+
+        const geometry = id % 4 === 0
+            ? { type: 'Point', coordinates: [x, y] }
+            : { type: 'Polygon', coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]] };
+        features.push({ type: 'Feature', properties: { id }, geometry });
+    }
+    return features;
+}
+
+for (const IndexClass of [SpatialIndex, RTreeIndex]) {
+    describe(`${IndexClass.name}.queryRadius`, () => {
+        before(() => {
+            mock.method(console, 'log', () => {});
+        });
+
+        after(() => {
+            mock.restoreAll();
+        });
+
+        for (const lat of LATITUDES) {
+            it(`matches a brute-force distance scan at latitude ${lat}°`, async () => {
+                const random = createRandom(1000 + lat);
+                const lon = 14.4;
+
+                for (const radius of RADII) {
+                    const features = createFeatures(lon, lat, radius, random);
+                    const index = new IndexClass();
+                    index.indexFeatures({ type: 'FeatureCollection', features });
+
+                    const results = await index.queryRadius(lon, lat, radius);
+                    const found = new Map(results.map(feature => [feature.properties.id, feature.distance]));
+
+                    for (const feature of features) {
+                        const distance = GeometryUtils.distanceToGeometry(lon, lat, feature.geometry);
+                        const { id } = feature.properties;
+                        if (Math.abs(distance - radius) < BOUNDARY_TOLERANCE) continue;
+
+                        if (distance < radius) {
+                            assert.ok(found.has(id), `radius ${radius}m: feature ${id} at ${distance.toFixed(2)}m is missing`);
+                            assert.ok(Math.abs(found.get(id) - distance) < BOUNDARY_TOLERANCE,
+                                `radius ${radius}m: feature ${id} reported at ${found.get(id)}m, expected ${distance}m`);
+                        } else {
+                            assert.ok(!found.has(id), `radius ${radius}m: feature ${id} at ${distance.toFixed(2)}m is out of range`);
+                        }
+                    }
+                }
+            });
+        }
+    });
+}